@@ -0,0 +1,192 @@
+// lib/addressFormats.js
+// Reading and writing address lists as CSV and GeoJSON, and writing KML and
+// GPX for phone map and GPS apps.
+
+// --- CSV ---
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with commas, doubled quotes and newlines, as spreadsheets export them.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Text starting with one of these runs as a formula when the file is opened
+// in a spreadsheet, so it's written with a leading ' (and read back without).
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = values => values.map(csvField).join(',');
+
+// Header names we accept for each field, lower-cased
+const COLUMN_NAMES = {
+    text: ['address', 'text', 'street address'],
+    instructions: ['instructions', 'notes', 'special instructions'],
+    lat: ['lat', 'latitude'],
+    lon: ['lon', 'lng', 'long', 'longitude'],
+    tags: ['tags']
+};
+
+// Read rows of { text, instructions, lat, lon, tags } from CSV with a header row.
+// Values are left as strings; validation happens when they're imported.
+const readCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMN_NAMES)) {
+        columns[field] = names.findIndex(name => aliases.includes(name));
+    }
+    if (columns.text === -1) {
+        throw new Error('The CSV needs an "address" column.');
+    }
+
+    return rows.map(cells => {
+        const row = {};
+        for (const [field, index] of Object.entries(columns)) {
+            const cell = index === -1 ? '' : (cells[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+            if (cell !== '') row[field] = cell;
+        }
+        // Tags are separated by semicolons, e.g. "accessible;decorated"
+        if (row.tags) {
+            row.tags = row.tags.split(';').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        }
+        return row;
+    });
+};
+
+const writeCsv = addresses => [
+    toCsvLine(['address', 'instructions', 'lat', 'lon', 'tags']),
+    ...addresses.map(address => toCsvLine([address.text, address.instructions, address.lat, address.lon, (address.tags || []).join(';')]))
+].join('\r\n') + '\r\n';
+
+// --- GeoJSON ---
+
+// Read rows from a FeatureCollection of Point features. The address is taken
+// from the `address`, `text` or `name` property.
+const readGeoJson = (input) => {
+    const collection = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        throw new Error('GeoJSON must be a FeatureCollection.');
+    }
+
+    return collection.features.map(feature => {
+        const properties = feature.properties || {};
+        const row = { text: properties.address || properties.text || properties.name };
+        if (properties.instructions) row.instructions = properties.instructions;
+        if (Array.isArray(properties.tags)) row.tags = properties.tags;
+        if (feature.geometry && feature.geometry.type === 'Point' && Array.isArray(feature.geometry.coordinates)) {
+            [row.lon, row.lat] = feature.geometry.coordinates;
+        }
+        return row;
+    });
+};
+
+const writeGeoJson = (addresses, name) => JSON.stringify({
+    type: 'FeatureCollection',
+    name,
+    features: addresses
+        .filter(address => address.lat !== undefined && address.lon !== undefined)
+        .map(address => ({
+            type: 'Feature',
+            id: address.id,
+            geometry: { type: 'Point', coordinates: [address.lon, address.lat] },
+            properties: { address: address.text, instructions: address.instructions || null, tags: address.tags || [] }
+        }))
+}, null, 2);
+
+// --- KML and GPX ---
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const located = addresses => addresses.filter(address => address.lat !== undefined && address.lon !== undefined);
+
+const writeKml = (addresses, name) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(name)}</name>`,
+    ...located(addresses).map(address => [
+        '<Placemark>',
+        `<name>${escapeXml(address.text)}</name>`,
+        address.instructions ? `<description>${escapeXml(address.instructions)}</description>` : '',
+        `<Point><coordinates>${address.lon},${address.lat}</coordinates></Point>`,
+        '</Placemark>'
+    ].filter(Boolean).join('')),
+    '</Document>',
+    '</kml>'
+].join('\n') + '\n';
+
+const writeGpx = (addresses, name) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="HalloweenApp" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...located(addresses).map(address => [
+        `<wpt lat="${address.lat}" lon="${address.lon}">`,
+        `<name>${escapeXml(address.text)}</name>`,
+        address.instructions ? `<desc>${escapeXml(address.instructions)}</desc>` : '',
+        '</wpt>'
+    ].filter(Boolean).join('')),
+    '</gpx>'
+].join('\n') + '\n';
+
+// Export formats: content type, file extension and writer
+const EXPORT_FORMATS = {
+    geojson: { contentType: 'application/geo+json', extension: 'geojson', write: writeGeoJson },
+    csv: { contentType: 'text/csv', extension: 'csv', write: writeCsv },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', write: writeKml },
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx', write: writeGpx }
+};
+
+module.exports = {
+    parseCsv,
+    readCsv,
+    readGeoJson,
+    escapeXml,
+    EXPORT_FORMATS
+};
@@ -0,0 +1,154 @@
+// lib/addressParts.js
+// Street addresses as structured parts: { number, street, suburb, state, postcode }.
+// Whatever is typed in the admin page, a registration or an import is parsed
+// into parts and the address text is rebuilt from them, so the same house is
+// always written the same way ("58 Warri Street Ardlethan NSW 2665") and a
+// second copy of it can be caught on save.
+//
+// `town` is the configured { suburb, state, postcode }; parts left out default
+// to it.
+const fs = require('fs');
+
+const STATES = ['NSW', 'VIC', 'QLD', 'SA', 'WA', 'TAS', 'NT', 'ACT'];
+
+// Street type abbreviations, written out in full
+const STREET_TYPES = {
+    st: 'Street', rd: 'Road', ave: 'Avenue', av: 'Avenue', dr: 'Drive', ct: 'Court', cres: 'Crescent',
+    cr: 'Crescent', pl: 'Place', la: 'Lane', ln: 'Lane', hwy: 'Highway', pde: 'Parade', tce: 'Terrace',
+    cl: 'Close', cct: 'Circuit', gr: 'Grove', bvd: 'Boulevard', blvd: 'Boulevard', sq: 'Square', wy: 'Way'
+};
+const STREET_TYPE_WORDS = new Set([
+    ...Object.keys(STREET_TYPES),
+    ...Object.values(STREET_TYPES).map(type => type.toLowerCase())
+]);
+
+// "12", "12A", "3/7", "10-12"
+const NUMBER_PATTERN = /^(?:\d+[a-z]?\/)?\d+[a-z]?(?:-\d+[a-z]?)?$/i;
+
+const collapse = value => String(value || '').replace(/\s+/g, ' ').trim();
+
+// "o'connor  st" -> "O'Connor St"
+const titleCase = value => collapse(value).toLowerCase()
+    .replace(/(^|[\s'-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+
+// "warri st." -> "Warri Street"
+const normaliseStreet = (street) => {
+    const words = titleCase(street).split(' ');
+    const type = STREET_TYPES[words[words.length - 1].toLowerCase().replace(/\.$/, '')];
+    if (words.length > 1 && type) words[words.length - 1] = type;
+    return words.join(' ');
+};
+
+const townText = town => `${town.suburb} ${town.state} ${town.postcode}`;
+
+// "ardlethan nsw 2665": how address text ends in `town`, for matching
+const townSuffix = town => townText(town).toLowerCase();
+
+// Split free text into parts. The town, once or repeated, is dropped from the
+// end; another "Suburb STATE 1234" ending is kept as the parts it names.
+const parseAddress = (text, town) => {
+    let rest = collapse(String(text).replace(/,/g, ' ')).replace(/\s*\/\s*/g, '/');
+    const suffix = townSuffix(town);
+    while (rest.toLowerCase().endsWith(suffix) && rest.length > suffix.length) {
+        rest = rest.slice(0, -suffix.length).trim();
+    }
+
+    const parts = { number: '', street: '', suburb: town.suburb, state: town.state, postcode: town.postcode };
+    const words = rest.split(' ');
+    const ending = words.slice(-2);
+    if (words.length > 3 && STATES.includes(ending[0].toUpperCase()) && /^\d{4}$/.test(ending[1])) {
+        // The suburb is whatever follows the street type: "5 Main Road Ganmain NSW 2702"
+        const streetWords = words.slice(0, -2);
+        let typeIndex = streetWords.length - 1;
+        while (typeIndex > 0 && !STREET_TYPE_WORDS.has(streetWords[typeIndex].toLowerCase().replace(/\.$/, ''))) typeIndex--;
+        if (typeIndex > 0 && typeIndex < streetWords.length - 1) {
+            parts.suburb = streetWords.slice(typeIndex + 1).join(' ');
+            parts.state = ending[0];
+            parts.postcode = ending[1];
+            words.splice(typeIndex + 1);
+        }
+    }
+
+    if (words.length > 1 && NUMBER_PATTERN.test(words[0])) {
+        parts.number = words.shift();
+    }
+    parts.street = words.join(' ');
+    return parts;
+};
+
+const formatAddress = parts => [parts.number, parts.street, parts.suburb, parts.state, parts.postcode]
+    .filter(Boolean).join(' ');
+
+// Validate an address given either as `text` or as parts. Returns { error } or
+// { value } with normalised parts and the `text` built from them.
+const validateAddressParts = (body, town) => {
+    const given = ['number', 'street', 'suburb', 'state', 'postcode'].some(field => body[field] !== undefined);
+    for (const field of ['text', 'number', 'street', 'suburb', 'state', 'postcode']) {
+        if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+            return { error: `Address ${field} must be text.` };
+        }
+    }
+    if (!given && typeof body.text === 'string' && body.text.length > 200) {
+        return { error: 'Address text must be 200 characters or fewer.' };
+    }
+
+    const raw = given
+        ? {
+            number: body.number || '',
+            street: body.street || '',
+            suburb: body.suburb || town.suburb,
+            state: body.state || town.state,
+            postcode: body.postcode || town.postcode
+        }
+        : parseAddress(body.text || '', town);
+
+    const parts = {
+        number: collapse(raw.number).toUpperCase().replace(/\s*\/\s*/, '/'),
+        street: normaliseStreet(raw.street),
+        suburb: titleCase(raw.suburb),
+        state: collapse(raw.state).toUpperCase(),
+        postcode: collapse(raw.postcode)
+    };
+    if (!parts.street) {
+        return { error: 'Address text is required.' };
+    }
+    if (parts.number && !NUMBER_PATTERN.test(parts.number)) {
+        return { error: 'The house number should look like 12, 12A, 3/7 or 10-12.' };
+    }
+    if (parts.street.length > 100 || parts.suburb.length > 50) {
+        return { error: 'The street and suburb must be 100 and 50 characters or fewer.' };
+    }
+    if (!STATES.includes(parts.state)) {
+        return { error: `The state must be one of: ${STATES.join(', ')}.` };
+    }
+    if (!/^\d{4}$/.test(parts.postcode)) {
+        return { error: 'The postcode must be 4 digits.' };
+    }
+    return { value: { ...parts, text: formatAddress(parts) } };
+};
+
+// The town's streets from a text file with one name per line
+const readStreetList = file => fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+
+// Street names for autocomplete: the streets already used, plus `listed` ones
+const streetNames = (addresses, listed = []) => {
+    const names = new Map(); // lower case -> as written
+    const add = (name) => {
+        const street = normaliseStreet(name);
+        if (street && !names.has(street.toLowerCase())) names.set(street.toLowerCase(), street);
+    };
+    addresses.forEach(address => address.street && add(address.street));
+    listed.forEach(add);
+    return [...names.values()].sort((a, b) => a.localeCompare(b));
+};
+
+module.exports = {
+    STATES,
+    townSuffix,
+    normaliseStreet,
+    parseAddress,
+    formatAddress,
+    validateAddressParts,
+    readStreetList,
+    streetNames
+};
@@ -0,0 +1,93 @@
+// lib/audit.js
+// A record of every change to an event's addresses and rules, with before and
+// after snapshots so any earlier version can be restored.
+//
+// Actions:
+//   address.create / address.update / address.delete - one address (targetId)
+//   addresses.restore - the whole list, after rolling back
+//   rules.update / rules.restore - the rules text
+//   backup.restore - all the data replaced from a backup (targetId, no eventYear)
+const crypto = require('crypto');
+
+const snapshot = value => (value === undefined || value === null ? null : structuredClone(value));
+
+// A new entry for `data.audit` (see db.audit.add). `actor` is { id, username }
+// for an admin or { registrationId } for a resident using their token link.
+const createEntry = ({ actor, action, eventYear, targetId = null, before = null, after = null }) => ({
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    actor,
+    action,
+    eventYear,
+    targetId,
+    before: snapshot(before),
+    after: snapshot(after)
+});
+
+const isAddressEntry = entry => entry.action.startsWith('address');
+
+// "address" takes in the whole-list addresses.restore too
+const matchesAction = (entry, action) => entry.action === action || entry.action.startsWith(`${action}.`) ||
+    (action === 'address' && isAddressEntry(entry));
+
+// Filter entries by ?event, ?action (exact or prefix like "address"), ?actor
+// (username), ?target (address id), ?since and ?until (ISO dates). Newest first.
+const filterEntries = (entries, query) => {
+    const { event, action, actor, target, since, until } = query;
+    const limit = Math.min(Number(query.limit) || 100, 1000);
+
+    return entries
+        .filter(entry => !event || entry.eventYear === Number(event))
+        .filter(entry => !action || matchesAction(entry, action))
+        .filter(entry => !actor || (entry.actor.username || 'resident') === String(actor).toLowerCase())
+        .filter(entry => !target || entry.targetId === target)
+        .filter(entry => !since || entry.at >= since)
+        .filter(entry => !until || entry.at <= until)
+        .reverse()
+        .slice(0, limit);
+};
+
+// Undo one address entry against a list, returning the new list.
+const undoAddressEntry = (addresses, entry) => {
+    if (entry.action === 'addresses.restore') {
+        return structuredClone(entry.before);
+    }
+    const others = addresses.filter(address => address.id !== entry.targetId);
+    if (!entry.before) {
+        return others;
+    }
+    const index = addresses.findIndex(address => address.id === entry.targetId);
+    const restored = structuredClone(entry.before);
+    if (index === -1) {
+        return [...others, restored];
+    }
+    return addresses.map(address => (address.id === entry.targetId ? restored : address));
+};
+
+// The event's address list as it was right after `target`, found by undoing
+// every later address change to the same event, newest first.
+const addressesAsOf = (data, event, target) => {
+    const later = data.audit
+        .slice(data.audit.indexOf(target) + 1)
+        .filter(entry => entry.eventYear === event.year && isAddressEntry(entry))
+        .reverse();
+
+    let addresses = structuredClone(event.addresses);
+    for (const entry of later) {
+        addresses = undoAddressEntry(addresses, entry);
+    }
+
+    // Bump versions so anyone still editing the pre-restore list gets a 409
+    const versions = new Map(event.addresses.map(address => [address.id, address.version]));
+    for (const address of addresses) {
+        address.version = Math.max(address.version || 1, versions.get(address.id) || 0) + 1;
+    }
+    return addresses;
+};
+
+module.exports = {
+    createEntry,
+    filterEntries,
+    isAddressEntry,
+    addressesAsOf
+};
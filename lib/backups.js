@@ -0,0 +1,224 @@
+// lib/backups.js
+// Snapshots of all the app's data, written to a backups directory on a
+// schedule and before every restore. Each snapshot is written to a temporary
+// file and renamed into place, so a crash never leaves half a backup.
+//
+// Scheduled snapshots are thinned out by the retention rules: the newest one
+// in each hour for `keepHourlyHours`, and in each day for `keepDailyDays`.
+// Manual and pre-restore snapshots are kept until an owner deletes them.
+const fs = require('fs/promises');
+const path = require('path');
+
+const REASONS = ['scheduled', 'manual', 'pre-restore'];
+const BACKUP_ID = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(scheduled|manual|pre-restore)\.json$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// "2026-10-19T13:45:00.000Z" <-> "2026-10-19T13-45-00-000Z", safe in file names
+const idFor = (date, reason) => `backup-${date.toISOString().replace(/[:.]/g, '-')}-${reason}.json`;
+
+const parseId = (id) => {
+    const match = BACKUP_ID.exec(id);
+    if (!match) return null;
+    const [date, time] = match[1].split('T');
+    const [hours, minutes, seconds, ms] = time.replace('Z', '').split('-');
+    return { id, createdAt: new Date(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`), reason: match[2] };
+};
+
+// The scheduled backups to delete under the retention rules. `backups` is any
+// order; the newest backup is always kept.
+const expiredBackups = (backups, { keepHourlyHours, keepDailyDays }, now = Date.now()) => {
+    const scheduled = backups
+        .filter(backup => backup.reason === 'scheduled')
+        .sort((a, b) => b.createdAt - a.createdAt);
+    const hours = new Set();
+    const days = new Set();
+
+    return scheduled.filter((backup, index) => {
+        const age = now - backup.createdAt.getTime();
+        const hour = backup.createdAt.toISOString().slice(0, 13);
+        const day = backup.createdAt.toISOString().slice(0, 10);
+        let keep = index === 0;
+        if (age <= keepHourlyHours * HOUR_MS && !hours.has(hour)) {
+            hours.add(hour);
+            keep = true;
+        }
+        if (age <= keepDailyDays * DAY_MS && !days.has(day)) {
+            days.add(day);
+            keep = true;
+        }
+        return !keep;
+    });
+};
+
+// --- Diff ---
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What restoring `backup` over `current` would change, for the admin to check first.
+const diffData = (current, backup) => {
+    const currentEvents = current.events || [];
+    const backupEvents = backup.events || [];
+    const years = [...new Set([...currentEvents, ...backupEvents].map(event => event.year))].sort((a, b) => b - a);
+
+    const eventChanges = years.map((year) => {
+        const now = currentEvents.find(event => event.year === year);
+        const then = backupEvents.find(event => event.year === year);
+        if (!now) return { year, change: 'restored', addressCount: then.addresses.length };
+        if (!then) return { year, change: 'removed', addressCount: now.addresses.length };
+
+        const nowById = new Map(now.addresses.map(address => [address.id, address]));
+        const thenById = new Map(then.addresses.map(address => [address.id, address]));
+        const addresses = {
+            restored: then.addresses.filter(address => !nowById.has(address.id)).map(address => address.text),
+            removed: now.addresses.filter(address => !thenById.has(address.id)).map(address => address.text),
+            changed: then.addresses.filter(address => nowById.has(address.id) && !sameJson(address, nowById.get(address.id))).map(address => address.text)
+        };
+        const { addresses: nowAddresses, ...nowDetails } = now;
+        const { addresses: thenAddresses, ...thenDetails } = then;
+        const detailsChanged = !sameJson(nowDetails, thenDetails);
+        const addressesChanged = Object.values(addresses).some(list => list.length > 0);
+        return {
+            year,
+            change: detailsChanged || addressesChanged ? 'changed' : 'unchanged',
+            rulesChanged: now.rules !== then.rules,
+            addresses
+        };
+    });
+
+    const usernames = data => (data.users || []).map(user => user.username);
+    return {
+        events: eventChanges,
+        users: {
+            restored: usernames(backup).filter(name => !usernames(current).includes(name)),
+            removed: usernames(current).filter(name => !usernames(backup).includes(name))
+        },
+        registrations: { current: (current.registrations || []).length, backup: (backup.registrations || []).length },
+        auditEntries: { current: (current.audit || []).length, backup: (backup.audit || []).length }
+    };
+};
+
+// --- Manager ---
+
+// `db` is the app storage. `dir` is created if needed.
+const createBackupManager = ({ db, dir = 'backups', intervalMinutes = 60, keepHourlyHours = 24, keepDailyDays = 30 }) => {
+    let timer = null;
+
+    const list = async () => {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const backups = await Promise.all(files.map(parseId).filter(Boolean).map(async (backup) => {
+            const { size } = await fs.stat(path.join(dir, backup.id));
+            return { ...backup, size };
+        }));
+        return backups.sort((a, b) => b.createdAt - a.createdAt);
+    };
+
+    const create = async (reason = 'manual') => {
+        if (!REASONS.includes(reason)) throw new Error(`Unknown backup reason "${reason}".`);
+        await fs.mkdir(dir, { recursive: true });
+        const id = idFor(new Date(), reason);
+        const file = path.join(dir, id);
+        const temporary = `${file}.tmp`;
+
+        const handle = await fs.open(temporary, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(db.data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(temporary, file);
+        return parseId(id);
+    };
+
+    // The parsed contents of a backup, or null if there's no such backup.
+    const read = async (id) => {
+        if (!parseId(id)) return null;
+        try {
+            return JSON.parse(await fs.readFile(path.join(dir, id), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    };
+
+    const remove = async (id) => {
+        if (!parseId(id)) return false;
+        try {
+            await fs.unlink(path.join(dir, id));
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    };
+
+    const prune = async (now = Date.now()) => {
+        const expired = expiredBackups(await list(), { keepHourlyHours, keepDailyDays }, now);
+        await Promise.all(expired.map(backup => fs.unlink(path.join(dir, backup.id))));
+        return expired.length;
+    };
+
+    // Replace all the data with a backup's, snapshotting the current data first.
+    // Returns the pre-restore snapshot, or null if there's no such backup.
+    const restore = async (id) => {
+        const data = await read(id);
+        if (!data) return null;
+        const safetyCopy = await create('pre-restore');
+        const current = db.data;
+        db.data = data;
+        try {
+            await db.write();
+        } catch (err) {
+            db.data = current; // Keep what's still on disk
+            throw err;
+        }
+        return safetyCopy;
+    };
+
+    const runScheduled = async () => {
+        try {
+            await create('scheduled');
+            await prune();
+        } catch (err) {
+            console.error('Scheduled backup failed:', err);
+        }
+    };
+
+    // Take a backup now and then every `intervalMinutes` (0 turns this off).
+    const start = () => {
+        if (!intervalMinutes || timer) return;
+        runScheduled();
+        timer = setInterval(runScheduled, intervalMinutes * 60 * 1000);
+        timer.unref(); // Don't keep the process alive just for backups
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        list,
+        create,
+        read,
+        remove,
+        prune,
+        restore,
+        start,
+        stop
+    };
+};
+
+module.exports = {
+    expiredBackups,
+    diffData,
+    createBackupManager
+};
@@ -0,0 +1,235 @@
+// lib/config.js
+// Settings come from the environment (or .env). Each one is described in
+// CONFIG_SCHEMA and checked at startup, so a missing SESSION_SECRET or a typo
+// in a driver name stops the server with a clear message instead of failing
+// later, half way through someone's request.
+const { DRIVERS } = require('./storage');
+const { TRANSPORTS } = require('./notifications');
+const { validateUsername } = require('./users');
+const { STATES, townSuffix } = require('./addressParts');
+const { parseBounds } = require('./geocodeChecks');
+const { isHexColour, defaultBranding } = require('./tenants');
+
+const isTimeZone = (name) => {
+    try {
+        new Intl.DateTimeFormat('en-AU', { timeZone: name });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+const colourCheck = value => (isHexColour(value) ? null : 'must be a colour such as #ff8c00');
+
+// `path` is where the value goes in the config object. Types:
+//   string  - any non-empty text
+//   integer / number - with optional min and max
+//   enum    - one of `values`
+//   bounds  - "south,west,north,east", read as { south, west, north, east }
+//   list    - words separated by spaces or commas, read as an array
+const CONFIG_SCHEMA = [
+    { env: 'PORT', path: 'port', type: 'integer', min: 1, max: 65535, default: 3000 },
+    { env: 'NODE_ENV', path: 'nodeEnv', type: 'string', default: 'development' },
+    {
+        env: 'SESSION_SECRET', path: 'sessionSecret', type: 'string', required: true, minLength: 16,
+        hint: 'Set it in .env to a long random string, e.g. the output of `openssl rand -hex 32`.'
+    },
+    {
+        env: 'ADMIN_USERNAME', path: 'adminUsername', type: 'string', required: true,
+        check: validateUsername,
+        hint: 'It names the owner account created from an older db.json.'
+    },
+    // The town the map is for. Addresses without their own suburb, state or
+    // postcode are in this town.
+    { env: 'TOWN_NAME', path: 'town.suburb', type: 'string', default: 'Ardlethan' },
+    { env: 'TOWN_STATE', path: 'town.state', type: 'enum', values: STATES, default: 'NSW' },
+    {
+        env: 'TOWN_POSTCODE', path: 'town.postcode', type: 'string', default: '2665',
+        check: value => (/^\d{4}$/.test(value) ? null : 'must be 4 digits')
+    },
+    // Optional text file of the town's street names, one per line, offered
+    // along with the streets already used when typing an address
+    { env: 'STREET_LIST_FILE', path: 'streetListFile', type: 'string' },
+    // "south,west,north,east"; houses geocoded outside it are flagged for checking
+    {
+        env: 'TOWN_BOUNDS', path: 'townBounds', type: 'bounds',
+        default: { south: -34.366, west: 146.885, north: -34.340, east: 146.917 }
+    },
+    // How the pages look. The title defaults to "<TOWN_NAME> Trick or Treat Map";
+    // LOGO_FILE is an image shown in place of the pumpkin background.
+    { env: 'SITE_TITLE', path: 'branding.title', type: 'string' },
+    { env: 'BRAND_COLOUR', path: 'branding.colour', type: 'string', check: colourCheck },
+    { env: 'ACCENT_COLOUR', path: 'branding.accentColour', type: 'string', check: colourCheck },
+    { env: 'LOGO_FILE', path: 'branding.logoFile', type: 'string' },
+    // Used to estimate walking time for the route planner (small kids are slow)
+    { env: 'WALKING_SPEED_KMH', path: 'walkingSpeedKmh', type: 'number', min: 1, max: 10, default: 4 },
+    { env: 'GEOCODER_PROVIDER', path: 'geocoder.provider', type: 'enum', values: ['nominatim', 'gazetteer', 'fake'], default: 'nominatim' },
+    { env: 'GEOCODER_COUNTRY_CODES', path: 'geocoder.countryCodes', type: 'string', default: 'au' },
+    { env: 'GEOCODER_GAZETTEER_FILE', path: 'geocoder.gazetteerFile', type: 'string' },
+    { env: 'GEOCODER_USER_AGENT', path: 'geocoder.userAgent', type: 'string', default: 'HalloweenApp/1.0 (server-side)' },
+    { env: 'STORAGE_DRIVER', path: 'storage.driver', type: 'enum', values: DRIVERS, default: 'lowdb' },
+    // Defaults to db.json or db.sqlite
+    { env: 'STORAGE_FILE', path: 'storage.file', type: 'string' },
+    { env: 'SESSION_STORE', path: 'session.store', type: 'enum', values: ['sqlite', 'memory'], default: 'sqlite' },
+    { env: 'SESSION_STORE_FILE', path: 'session.file', type: 'string', default: 'sessions.sqlite' },
+    // Where the site is reachable, for links in emails
+    {
+        env: 'PUBLIC_URL', path: 'publicUrl', type: 'string', default: 'http://localhost:3000',
+        check: value => (/^https?:\/\/[^/\s]+/.test(value) ? null : 'must start with http:// or https://')
+    },
+    // Sites allowed to show /embed in a frame: space-separated origins such as
+    // "https://school.example.edu.au", or * for any site
+    {
+        env: 'EMBED_FRAME_ANCESTORS', path: 'embed.frameAncestors', type: 'list', default: ['*'],
+        check: value => (value.every(source => /^(\*|'self'|'none'|https?:\/\/[^\s,;'"]+)$/.test(source))
+            ? null
+            : "must be *, 'self', 'none' or origins starting with http:// or https://")
+    },
+    // The event's times are in this time zone, for the calendar feed and reminders
+    {
+        env: 'TIME_ZONE', path: 'timeZone', type: 'string', default: 'Australia/Sydney',
+        check: value => (isTimeZone(value) ? null : 'must be a time zone name such as "Australia/Sydney"')
+    },
+    // How messages are sent (lib/notifications). The file transport only notes
+    // each message on the console unless NOTIFY_FILE is set, so production needs
+    // smtp, webhook or a NOTIFY_FILE.
+    { env: 'NOTIFY_TRANSPORT', path: 'notifications.transport', type: 'enum', values: TRANSPORTS, default: 'file' },
+    { env: 'NOTIFY_FILE', path: 'notifications.file', type: 'string' },
+    // Defaults to "<TOWN_NAME> Halloween <halloween@localhost>"
+    { env: 'NOTIFY_FROM', path: 'notifications.from', type: 'string' },
+    { env: 'SMTP_URL', path: 'notifications.smtpUrl', type: 'string' },
+    { env: 'NOTIFY_WEBHOOK_URL', path: 'notifications.webhookUrl', type: 'string' },
+    // Comma-separated organiser addresses told about new registrations
+    { env: 'NOTIFY_ADMIN_EMAILS', path: 'notifications.adminEmails', type: 'string', default: '' },
+    // Hour of the event day (in TIME_ZONE) when reminders go out
+    { env: 'NOTIFY_REMINDER_HOUR', path: 'notifications.reminderHour', type: 'integer', min: 0, max: 23, default: 9 },
+    { env: 'BACKUP_DIR', path: 'backups.dir', type: 'string', default: 'backups' },
+    // 0 turns scheduled backups off; owners can still take them by hand
+    { env: 'BACKUP_INTERVAL_MINUTES', path: 'backups.intervalMinutes', type: 'integer', min: 0, max: 1440, default: 60 },
+    { env: 'BACKUP_KEEP_HOURLY_HOURS', path: 'backups.keepHourlyHours', type: 'integer', min: 0, max: 168, default: 24 },
+    { env: 'BACKUP_KEEP_DAILY_DAYS', path: 'backups.keepDailyDays', type: 'integer', min: 0, max: 3650, default: 30 },
+    // "multi" hosts a map for each of several towns (lib/tenants), each on a
+    // subdomain of PUBLIC_URL, which itself becomes the super-admin's page
+    { env: 'HOSTING', path: 'hosting.mode', type: 'enum', values: ['single', 'multi'], default: 'single' },
+    { env: 'HOSTING_DIR', path: 'hosting.dir', type: 'string', default: 'tenants' },
+    { env: 'SUPERADMIN_USERNAME', path: 'hosting.superadminUsername', type: 'string', check: validateUsername },
+    {
+        env: 'SUPERADMIN_PASSWORD_HASH', path: 'hosting.superadminPasswordHash', type: 'string',
+        check: value => (value.startsWith('$2') ? null : 'must be a bcrypt hash, from `npm run hash-password`')
+    }
+];
+
+// Settings that are no longer read, and what to set instead
+const REPLACED_SETTINGS = {
+    TOWN_SUFFIX: 'TOWN_NAME, TOWN_STATE and TOWN_POSTCODE'
+};
+
+// Whether messages leave the server: the memory transport keeps them, and the
+// file transport without a file only prints them.
+const deliversMessages = ({ transport, file }) => transport === 'smtp' || transport === 'webhook' || (transport === 'file' && Boolean(file));
+
+// Settings that only make sense together
+const crossChecks = [
+    config => (config.geocoder.provider === 'gazetteer' && !config.geocoder.gazetteerFile
+        ? 'GEOCODER_GAZETTEER_FILE is required when GEOCODER_PROVIDER is "gazetteer".'
+        : null),
+    config => (config.notifications.transport === 'smtp' && !config.notifications.smtpUrl
+        ? 'SMTP_URL is required when NOTIFY_TRANSPORT is "smtp".'
+        : null),
+    config => (config.notifications.transport === 'webhook' && !config.notifications.webhookUrl
+        ? 'NOTIFY_WEBHOOK_URL is required when NOTIFY_TRANSPORT is "webhook".'
+        : null),
+    config => (config.nodeEnv === 'production' && !deliversMessages(config.notifications)
+        ? 'NOTIFY_TRANSPORT must be "smtp" or "webhook" (or NOTIFY_FILE set) when NODE_ENV is "production".'
+        : null),
+    config => (config.hosting.mode === 'multi' && !(config.hosting.superadminUsername && config.hosting.superadminPasswordHash)
+        ? 'SUPERADMIN_USERNAME and SUPERADMIN_PASSWORD_HASH are required when HOSTING is "multi".'
+        : null)
+];
+
+// Parse one raw value. Returns { value } or { error }.
+const parseValue = (field, raw) => {
+    switch (field.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value)) ||
+                (field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                return { error: `${field.env} must be ${field.type === 'integer' ? 'a whole number' : 'a number'} between ${field.min} and ${field.max}.` };
+            }
+            return { value };
+        }
+        case 'bounds': {
+            const value = parseBounds(raw);
+            if (!value) {
+                return { error: `${field.env} must be "south,west,north,east", e.g. "-34.366,146.885,-34.340,146.917".` };
+            }
+            return { value };
+        }
+        case 'list':
+            return { value: raw.split(/[\s,]+/).filter(Boolean) };
+        case 'enum':
+            if (!field.values.includes(raw)) {
+                return { error: `${field.env} must be one of: ${field.values.join(', ')}.` };
+            }
+            return { value: raw };
+        default:
+            if (field.minLength && raw.length < field.minLength) {
+                return { error: `${field.env} must be at least ${field.minLength} characters long.` };
+            }
+            return { value: raw };
+    }
+};
+
+const withoutUnset = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] = object[key] || {}), target);
+    parent[last] = value;
+};
+
+// Build the config from `env` (normally process.env). Throws one error listing
+// every problem found.
+const loadConfig = (env) => {
+    const config = {};
+    const problems = Object.entries(REPLACED_SETTINGS)
+        .filter(([name]) => typeof env[name] === 'string' && env[name].trim() !== '')
+        .map(([name, replacement]) => `${name} has been replaced by ${replacement}.`);
+
+    for (const field of CONFIG_SCHEMA) {
+        const raw = typeof env[field.env] === 'string' ? env[field.env].trim() : '';
+        if (raw === '') {
+            if (field.required) {
+                problems.push(`${field.env} is required.${field.hint ? ` ${field.hint}` : ''}`);
+            }
+            setPath(config, field.path, field.default);
+            continue;
+        }
+
+        const { value, error } = parseValue(field, raw);
+        const problem = error || (field.check && field.check(value));
+        if (problem) {
+            problems.push(problem.startsWith(field.env) ? problem : `${field.env}: ${problem}`);
+        }
+        setPath(config, field.path, value);
+    }
+
+    if (problems.length === 0) {
+        problems.push(...crossChecks.map(check => check(config)).filter(Boolean));
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    config.townSuffix = townSuffix(config.town);
+    config.branding = { ...defaultBranding(config.town), ...withoutUnset(config.branding) };
+    config.notifications.from = config.notifications.from || `${config.town.suburb} Halloween <halloween@localhost>`;
+    return config;
+};
+
+module.exports = {
+    CONFIG_SCHEMA,
+    loadConfig
+};
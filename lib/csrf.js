@@ -0,0 +1,44 @@
+// lib/csrf.js
+// Cross-site request forgery protection. Each session gets a random token;
+// requests that change something and rely on the session cookie must send it
+// back in an X-CSRF-Token header (or a `_csrf` form field). Another site can
+// make the browser send our cookie, but it can't read the token.
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The session's token, created on first use.
+const csrfToken = (req) => {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+};
+
+const tokensMatch = (expected, actual) => typeof actual === 'string' && actual.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+
+// Middleware. `formPaths` are the sign-in style forms that start a session,
+// which need a token even before anyone is signed in. Resident status and
+// registration links send their own token header, but once someone is signed
+// in the cookie goes along too, so those requests need the session's token like
+// any other.
+const csrfProtection = ({ formPaths = [] } = {}) => (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+
+    const usesSession = Boolean(req.session.userId) || formPaths.includes(req.path);
+    if (!usesSession) return next();
+
+    const sent = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+    if (req.session.csrfToken && tokensMatch(req.session.csrfToken, sent)) return next();
+
+    if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ success: false, message: 'Your session has expired. Reload the page and try again.' });
+    }
+    res.status(403).send('Your session has expired. <a href="/signin.html">Try again</a>');
+};
+
+module.exports = {
+    csrfToken,
+    csrfProtection
+};
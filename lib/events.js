@@ -0,0 +1,137 @@
+// lib/events.js
+// Each year's trick-or-treat night is an event with its own rules and
+// participating addresses, stored in `db.data.events` and keyed by year.
+const crypto = require('crypto');
+
+const defaultEventName = (year, townName) => `${townName} Halloween ${year}`;
+
+// Move the old single-year layout ({ addresses, rules }) into an event for the
+// current year, named after `townName`. Returns true if the data was changed.
+const migrateToEvents = (data, townName) => {
+    if (Array.isArray(data.events)) return false;
+
+    const year = new Date().getFullYear();
+    data.events = [{
+        year,
+        name: defaultEventName(year, townName),
+        date: `${year}-10-31`,
+        startTime: '17:00',
+        endTime: '21:00',
+        rules: data.rules || '',
+        archived: false,
+        addresses: data.addresses || []
+    }];
+    delete data.addresses;
+    delete data.rules;
+    return true;
+};
+
+const findEvent = (data, year) => data.events.find(event => event.year === Number(year));
+
+// The current event is the latest one that hasn't been archived, falling back
+// to the latest event of all so the map is never empty between seasons.
+const currentEvent = (data) => {
+    const byYear = [...data.events].sort((a, b) => b.year - a.year);
+    return byYear.find(event => !event.archived) || byYear[0] || null;
+};
+
+// Resolve `?event=2024` (or no parameter, meaning the current event).
+const resolveEvent = (data, year) => {
+    if (year === undefined || year === '' || year === 'current') {
+        return currentEvent(data);
+    }
+    return findEvent(data, year) || null;
+};
+
+// Validate the editable fields of an event. `year` and `rules` are only
+// accepted on create: after that the rules change through POST /api/rules,
+// which records them in the history and tells residents.
+// Returns { error } or { value } with the cleaned fields.
+const validateEvent = (body, partial = false) => {
+    const value = {};
+
+    if (!partial) {
+        const year = Number(body.year);
+        if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+            return { error: 'Year must be a four-digit year.' };
+        }
+        value.year = year;
+    }
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+            return { error: 'Name must be between 1 and 100 characters.' };
+        }
+        value.name = body.name.trim();
+    }
+
+    if (body.date !== undefined) {
+        if (typeof body.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(body.date) || isNaN(Date.parse(body.date))) {
+            return { error: 'Date must be in YYYY-MM-DD format.' };
+        }
+        value.date = body.date;
+    }
+
+    for (const field of ['startTime', 'endTime']) {
+        if (body[field] !== undefined) {
+            if (typeof body[field] !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(body[field])) {
+                return { error: `${field} must be in HH:MM format.` };
+            }
+            value[field] = body[field];
+        }
+    }
+
+    if (body.rules !== undefined) {
+        if (partial) {
+            return { error: 'Rules are changed in the rules editor.' };
+        }
+        if (typeof body.rules !== 'string') {
+            return { error: 'Rules must be a string.' };
+        }
+        value.rules = body.rules;
+    }
+
+    return { value };
+};
+
+// Create an event from validated fields, filling in defaults for the year and
+// the town called `townName`.
+const createEvent = (fields, townName) => ({
+    year: fields.year,
+    name: fields.name || defaultEventName(fields.year, townName),
+    date: fields.date || `${fields.year}-10-31`,
+    startTime: fields.startTime || '17:00',
+    endTime: fields.endTime || '21:00',
+    rules: fields.rules || '',
+    archived: false,
+    addresses: []
+});
+
+// Copies of the houses from one event as new addresses for another, skipping
+// any that are already in the target (matched by address text). Each night
+// starts fresh: last year's status, status link and registration stay behind.
+// The caller adds them (see db.addresses.add).
+const cloneAddresses = (from, to) => {
+    const existing = new Set(to.addresses.map(address => address.text.toLowerCase()));
+    const added = [];
+    for (const address of from.addresses) {
+        if (existing.has(address.text.toLowerCase())) continue;
+        const { id, version, status, statusUpdatedAt, statusTokenHash, registrationId, ...fields } = address;
+        added.push({ ...fields, id: crypto.randomUUID(), version: 1 });
+    }
+    return added;
+};
+
+// The public summary of an event, without its address list.
+const eventSummary = ({ addresses, ...event }) => ({ ...event, addressCount: addresses.length });
+
+module.exports = {
+    migrateToEvents,
+    findEvent,
+    currentEvent,
+    resolveEvent,
+    validateEvent,
+    createEvent,
+    cloneAddresses,
+    eventSummary
+};
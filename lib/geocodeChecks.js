@@ -0,0 +1,96 @@
+// lib/geocodeChecks.js
+// Finds houses whose map location is probably wrong, so an admin can fix them
+// all at once. A house is flagged when it:
+//   missing       - has no coordinates yet
+//   low-precision - was geocoded to its street or town, not the house
+//   duplicate     - shares its exact spot with another house (a street centroid)
+//   out-of-bounds - lies outside the town
+// Locations an admin placed by hand are trusted unless they're out of town.
+const { hasCoordinates, sharedCoordinates } = require('./stats');
+
+// The most locations the bulk editor can save at once
+const MAX_LOCATIONS = 1000;
+
+const insideBounds = (address, bounds) => address.lat >= bounds.south && address.lat <= bounds.north &&
+    address.lon >= bounds.west && address.lon <= bounds.east;
+
+// "south,west,north,east" -> { south, west, north, east }, or null if it isn't a box on the globe
+const parseBounds = (text) => {
+    const parts = String(text).split(',');
+    const [south, west, north, east] = parts.map(part => Number(part.trim()));
+    const valid = parts.length === 4 && [south, west, north, east].every(Number.isFinite) &&
+        south >= -90 && north <= 90 && south < north && west >= -180 && east <= 180 && west < east;
+    return valid ? { south, west, north, east } : null;
+};
+
+const boundsCentre = bounds => ({ lat: (bounds.south + bounds.north) / 2, lon: (bounds.west + bounds.east) / 2 });
+
+// Why each address needs checking: Map of address id -> list of flags
+const addressFlags = (addresses, bounds) => {
+    const flags = new Map();
+    const flag = (address, reason) => {
+        if (!flags.has(address.id)) flags.set(address.id, []);
+        flags.get(address.id).push(reason);
+    };
+
+    const duplicateIds = new Set(sharedCoordinates(addresses)
+        .flatMap(group => group.addresses.map(address => address.id)));
+
+    addresses.forEach((address) => {
+        if (!hasCoordinates(address)) {
+            flag(address, 'missing');
+            return;
+        }
+        const manual = address.geocodePrecision === 'manual';
+        if (['street', 'area'].includes(address.geocodePrecision)) flag(address, 'low-precision');
+        if (!manual && duplicateIds.has(address.id)) flag(address, 'duplicate');
+        if (bounds && !insideBounds(address, bounds)) flag(address, 'out-of-bounds');
+    });
+    return flags;
+};
+
+// The flagged addresses of an event, each with its `flags`
+const flaggedAddresses = (addresses, bounds) => {
+    const flags = addressFlags(addresses, bounds);
+    return addresses.filter(address => flags.has(address.id))
+        .map(address => ({ ...address, flags: flags.get(address.id) }));
+};
+
+// Validate a bulk location update: [{ id, version, lat, lon }]. Returns
+// { error } or { value } with numbers in place of strings.
+const validateLocations = (locations) => {
+    if (!Array.isArray(locations) || locations.length === 0) {
+        return { error: 'locations must be a non-empty list.' };
+    }
+    if (locations.length > MAX_LOCATIONS) {
+        return { error: `No more than ${MAX_LOCATIONS} locations can be saved at once.` };
+    }
+    const value = [];
+    for (const location of locations) {
+        const lat = Number(location && location.lat);
+        const lon = Number(location && location.lon);
+        const version = Number(location && location.version);
+        if (!location || typeof location.id !== 'string') {
+            return { error: 'Each location needs an address id.' };
+        }
+        if (!Number.isInteger(version)) {
+            return { error: 'Each location needs the address version it was moved from.' };
+        }
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+            return { error: 'Each location needs a valid lat and lon.' };
+        }
+        value.push({ id: location.id, version, lat, lon });
+    }
+    if (new Set(value.map(location => location.id)).size !== value.length) {
+        return { error: 'Each address can only appear once.' };
+    }
+    return { value };
+};
+
+module.exports = {
+    MAX_LOCATIONS,
+    parseBounds,
+    boundsCentre,
+    flaggedAddresses,
+    validateLocations
+};
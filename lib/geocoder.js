@@ -0,0 +1,243 @@
+// lib/geocoder.js
+// Turns address text into coordinates. A geocoder wraps a provider (Nominatim,
+// a local gazetteer file, or a fake for tests), caches every successful lookup
+// in the db, and runs a background queue so routes never wait on the network.
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { parseCsv } = require('./addressFormats');
+
+// Lower-case, collapse whitespace and drop the town suffix, so
+// "58 Warri Street  ardlethan nsw 2665" and "58 warri street" share a key.
+const normaliseQuery = (text, townSuffix = '') => {
+    let query = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    const suffix = townSuffix.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (suffix) {
+        // Strip the suffix repeatedly in case it has been duplicated
+        while (query.endsWith(suffix) && query.length > suffix.length) {
+            query = query.substring(0, query.length - suffix.length).trim();
+        }
+    }
+    return query;
+};
+
+// --- Providers ---
+// A provider is an object with a `name` and an async `lookup(query)` that
+// resolves to { lat, lon, precision } or null when nothing was found.
+// `precision` says what was actually found:
+//   house  - the house itself
+//   street - only the street (often its centre point)
+//   area   - only the suburb or town
+
+// How precise a Nominatim result is, from the kind of place it found
+const nominatimPrecision = (place) => {
+    if (['house', 'building'].includes(place.addresstype) || place.class === 'building' || place.type === 'house') {
+        return 'house';
+    }
+    if (place.addresstype === 'road' || place.class === 'highway') {
+        return 'street';
+    }
+    return 'area';
+};
+
+// OpenStreetMap's Nominatim. Requests are serialised and spaced out to respect
+// the public API's one-request-per-second usage policy.
+const createNominatimProvider = ({ countryCodes = 'au', userAgent = 'HalloweenApp/1.0 (server-side)', minIntervalMs = 1000 } = {}) => {
+    let queue = Promise.resolve();
+    let lastRequestAt = 0;
+
+    const request = async (query) => {
+        const wait = lastRequestAt + minIntervalMs - Date.now();
+        if (wait > 0) {
+            await new Promise(res => setTimeout(res, wait));
+        }
+        lastRequestAt = Date.now();
+
+        const geoResponse = await fetch(`https://nominatim.openstreetmap.org/search?format=json&countrycodes=${encodeURIComponent(countryCodes)}&q=${encodeURIComponent(query)}`, {
+            headers: { 'User-Agent': userAgent }
+        });
+        const geoData = await geoResponse.json();
+
+        if (geoData && geoData.length > 0) {
+            const [place] = geoData;
+            return { lat: parseFloat(place.lat), lon: parseFloat(place.lon), precision: nominatimPrecision(place) };
+        }
+        return null;
+    };
+
+    return {
+        name: 'nominatim',
+        lookup(query) {
+            const result = queue.then(() => request(query));
+            queue = result.catch(() => {}); // Keep the chain alive after a failed request
+            return result;
+        }
+    };
+};
+
+// Parse a gazetteer file. JSON is an array of { address, lat, lon } objects;
+// CSV has a header row with `address`, `lat` and `lon` columns. An entry may be
+// a full house address or just a street name, which is used as a fallback.
+const parseGazetteer = (contents, format) => {
+    if (format === 'json') {
+        return JSON.parse(contents).map(entry => ({
+            address: entry.address || entry.text,
+            lat: Number(entry.lat),
+            lon: Number(entry.lon)
+        }));
+    }
+
+    const [headerRow, ...rows] = parseCsv(contents);
+    const headers = headerRow.map(header => header.trim().toLowerCase());
+    const column = name => headers.indexOf(name);
+    return rows.map(row => {
+        const cells = row.map(cell => cell.trim());
+        return {
+            address: cells[column('address')],
+            lat: Number(cells[column('lat')]),
+            lon: Number(cells[column('lon')])
+        };
+    });
+};
+
+// A local, offline lookup table for the town's streets.
+const createGazetteerProvider = ({ file, townSuffix = '' }) => {
+    const format = file.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    const entries = new Map();
+    for (const entry of parseGazetteer(fs.readFileSync(file, 'utf8'), format)) {
+        if (entry.address && Number.isFinite(entry.lat) && Number.isFinite(entry.lon)) {
+            entries.set(normaliseQuery(entry.address, townSuffix), { lat: entry.lat, lon: entry.lon });
+        }
+    }
+
+    return {
+        name: 'gazetteer',
+        async lookup(query) {
+            const key = normaliseQuery(query, townSuffix);
+            if (entries.has(key)) {
+                return { ...entries.get(key), precision: 'house' };
+            }
+            // Fall back to the street if the house number isn't listed
+            const street = key.replace(/^\d+[a-z]?(?:[-/]\d+[a-z]?)?\s+/, '');
+            return entries.has(street) ? { ...entries.get(street), precision: 'street' } : null;
+        }
+    };
+};
+
+// A provider for tests: answers from a fixed table and records every query.
+// Results are house-precise unless they say otherwise.
+const createFakeProvider = (results = {}) => {
+    const calls = [];
+    return {
+        name: 'fake',
+        calls,
+        async lookup(query) {
+            calls.push(query);
+            return results[query] ? { precision: 'house', ...results[query] } : null;
+        }
+    };
+};
+
+const createProvider = (config) => {
+    switch (config.provider) {
+        case 'nominatim':
+            return createNominatimProvider({ countryCodes: config.countryCodes, userAgent: config.userAgent });
+        case 'gazetteer':
+            if (!config.gazetteerFile) {
+                throw new Error('GEOCODER_GAZETTEER_FILE must be set to use the gazetteer geocoder.');
+            }
+            return createGazetteerProvider({ file: config.gazetteerFile, townSuffix: config.townSuffix });
+        case 'fake':
+            return createFakeProvider();
+        default:
+            throw new Error(`Unknown geocoder provider "${config.provider}".`);
+    }
+};
+
+// --- Geocoder ---
+
+// `db` is the app storage (lib/storage). Successful lookups are kept in
+// `db.data.geocodeCache`, keyed by normalised address text.
+const createGeocoder = ({ db, provider, townSuffix = '' }) => {
+    db.data.geocodeCache = db.data.geocodeCache || {};
+
+    const geocode = async (text) => {
+        const key = normaliseQuery(text, townSuffix);
+        const cached = db.geocodeCache.get(key);
+        if (cached) {
+            return { lat: cached.lat, lon: cached.lon, precision: cached.precision };
+        }
+
+        const coords = await provider.lookup(text);
+        if (coords) {
+            db.geocodeCache.set(key, {
+                lat: coords.lat,
+                lon: coords.lon,
+                precision: coords.precision,
+                provider: provider.name,
+                cachedAt: new Date().toISOString()
+            });
+            await db.save();
+            console.log(`Geocoded "${text}" to [${coords.lat}, ${coords.lon}] with ${provider.name}`);
+        }
+        return coords;
+    };
+
+    // --- Background queue ---
+    // Addresses are geocoded one at a time after the request that saved them
+    // has already returned.
+    const pending = [];
+    let running = null;
+
+    const processQueue = async () => {
+        while (pending.length > 0) {
+            const { id, getAddress } = pending.shift();
+            const address = getAddress(id);
+            // Skip addresses that were deleted or located by hand in the meantime
+            if (!address || (address.lat !== undefined && address.lon !== undefined)) continue;
+
+            const text = address.text;
+            try {
+                const coords = await geocode(text);
+                const current = getAddress(id);
+                if (coords && current && current.text === text && current.lat === undefined) {
+                    db.addresses.update(id, { lat: coords.lat, lon: coords.lon, geocodePrecision: coords.precision || null });
+                    await db.save();
+                } else if (!coords) {
+                    console.log(`No geocoding result for "${text}"`);
+                }
+            } catch (error) {
+                console.error('Error geocoding address on server:', text, error);
+            }
+        }
+        running = null;
+    };
+
+    // Queue an address (by id) for geocoding. `getAddress` looks the address up
+    // again when its turn comes, so later edits are respected.
+    const enqueue = (id, getAddress) => {
+        if (!pending.some(item => item.id === id)) {
+            pending.push({ id, getAddress });
+        }
+        if (!running) {
+            running = processQueue();
+        }
+        return running;
+    };
+
+    return {
+        provider,
+        geocode,
+        enqueue,
+        // Resolves once the queue is empty (useful for tests and shutdown)
+        idle: () => running || Promise.resolve()
+    };
+};
+
+module.exports = {
+    createGeocoder,
+    createProvider,
+    createNominatimProvider,
+    createGazetteerProvider,
+    createFakeProvider,
+    normaliseQuery
+};
@@ -0,0 +1,89 @@
+// lib/ical.js
+// An iCalendar (RFC 5545) feed with one event for the trick-or-treat night,
+// so people can add it to their calendars or subscribe to changes. Times are
+// written in UTC, converted from the event's local times in `timeZone`.
+
+// The offset of `timeZone` from UTC at the instant `utcMs`, in milliseconds
+const zoneOffset = (utcMs, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(utcMs)).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(utcMs / 1000) * 1000;
+};
+
+// The instant of a local "YYYY-MM-DD" date and "HH:MM" time in `timeZone`
+const zonedTime = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const local = Date.UTC(year, month - 1, day, hours, minutes);
+    // Guess with the offset at the local time, then correct across a DST change
+    const guess = local - zoneOffset(local, timeZone);
+    return new Date(local - zoneOffset(guess, timeZone));
+};
+
+// 20251031T060000Z
+const utcStamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([;,])/g, '\\$1');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const folded = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (folded.length === 0 ? 75 : 74)) {
+            folded.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+};
+
+// The calendar for `event`. `url` links to the event's map and `host` makes
+// the event's UID unique to this site.
+const eventCalendar = (event, { url, host, timeZone, now = new Date() }) => {
+    const start = zonedTime(event.date, event.startTime, timeZone);
+    let end = zonedTime(event.date, event.endTime, timeZone);
+    if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60 * 1000); // Runs past midnight
+
+    const description = [
+        `The trick-or-treat map: ${url}`,
+        event.emergencyContact && `Emergency contact: ${event.emergencyContact}`
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${host}//Halloween map//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(event.name)}`,
+        'BEGIN:VEVENT',
+        `UID:event-${event.year}@${host}`,
+        `DTSTAMP:${utcStamp(now)}`,
+        `DTSTART:${utcStamp(start)}`,
+        `DTEND:${utcStamp(end)}`,
+        `SUMMARY:${escapeText(event.name)}`,
+        event.meetingPoint && `LOCATION:${escapeText(event.meetingPoint)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${url}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    zonedTime,
+    eventCalendar
+};
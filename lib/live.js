@@ -0,0 +1,48 @@
+// lib/live.js
+// Pushes updates to every open map with Server-Sent Events. Clients subscribe
+// to one event (year) and receive messages published for it.
+
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle connections
+
+const createBroadcaster = () => {
+    const clients = new Set();
+
+    // Turn an Express response into an event stream for `eventYear`.
+    const subscribe = (req, res, eventYear) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx-style proxies buffering the stream
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const client = { res, eventYear };
+        clients.add(client);
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+    };
+
+    // Send `data` as a `type` message to everyone watching `eventYear`.
+    const publish = (eventYear, type, data) => {
+        const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of clients) {
+            if (client.eventYear === eventYear) {
+                client.res.write(message);
+            }
+        }
+    };
+
+    return {
+        subscribe,
+        publish,
+        clientCount: () => clients.size
+    };
+};
+
+module.exports = { createBroadcaster };
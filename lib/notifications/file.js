@@ -0,0 +1,19 @@
+// lib/notifications/file.js
+// For local testing: appends each message to a file as a line of JSON, or
+// notes who it was for on the console when no file is set. Nothing is actually
+// sent. The console never gets the text, which can hold a resident's private
+// manage link.
+const fs = require('fs/promises');
+
+const createFileTransport = ({ file } = {}) => ({
+    name: 'file',
+    send: async (message) => {
+        if (file) {
+            await fs.appendFile(file, `${JSON.stringify({ at: new Date().toISOString(), ...message })}\n`);
+        } else {
+            console.log(`Message "${message.subject}" not sent (set NOTIFY_FILE to keep a copy).`);
+        }
+    }
+});
+
+module.exports = { createFileTransport };
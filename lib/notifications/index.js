@@ -0,0 +1,262 @@
+// lib/notifications/index.js
+// Messages to residents and organisers. Every message goes into an outbox
+// (`db.data.outbox`, saved as a setting) first and is sent from there in the background, so a
+// slow or broken mail server never holds up a request. Failed sends are
+// retried with growing gaps before the message is marked failed.
+//
+// Transports, chosen by config:
+//   file    - append to a file, or print to the console (local testing)
+//   smtp    - email through an SMTP server
+//   webhook - POST each message as JSON to a URL
+//   memory  - keep messages in memory (tests)
+const crypto = require('crypto');
+const { renderTemplate } = require('./templates');
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+const { createWebhookTransport } = require('./webhook');
+const { createMemoryTransport } = require('./memory');
+
+const TRANSPORTS = ['file', 'smtp', 'webhook', 'memory'];
+
+const MINUTE_MS = 60 * 1000;
+// Wait this long after each failed attempt; after the last, give up
+const RETRY_DELAYS_MS = [1, 5, 30, 120].map(minutes => minutes * MINUTE_MS);
+// Sent and failed messages are kept this long for the admin page
+const KEEP_MS = 30 * 24 * 60 * MINUTE_MS;
+
+const createTransport = (config) => {
+    switch (config.transport) {
+        case 'file':
+            return createFileTransport({ file: config.file });
+        case 'smtp':
+            if (!config.smtpUrl) throw new Error('SMTP_URL must be set to send email.');
+            return createSmtpTransport({ smtpUrl: config.smtpUrl, from: config.from });
+        case 'webhook':
+            if (!config.webhookUrl) throw new Error('NOTIFY_WEBHOOK_URL must be set to use the webhook transport.');
+            return createWebhookTransport({ webhookUrl: config.webhookUrl, from: config.from });
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown notification transport "${config.transport}".`);
+    }
+};
+
+// Unique email addresses of an event's registrations with one of `statuses`
+const residentEmails = (data, eventYear, statuses = ['pending', 'approved']) => [...new Set(
+    (data.registrations || [])
+        .filter(registration => registration.eventYear === eventYear && statuses.includes(registration.status))
+        .map(registration => registration.email)
+)];
+
+// The date ("YYYY-MM-DD") and hour it is in `timeZone` at the instant `now`
+const zonedDateAndHour = (now, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+};
+
+// What the outbox list on the admin page shows
+const publicMessage = ({ id, template, to, subject, status, attempts, lastError, createdAt, sentAt, nextAttemptAt }) =>
+    ({ id, template, to, subject, status, attempts, lastError, createdAt, sentAt, nextAttemptAt });
+
+// `db` is the app storage. `publicUrl` is where the site is reachable, for
+// links in messages. `adminEmails` is a comma-separated list of organisers.
+// `townName` signs off the messages. Reminders go out at `reminderHour` in `timeZone`.
+const createNotifier = ({ db, transport, publicUrl = 'http://localhost:3000', adminEmails = '', reminderHour = 9, timeZone = 'Australia/Sydney', townName = 'Ardlethan' }) => {
+    db.data.outbox = db.data.outbox || [];
+    const organisers = adminEmails.split(',').map(email => email.trim()).filter(Boolean);
+    const link = path => new URL(path, publicUrl).toString();
+    let running = null;
+    let timer = null;
+
+    // Links every template can use, for the given event
+    const eventLinks = event => ({
+        mapUrl: link(`/?event=${event.year}`),
+        rulesUrl: link(`/rules.html?event=${event.year}`),
+        adminUrl: link('/admin.html')
+    });
+
+    // --- Outbox ---
+
+    // Queue a message from `template` to each address in `to`. The caller saves
+    // the data (usually along with the change that caused the message).
+    const queue = (template, to, details) => {
+        const { subject, text } = renderTemplate(template, { ...details, townName });
+        const now = new Date().toISOString();
+        const messages = [...new Set(to)].map(address => ({
+            id: crypto.randomUUID(),
+            template,
+            to: address,
+            subject,
+            text,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now
+        }));
+        if (messages.length > 0) {
+            db.settings.change('outbox', () => db.data.outbox.push(...messages));
+            sendSoon();
+        }
+        return messages;
+    };
+
+    const markSent = (message) => {
+        message.status = 'sent';
+        message.sentAt = new Date().toISOString();
+        delete message.nextAttemptAt;
+        delete message.lastError;
+        delete message.text; // It can hold a resident's private manage link
+    };
+
+    const markFailedAttempt = (message, err) => {
+        message.attempts += 1;
+        message.lastError = err.message;
+        if (message.attempts > RETRY_DELAYS_MS.length) {
+            message.status = 'failed';
+            delete message.nextAttemptAt;
+            console.error(`Giving up sending "${message.subject}" to ${message.to}:`, err.message);
+        } else {
+            message.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[message.attempts - 1]).toISOString();
+        }
+    };
+
+    // Try a message once, then update it with how that went
+    const sendOne = async (message) => {
+        let error = null;
+        try {
+            await transport.send({ to: message.to, subject: message.subject, text: message.text, template: message.template });
+        } catch (err) {
+            error = err;
+        }
+        db.settings.change('outbox', () => (error ? markFailedAttempt(message, error) : markSent(message)));
+    };
+
+    // Send every pending message that's due, one at a time
+    const processOutbox = async () => {
+        let due;
+        while ((due = db.data.outbox.find(message => message.status === 'pending' && Date.parse(message.nextAttemptAt) <= Date.now()))) {
+            await sendOne(due);
+            await db.save();
+        }
+    };
+
+    const send = () => {
+        if (!running) {
+            running = processOutbox().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    };
+
+    // Send in the background, after the caller has saved. Nothing waits on
+    // this, so a failed save is logged here (the next tick tries again).
+    const sendSoon = () => setImmediate(() => send().catch((err) => {
+        console.error('Sending notifications failed:', err);
+    }));
+
+    // Send a failed message again from the start
+    const retry = (id) => {
+        const message = db.data.outbox.find(m => m.id === id);
+        if (!message || message.status !== 'failed') return null;
+        db.settings.change('outbox', () => Object.assign(message, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() }));
+        sendSoon();
+        return message;
+    };
+
+    const prune = (now = Date.now()) => {
+        const kept = db.data.outbox.filter(message => message.status === 'pending' || now - Date.parse(message.createdAt) < KEEP_MS);
+        const removed = db.data.outbox.length - kept.length;
+        if (removed > 0) {
+            db.settings.change('outbox', () => {
+                db.data.outbox = kept;
+            });
+        }
+        return removed;
+    };
+
+    // --- Messages ---
+
+    const registrationReceived = (event, registration, token) => {
+        const manageUrl = link(`/register.html?id=${encodeURIComponent(registration.id)}&token=${encodeURIComponent(token)}`);
+        queue('registrationReceived', [registration.email], { event, registration, manageUrl });
+        queue('registrationToReview', organisers, { event, registration, ...eventLinks(event) });
+    };
+
+    const registrationApproved = (event, registration) =>
+        queue('registrationApproved', [registration.email], { event, registration, ...eventLinks(event) });
+
+    const registrationRejected = (event, registration) =>
+        queue('registrationRejected', [registration.email], { event, registration });
+
+    const rulesChanged = event =>
+        queue('rulesChanged', residentEmails(db.data, event.year), { event, ...eventLinks(event) });
+
+    const broadcast = (event, { subject, body }) =>
+        queue('broadcast', residentEmails(db.data, event.year), { event, subject, body });
+
+    // On the day of each open event, from `reminderHour` in the town's time
+    // zone, remind every approved house once.
+    const queueEventReminders = (now = new Date()) => {
+        const { date: today, hour } = zonedDateAndHour(now, timeZone);
+        if (hour < reminderHour) return 0;
+        let queued = 0;
+        for (const event of db.data.events) {
+            if (event.archived || event.date !== today || event.reminderSentAt) continue;
+            queued += queue('eventReminder', residentEmails(db.data, event.year, ['approved']), { event, ...eventLinks(event) }).length;
+            db.events.update(event.year, { reminderSentAt: now.toISOString() });
+        }
+        return queued;
+    };
+
+    // Check for reminders and retries every minute (and straight away)
+    const start = () => {
+        if (timer) return;
+        const tick = async () => {
+            try {
+                if (queueEventReminders() > 0 || prune() > 0) await db.save();
+                await send();
+            } catch (err) {
+                console.error('Notification check failed:', err);
+            }
+        };
+        tick();
+        timer = setInterval(tick, MINUTE_MS);
+        timer.unref(); // Don't keep the process alive just for this
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        transport,
+        queue,
+        retry,
+        prune,
+        registrationReceived,
+        registrationApproved,
+        registrationRejected,
+        rulesChanged,
+        broadcast,
+        queueEventReminders,
+        start,
+        stop,
+        // Resolves once everything due has been tried (useful for tests)
+        idle: () => new Promise(resolve => setImmediate(resolve)).then(() => running || Promise.resolve())
+    };
+};
+
+module.exports = {
+    TRANSPORTS,
+    createTransport,
+    createNotifier,
+    createMemoryTransport,
+    residentEmails,
+    publicMessage
+};
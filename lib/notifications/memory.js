@@ -0,0 +1,18 @@
+// lib/notifications/memory.js
+// A transport for tests: keeps every message it's given in `sent`. Set
+// `failWith` to an error message to make sends fail.
+
+const createMemoryTransport = () => {
+    const transport = {
+        name: 'memory',
+        sent: [],
+        failWith: null,
+        send: async (message) => {
+            if (transport.failWith) throw new Error(transport.failWith);
+            transport.sent.push(message);
+        }
+    };
+    return transport;
+};
+
+module.exports = { createMemoryTransport };
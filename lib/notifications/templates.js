@@ -0,0 +1,73 @@
+// lib/notifications/templates.js
+// The messages the app sends. Each template takes the details it needs and
+// returns { subject, text }. Links are absolute, built from PUBLIC_URL, and
+// `townName` signs off messages to residents.
+
+const formatDate = date => new Date(`${date}T00:00:00`).toLocaleDateString('en-AU', { weekday: 'long', day: 'numeric', month: 'long' });
+
+// "Friday 31 October, 17:00 to 21:00"
+const when = (event) => {
+    const parts = [event.date && formatDate(event.date)];
+    if (event.startTime && event.endTime) parts.push(`${event.startTime} to ${event.endTime}`);
+    return parts.filter(Boolean).join(', ');
+};
+
+const signOff = townName => `\n\nHappy Halloween!\nThe ${townName} Halloween organisers`;
+
+const TEMPLATES = {
+    // To the resident, straight after they register
+    registrationReceived: ({ event, registration, manageUrl, townName }) => ({
+        subject: `We've received your registration for ${event.name}`,
+        text: `Thanks for registering ${registration.address} for ${event.name}.\n\n` +
+            'An organiser will check it and add your house to the map. We\'ll email you when they do.\n\n' +
+            `To change your details or withdraw, use this link (keep it private):\n${manageUrl}` + signOff(townName)
+    }),
+
+    // To the organisers, so they know there's something to review
+    registrationToReview: ({ event, registration, adminUrl }) => ({
+        subject: `New registration: ${registration.address}`,
+        text: `${registration.address} has registered for ${event.name}.\n\n` +
+            (registration.instructions ? `Instructions: ${registration.instructions}\n\n` : '') +
+            `Approve or reject it on the admin page:\n${adminUrl}`
+    }),
+
+    registrationApproved: ({ event, registration, mapUrl, townName }) => ({
+        subject: `Your house is on the ${event.name} map`,
+        text: `Good news: ${registration.address} is now on the trick-or-treat map.\n\n` +
+            `${when(event) ? `The night is ${when(event)}.\n\n` : ''}See the map: ${mapUrl}` + signOff(townName)
+    }),
+
+    registrationRejected: ({ event, registration, townName }) => ({
+        subject: `Your registration for ${event.name}`,
+        text: `Sorry, we couldn't add ${registration.address} to the ${event.name} map. ` +
+            'If you think this is a mistake, please get in touch with the organisers.' + signOff(townName)
+    }),
+
+    // To every approved house on the morning of the night
+    eventReminder: ({ event, mapUrl, rulesUrl, townName }) => ({
+        subject: `Tonight: ${event.name}`,
+        text: `Just a reminder that ${event.name} is on tonight${event.startTime && event.endTime ? `, ${event.startTime} to ${event.endTime}` : ''}.\n\n` +
+            (event.meetingPoint ? `Meeting point: ${event.meetingPoint}\n` : '') +
+            (event.emergencyContact ? `Emergency contact: ${event.emergencyContact}\n` : '') +
+            `\nThe map: ${mapUrl}\nThe rules: ${rulesUrl}` + signOff(townName)
+    }),
+
+    rulesChanged: ({ event, rulesUrl, townName }) => ({
+        subject: `The rules for ${event.name} have changed`,
+        text: `The organisers have updated the rules for ${event.name}. Please take a minute to read them:\n${rulesUrl}` + signOff(townName)
+    }),
+
+    // Written by an admin on the admin page
+    broadcast: ({ subject, body, townName }) => ({ subject, text: body + signOff(townName) })
+};
+
+const renderTemplate = (name, details) => {
+    const template = TEMPLATES[name];
+    if (!template) throw new Error(`Unknown message template "${name}".`);
+    return template(details);
+};
+
+module.exports = {
+    TEMPLATES,
+    renderTemplate
+};
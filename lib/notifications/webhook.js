@@ -0,0 +1,20 @@
+// lib/notifications/webhook.js
+// POSTs each message as JSON to a URL, for hooking up a chat app, an SMS
+// gateway or a mail service's HTTP API. Anything but a 2xx counts as a failure.
+const fetch = require('node-fetch');
+
+const createWebhookTransport = ({ webhookUrl, from }) => ({
+    name: 'webhook',
+    send: async (message) => {
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ from, ...message })
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+        }
+    }
+});
+
+module.exports = { createWebhookTransport };
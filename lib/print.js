@@ -0,0 +1,316 @@
+// lib/print.js
+// A printable sheet for an event: a map of the houses with numbered markers,
+// the matching numbered list of addresses, the rules and a QR code linking to
+// the live map. It's all drawn here from the event's own data (no map tiles or
+// outside services) as a list of shapes, which is then written out as SVG or PDF.
+const PDFDocument = require('pdfkit');
+const qrcode = require('qrcode-generator');
+const { addressStreet, hasCoordinates } = require('./stats');
+const { rulesText } = require('./rules');
+
+// Page sizes in points (1/72 inch), portrait
+const PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89, columns: 2 },
+    a3: { width: 841.89, height: 1190.55, columns: 3 }
+};
+const FORMATS = ['pdf', 'svg'];
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 96;
+const COLUMN_GAP = 18;
+const MARKER_RADIUS = 7;
+const METRES_PER_DEGREE = 111320;
+
+const COLOURS = {
+    text: '#222222',
+    muted: '#666666',
+    map: '#f4f1ea',
+    frame: '#999999',
+    marker: '#e8751a',
+    markerText: '#ffffff'
+};
+
+// Helvetica is about half an em wide on average; err on the wide side so
+// wrapped lines fit in both SVG and PDF.
+const textWidth = (text, size, bold) => text.length * size * (bold ? 0.56 : 0.52);
+
+const wrapText = (text, width, size, bold) => {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && textWidth(next, size, bold) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+};
+
+// "Friday 31 October 2025, 17:00 to 21:00"
+const eventWhen = (event) => {
+    const parts = [];
+    if (event.date) {
+        parts.push(new Date(`${event.date}T00:00:00`).toLocaleDateString('en-AU', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }));
+    }
+    if (event.startTime && event.endTime) parts.push(`${event.startTime} to ${event.endTime}`);
+    return parts.join(', ');
+};
+
+// Houses in the order they're numbered: by street, then house number
+const numberedHouses = (addresses, townSuffix) => addresses
+    .map(address => ({ address, street: addressStreet(address, townSuffix), number: parseInt(address.number || address.text, 10) || 0 }))
+    .sort((a, b) => a.street.localeCompare(b.street) || a.number - b.number || a.address.text.localeCompare(b.address.text))
+    .map(({ address }, index) => ({ ...address, number: index + 1 }));
+
+// --- Map ---
+
+// A round length for the scale bar that's no longer than `maxMetres`
+const scaleLength = (maxMetres) => {
+    const steps = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
+    return steps.filter(step => step <= maxMetres).pop() || steps[0];
+};
+
+// Place the houses in the box { x, y, width, height }, keeping distances true
+// in both directions. `bounds` is used when no house has coordinates.
+const drawMap = (houses, box, bounds) => {
+    const shapes = [{ type: 'rect', x: box.x, y: box.y, width: box.width, height: box.height, fill: COLOURS.map, stroke: COLOURS.frame }];
+    const located = houses.filter(hasCoordinates);
+    let { south, west, north, east } = bounds;
+    if (located.length > 0) {
+        south = Math.min(...located.map(house => house.lat));
+        north = Math.max(...located.map(house => house.lat));
+        west = Math.min(...located.map(house => house.lon));
+        east = Math.max(...located.map(house => house.lon));
+    }
+
+    // Metres from the south-west corner, with room around the edge for markers
+    const lonScale = Math.cos(((south + north) / 2) * Math.PI / 180);
+    const spanX = Math.max((east - west) * lonScale * METRES_PER_DEGREE, 100);
+    const spanY = Math.max((north - south) * METRES_PER_DEGREE, 100);
+    const inner = MARKER_RADIUS * 3;
+    const pointsPerMetre = Math.min((box.width - inner * 2) / spanX, (box.height - inner * 2) / spanY);
+    const centreX = box.x + box.width / 2;
+    const centreY = box.y + box.height / 2;
+    const project = house => ({
+        x: centreX + (((house.lon - west) * lonScale * METRES_PER_DEGREE) - spanX / 2) * pointsPerMetre,
+        y: centreY - (((house.lat - south) * METRES_PER_DEGREE) - spanY / 2) * pointsPerMetre
+    });
+
+    // Houses at the same spot (geocoded to their street) are nudged apart
+    const placed = [];
+    located.forEach((house) => {
+        let { x, y } = project(house);
+        while (placed.some(point => Math.hypot(point.x - x, point.y - y) < MARKER_RADIUS * 1.5)) {
+            x += MARKER_RADIUS * 2;
+        }
+        placed.push({ x, y });
+        shapes.push(
+            { type: 'circle', x, y, r: MARKER_RADIUS, fill: COLOURS.marker, stroke: COLOURS.markerText },
+            { type: 'text', x, y: y + 2.5, text: String(house.number), size: house.number > 99 ? 5.5 : 7, bold: true, fill: COLOURS.markerText, anchor: 'middle' }
+        );
+    });
+
+    // North arrow and scale bar in the corners
+    const northX = box.x + box.width - 18;
+    shapes.push(
+        { type: 'line', x1: northX, y1: box.y + 30, x2: northX, y2: box.y + 12, stroke: COLOURS.text },
+        { type: 'line', x1: northX - 4, y1: box.y + 17, x2: northX, y2: box.y + 12, stroke: COLOURS.text },
+        { type: 'line', x1: northX + 4, y1: box.y + 17, x2: northX, y2: box.y + 12, stroke: COLOURS.text },
+        { type: 'text', x: northX, y: box.y + 40, text: 'N', size: 8, bold: true, fill: COLOURS.text, anchor: 'middle' }
+    );
+    const metres = scaleLength(box.width / 4 / pointsPerMetre);
+    const barX = box.x + 12;
+    const barY = box.y + box.height - 12;
+    shapes.push(
+        { type: 'line', x1: barX, y1: barY, x2: barX + metres * pointsPerMetre, y2: barY, stroke: COLOURS.text },
+        { type: 'text', x: barX, y: barY - 4, text: metres >= 1000 ? `${metres / 1000} km` : `${metres} m`, size: 7, fill: COLOURS.text }
+    );
+    return shapes;
+};
+
+// --- QR Code ---
+
+// Dark modules as rectangles, merged along each row
+const drawQrCode = (text, x, y, size) => {
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    const count = qr.getModuleCount();
+    const cell = size / count;
+    const shapes = [{ type: 'rect', x, y, width: size, height: size, fill: '#ffffff' }];
+    for (let row = 0; row < count; row++) {
+        let start = null;
+        for (let col = 0; col <= count; col++) {
+            const dark = col < count && qr.isDark(row, col);
+            if (dark && start === null) start = col;
+            if (!dark && start !== null) {
+                shapes.push({ type: 'rect', x: x + start * cell, y: y + row * cell, width: (col - start) * cell, height: cell, fill: '#000000' });
+                start = null;
+            }
+        }
+    }
+    return shapes;
+};
+
+// --- Sheet ---
+
+// Lay the sheet out. Returns { width, height, title, shapes }, where each
+// shape is a text, rect, circle or line in points from the top left.
+// `mapUrl` is the live map the QR code links to; `bounds` is the town, for
+// events with no located houses yet.
+const printSheet = (event, { size = 'a4', mapUrl, townSuffix = '', bounds }) => {
+    const page = PAGE_SIZES[size];
+    const shapes = [];
+    const text = (x, y, value, options = {}) => shapes.push({ type: 'text', x, y, text: value, size: 9, fill: COLOURS.text, ...options });
+
+    // Header, with the QR code on the right
+    const qrSize = HEADER_HEIGHT - 16;
+    const qrX = page.width - MARGIN - qrSize;
+    shapes.push(...drawQrCode(mapUrl, qrX, MARGIN, qrSize));
+    text(qrX + qrSize / 2, MARGIN + qrSize + 10, 'Scan for the live map', { size: 7, fill: COLOURS.muted, anchor: 'middle' });
+
+    const headerWidth = qrX - MARGIN - COLUMN_GAP;
+    text(MARGIN, MARGIN + 20, wrapText(event.name, headerWidth, 20, true)[0] || '', { size: 20, bold: true });
+    const details = [
+        eventWhen(event),
+        event.meetingPoint && `Meeting point: ${event.meetingPoint}`,
+        event.emergencyContact && `Emergency contact: ${event.emergencyContact}`
+    ].filter(Boolean);
+    details.slice(0, 3).forEach((line, index) => {
+        text(MARGIN, MARGIN + 40 + index * 13, wrapText(line, headerWidth, 10)[0] || '', { size: 10 });
+    });
+    text(MARGIN, MARGIN + HEADER_HEIGHT - 6, mapUrl, { size: 8, fill: COLOURS.muted });
+
+    // The map takes the top half of what's left
+    const houses = numberedHouses(event.addresses, townSuffix);
+    const mapTop = MARGIN + HEADER_HEIGHT;
+    const mapHeight = (page.height - MARGIN - mapTop) * 0.5;
+    shapes.push(...drawMap(houses, { x: MARGIN, y: mapTop, width: page.width - MARGIN * 2, height: mapHeight }, bounds));
+
+    // The list and rules flow down the columns below it
+    const columnWidth = (page.width - MARGIN * 2 - COLUMN_GAP * (page.columns - 1)) / page.columns;
+    const flowTop = mapTop + mapHeight + 20;
+    const flowBottom = page.height - MARGIN - 12;
+    let column = 0;
+    let y = flowTop;
+    let full = false;
+    const write = (value, { size: fontSize = 8, bold = false, indent = 0, fill = COLOURS.text, gap = 0 } = {}) => {
+        for (const [index, line] of wrapText(value, columnWidth - indent, fontSize, bold).entries()) {
+            if (full) return;
+            const lineHeight = fontSize * 1.3 + (index === 0 ? gap : 0);
+            if (y + lineHeight > flowBottom) {
+                column += 1;
+                y = flowTop;
+                if (column >= page.columns) {
+                    full = true;
+                    return;
+                }
+            }
+            y += y === flowTop ? fontSize : lineHeight;
+            text(MARGIN + column * (columnWidth + COLUMN_GAP) + indent, y, line, { size: fontSize, bold, fill });
+        }
+    };
+
+    write('Houses', { size: 11, bold: true });
+    write('Each number on the map matches a house below. Only visit houses on this list, and knock only where the lights are on.', { fill: COLOURS.muted, gap: 2 });
+    houses.forEach((house) => {
+        const place = hasCoordinates(house) ? '' : ' (not on the map)';
+        write(`${house.number}. ${house.text}${place}`, { bold: true, gap: 4 });
+        if (house.instructions) write(house.instructions, { indent: 10, fill: COLOURS.muted });
+    });
+    const rules = rulesText(event.rules);
+    if (rules.length > 0) {
+        write('Rules', { size: 11, bold: true, gap: 10 });
+        rules.forEach(line => write(line, { gap: 2 }));
+    }
+    if (full) {
+        text(page.width - MARGIN, page.height - MARGIN, 'Continued on the live map.', { size: 8, bold: true, anchor: 'end' });
+    }
+
+    text(MARGIN, page.height - MARGIN, `Printed ${new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' })}`, { size: 7, fill: COLOURS.muted });
+    return { width: page.width, height: page.height, title: event.name, shapes };
+};
+
+// --- Output ---
+
+const escapeXml = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+const round = value => Math.round(value * 100) / 100;
+const SVG_ANCHORS = { start: 'start', middle: 'middle', end: 'end' };
+
+const svgShape = (shape) => {
+    switch (shape.type) {
+        case 'text':
+            return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${shape.size}"${shape.bold ? ' font-weight="bold"' : ''}` +
+                ` fill="${shape.fill}" text-anchor="${SVG_ANCHORS[shape.anchor] || 'start'}">${escapeXml(shape.text)}</text>`;
+        case 'rect':
+            return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.width)}" height="${round(shape.height)}"` +
+                ` fill="${shape.fill || 'none'}"${shape.stroke ? ` stroke="${shape.stroke}"` : ''}/>`;
+        case 'circle':
+            return `<circle cx="${round(shape.x)}" cy="${round(shape.y)}" r="${shape.r}" fill="${shape.fill}" stroke="${shape.stroke}"/>`;
+        case 'line':
+            return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" stroke="${shape.stroke}" stroke-width="1.5"/>`;
+        default:
+            throw new Error(`Unknown shape "${shape.type}".`);
+    }
+};
+
+const renderSvg = sheet => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(sheet.width)}pt" height="${round(sheet.height)}pt"` +
+        ` viewBox="0 0 ${round(sheet.width)} ${round(sheet.height)}" font-family="Helvetica, Arial, sans-serif">`,
+    `<title>${escapeXml(sheet.title)}</title>`,
+    ...sheet.shapes.map(svgShape),
+    '</svg>',
+    ''
+].join('\n');
+
+// Resolves to the PDF as a Buffer
+const renderPdf = sheet => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [sheet.width, sheet.height], margin: 0, info: { Title: sheet.title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const shape of sheet.shapes) {
+        switch (shape.type) {
+            case 'text': {
+                doc.font(shape.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(shape.size).fillColor(shape.fill);
+                const width = doc.widthOfString(shape.text);
+                const x = shape.anchor === 'middle' ? shape.x - width / 2 : shape.anchor === 'end' ? shape.x - width : shape.x;
+                // PDFKit places text by its top; ours is placed by the baseline
+                doc.text(shape.text, x, shape.y - shape.size * 0.718, { lineBreak: false });
+                break;
+            }
+            case 'rect':
+                doc.rect(shape.x, shape.y, shape.width, shape.height);
+                if (shape.fill && shape.stroke) doc.fillAndStroke(shape.fill, shape.stroke);
+                else if (shape.fill) doc.fill(shape.fill);
+                else doc.stroke(shape.stroke);
+                break;
+            case 'circle':
+                doc.circle(shape.x, shape.y, shape.r).fillAndStroke(shape.fill, shape.stroke);
+                break;
+            case 'line':
+                doc.lineWidth(1.5).moveTo(shape.x1, shape.y1).lineTo(shape.x2, shape.y2).stroke(shape.stroke);
+                doc.lineWidth(1);
+                break;
+            default:
+                return reject(new Error(`Unknown shape "${shape.type}".`));
+        }
+    }
+    doc.end();
+});
+
+module.exports = {
+    PAGE_SIZES,
+    FORMATS,
+    numberedHouses,
+    printSheet,
+    renderSvg,
+    renderPdf
+};
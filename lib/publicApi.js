@@ -0,0 +1,59 @@
+// lib/publicApi.js
+// The read-only public API (/api/v1) that other sites build on. The shapes
+// here are a promise to those sites: within a version, fields are only ever
+// added, never renamed or removed. Responses carry ETag and Last-Modified
+// headers so clients can poll without downloading unchanged data.
+const crypto = require('crypto');
+
+// An event as the API shows it. `links` are absolute URLs for it.
+const apiEvent = (event, links) => ({
+    year: event.year,
+    name: event.name,
+    date: event.date,
+    startTime: event.startTime,
+    endTime: event.endTime,
+    meetingPoint: event.meetingPoint || null,
+    emergencyContact: event.emergencyContact || null,
+    archived: Boolean(event.archived),
+    houseCount: event.addresses.length,
+    links
+});
+
+// A house as the API shows it (never its status link or edit history)
+const apiHouse = address => ({
+    id: address.id,
+    address: address.text,
+    number: address.number || null,
+    street: address.street || null,
+    suburb: address.suburb || null,
+    state: address.state || null,
+    postcode: address.postcode || null,
+    instructions: address.instructions || null,
+    lat: typeof address.lat === 'number' ? address.lat : null,
+    lon: typeof address.lon === 'number' ? address.lon : null,
+    tags: address.tags || [],
+    status: address.status || 'open',
+    statusUpdatedAt: address.statusUpdatedAt || null
+});
+
+// Remembers when the content under each key last changed. Returns
+// (key, content) => { etag, lastModified }. The data has no change times of
+// its own, so a change is dated from when this server first saw it.
+const createCacheValidators = () => {
+    const seen = new Map();
+    return (key, content) => {
+        const etag = `"${crypto.createHash('sha1').update(JSON.stringify(content)).digest('base64url')}"`;
+        const previous = seen.get(key);
+        if (previous && previous.etag === etag) return previous;
+        // HTTP dates have whole seconds
+        const validator = { etag, lastModified: new Date(Math.floor(Date.now() / 1000) * 1000) };
+        seen.set(key, validator);
+        return validator;
+    };
+};
+
+module.exports = {
+    apiEvent,
+    apiHouse,
+    createCacheValidators
+};
@@ -0,0 +1,69 @@
+// lib/registrations.js
+// Residents register their own house; an admin approves it onto the map.
+// Each registration has a random token that lets the resident edit or
+// withdraw it later. Only a hash of the token is stored.
+const crypto = require('crypto');
+const { createToken, hashToken, tokenMatches } = require('./tokens');
+
+const verifyToken = (registration, token) => tokenMatches(registration.tokenHash, token);
+
+// Validate the resident-editable fields. When `partial` is true, missing
+// fields are allowed. Returns { error } or { value } with the cleaned fields.
+const validateRegistration = (body, partial = false) => {
+    const value = {};
+
+    if (body.address !== undefined || !partial) {
+        if (typeof body.address !== 'string' || !body.address.trim()) {
+            return { error: 'Street address is required.' };
+        }
+        if (body.address.length > 200) {
+            return { error: 'Street address must be 200 characters or fewer.' };
+        }
+        value.address = body.address.trim();
+    }
+
+    if (body.instructions !== undefined && body.instructions !== null) {
+        if (typeof body.instructions !== 'string' || body.instructions.length > 500) {
+            return { error: 'Instructions must be 500 characters or fewer.' };
+        }
+        value.instructions = body.instructions.trim();
+    }
+
+    if (body.email !== undefined || !partial) {
+        if (typeof body.email !== 'string' || body.email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email.trim())) {
+            return { error: 'A valid contact email is required.' };
+        }
+        value.email = body.email.trim().toLowerCase();
+    }
+
+    return { value };
+};
+
+// Create a pending registration. Returns the registration and the plain token,
+// which is only ever shown to the resident once.
+const createRegistration = (fields, eventYear) => {
+    const token = createToken();
+    const now = new Date().toISOString();
+    const registration = {
+        id: crypto.randomUUID(),
+        eventYear,
+        address: fields.address,
+        instructions: fields.instructions || '',
+        email: fields.email,
+        status: 'pending', // 'pending', 'approved', 'rejected' or 'withdrawn'
+        tokenHash: hashToken(token),
+        createdAt: now,
+        updatedAt: now
+    };
+    return { registration, token };
+};
+
+// What the resident sees: everything except the token hash.
+const publicRegistration = ({ tokenHash, ...registration }) => registration;
+
+module.exports = {
+    verifyToken,
+    validateRegistration,
+    createRegistration,
+    publicRegistration
+};
@@ -0,0 +1,91 @@
+// lib/route.js
+// Orders houses into a short walking tour: a nearest-neighbour tour from the
+// starting point, improved with 2-opt. Distances are straight-line (haversine),
+// which is close enough for a few streets of a small town.
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance in metres between two { lat, lon } points.
+const haversine = (a, b) => {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Visit the closest unvisited point each time. `points[0]` is the start.
+// Returns an array of indexes into `points`, beginning with 0.
+const nearestNeighbour = (points, distance) => {
+    const order = [0];
+    const unvisited = new Set(points.map((point, index) => index).slice(1));
+    while (unvisited.size > 0) {
+        const last = order[order.length - 1];
+        let closest = null;
+        for (const index of unvisited) {
+            if (closest === null || distance(last, index) < distance(last, closest)) {
+                closest = index;
+            }
+        }
+        order.push(closest);
+        unvisited.delete(closest);
+    }
+    return order;
+};
+
+// Reverse sections of the tour while that makes it shorter. The start stays
+// first and the tour doesn't return to it, so the last stop is free to move.
+const twoOpt = (order, distance, maxPasses = 50) => {
+    const tour = [...order];
+    const legLength = (i, j) => (j < tour.length ? distance(tour[i], tour[j]) : 0);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let improved = false;
+        for (let i = 0; i < tour.length - 2; i++) {
+            for (let j = i + 2; j < tour.length; j++) {
+                // Swap edges (i, i+1) and (j, j+1) for (i, j) and (i+1, j+1)
+                const before = legLength(i, i + 1) + legLength(j, j + 1);
+                const after = distance(tour[i], tour[j]) + legLength(i + 1, j + 1);
+                if (after < before - 1e-9) {
+                    const reversed = tour.slice(i + 1, j + 1).reverse();
+                    tour.splice(i + 1, reversed.length, ...reversed);
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+    return tour;
+};
+
+// Plan a walk from `start` ({ lat, lon }) past every stop (objects with lat and
+// lon). Returns the stops in order with the distance of each leg, the total
+// distance in metres and the walking time in minutes.
+const planRoute = (start, stops, { walkingSpeedKmh = 4 } = {}) => {
+    const points = [start, ...stops];
+    const distances = points.map(a => points.map(b => haversine(a, b)));
+    const distance = (i, j) => distances[i][j];
+
+    const tour = twoOpt(nearestNeighbour(points, distance), distance);
+
+    let totalDistance = 0;
+    const ordered = tour.slice(1).map((pointIndex, position) => {
+        const legDistance = distance(tour[position], pointIndex);
+        totalDistance += legDistance;
+        return { ...stops[pointIndex - 1], stop: position + 1, legDistance: Math.round(legDistance) };
+    });
+
+    return {
+        start,
+        stops: ordered,
+        totalDistance: Math.round(totalDistance),
+        walkingMinutes: Math.round(totalDistance / (walkingSpeedKmh * 1000 / 60))
+    };
+};
+
+module.exports = {
+    haversine,
+    planRoute
+};
@@ -0,0 +1,85 @@
+// lib/rules.js
+// Event rules are written in Markdown. They're rendered to HTML on the server
+// and sanitised, so only basic formatting and links ever reach the browser.
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const MAX_RULES_LENGTH = 20000;
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'p', 'br', 'hr', 'blockquote',
+        'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'a',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: { a: ['href', 'title', 'target', 'rel'] },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    // Links open in a new tab without giving the other page a handle on ours
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' })
+    }
+};
+
+// Render Markdown rules to safe HTML.
+const renderRules = markdown => sanitizeHtml(marked.parse(markdown || ''), SANITIZE_OPTIONS);
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Render Markdown rules as plain text for print: a list of lines, one per
+// paragraph, heading or list item, with bullets for list items.
+const rulesText = markdown => sanitizeHtml(
+    renderRules(markdown)
+        .replace(/<li>/g, '\u2022 ')
+        .replace(/<\/(p|li|h[1-4]|blockquote|pre|tr)>|<br\s*\/?>|<hr\s*\/?>/g, '\n'),
+    { allowedTags: [], allowedAttributes: {} }
+)
+    .replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity])
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+// The optional details shown on the summary card, besides the event's times.
+const DETAIL_FIELDS = {
+    meetingPoint: 'Meeting point',
+    emergencyContact: 'Emergency contact'
+};
+
+// Validate the rules text and summary details. Missing fields are left
+// unchanged and `null` or '' clears a detail. Returns { error } or { value }.
+const validateRules = (body) => {
+    const value = {};
+
+    if (body.rules !== undefined) {
+        if (typeof body.rules !== 'string' || body.rules.length > MAX_RULES_LENGTH) {
+            return { error: `Rules must be text of ${MAX_RULES_LENGTH} characters or fewer.` };
+        }
+        value.rules = body.rules;
+    }
+
+    for (const [field, label] of Object.entries(DETAIL_FIELDS)) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > 200)) {
+            return { error: `${label} must be 200 characters or fewer.` };
+        }
+        value[field] = body[field] ? body[field].trim() : null;
+    }
+
+    return { value };
+};
+
+// The summary card: when and where the night runs and who to call.
+const rulesSummary = event => ({
+    name: event.name,
+    date: event.date,
+    startTime: event.startTime,
+    endTime: event.endTime,
+    meetingPoint: event.meetingPoint || null,
+    emergencyContact: event.emergencyContact || null
+});
+
+module.exports = {
+    renderRules,
+    rulesText,
+    validateRules,
+    rulesSummary
+};
@@ -0,0 +1,78 @@
+// lib/sessionStore.js
+// Keeps express-session sessions in SQLite, so restarting the server doesn't
+// sign everyone out and memory doesn't grow with every visitor the way the
+// default MemoryStore does. Expired sessions are pruned every 15 minutes.
+const Database = require('better-sqlite3');
+
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_LIFETIME_MS = 24 * 60 * 60 * 1000; // For sessions without a cookie expiry
+
+const expiryOf = (sess) => {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_LIFETIME_MS;
+};
+
+// `session` is the express-session module, whose Store the class must extend.
+const createSqliteSessionStore = (session, { file }) => {
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.exec('CREATE TABLE IF NOT EXISTS sessions (sid TEXT PRIMARY KEY, expires INTEGER NOT NULL, data TEXT NOT NULL)');
+
+    const statements = {
+        get: sqlite.prepare('SELECT data FROM sessions WHERE sid = ? AND expires > ?'),
+        set: sqlite.prepare(`INSERT INTO sessions (sid, expires, data) VALUES (?, ?, ?)
+            ON CONFLICT (sid) DO UPDATE SET expires = excluded.expires, data = excluded.data`),
+        touch: sqlite.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+        destroy: sqlite.prepare('DELETE FROM sessions WHERE sid = ?'),
+        prune: sqlite.prepare('DELETE FROM sessions WHERE expires <= ?'),
+        clear: sqlite.prepare('DELETE FROM sessions'),
+        length: sqlite.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?')
+    };
+
+    // Run a synchronous query and hand its result (or error) to the callback
+    const respond = (callback, query) => {
+        let result;
+        try {
+            result = query();
+        } catch (err) {
+            return callback && callback(err);
+        }
+        if (callback) callback(null, result);
+    };
+
+    class SqliteSessionStore extends session.Store {
+        get(sid, callback) {
+            respond(callback, () => {
+                const row = statements.get.get(sid, Date.now());
+                return row ? JSON.parse(row.data) : null;
+            });
+        }
+
+        set(sid, sess, callback) {
+            respond(callback, () => { statements.set.run(sid, expiryOf(sess), JSON.stringify(sess)); });
+        }
+
+        touch(sid, sess, callback) {
+            respond(callback, () => { statements.touch.run(expiryOf(sess), sid); });
+        }
+
+        destroy(sid, callback) {
+            respond(callback, () => { statements.destroy.run(sid); });
+        }
+
+        clear(callback) {
+            respond(callback, () => { statements.clear.run(); });
+        }
+
+        length(callback) {
+            respond(callback, () => statements.length.get(Date.now()).count);
+        }
+    }
+
+    const pruneTimer = setInterval(() => statements.prune.run(Date.now()), PRUNE_INTERVAL_MS);
+    pruneTimer.unref(); // Don't keep the process alive just to prune
+
+    return new SqliteSessionStore();
+};
+
+module.exports = { createSqliteSessionStore };
@@ -0,0 +1,134 @@
+// lib/stats.js
+// Figures for the admin dashboard: houses per street, geocoding gaps, how
+// registrations grew, how each year compares, and how often the public map
+// was opened. Map views are anonymous counts per hour, nothing about who.
+const { normaliseStreet } = require('./addressParts');
+
+const HOUR_KEY_LENGTH = '2026-10-31T18'.length;
+
+const registrationsForEvent = (data, year) => (data.registrations || []).filter(registration => registration.eventYear === year);
+
+// "12 Park Street Ardlethan NSW 2665" -> "park street" (with the town suffix
+// "ardlethan nsw 2665"). Matches the street suggestions on the public map.
+const streetName = (text, townSuffix = '') => {
+    let street = text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^[\d/-]+[a-z]?\s+/i, '');
+    const suffix = townSuffix.trim().toLowerCase();
+    if (suffix && street.endsWith(suffix)) {
+        street = street.slice(0, -suffix.length).replace(/[\s,]+$/, '');
+    }
+    return street || text.trim();
+};
+
+// The street an address is on: its street part, or for the odd address that
+// couldn't be split into parts, worked out from its text
+const addressStreet = (address, townSuffix) => address.street || normaliseStreet(streetName(address.text, townSuffix));
+
+const hasCoordinates = address => typeof address.lat === 'number' && typeof address.lon === 'number';
+
+const housesPerStreet = (addresses, townSuffix) => {
+    const counts = new Map();
+    addresses.forEach((address) => {
+        const street = addressStreet(address, townSuffix);
+        counts.set(street, (counts.get(street) || 0) + 1);
+    });
+    return [...counts].map(([street, count]) => ({ street, count }))
+        .sort((a, b) => b.count - a.count || a.street.localeCompare(b.street));
+};
+
+// Groups of two or more houses geocoded to the same spot (to about a metre),
+// which usually means the geocoder only found the street or the town.
+const sharedCoordinates = (addresses) => {
+    const groups = new Map();
+    addresses.filter(hasCoordinates).forEach((address) => {
+        const key = `${address.lat.toFixed(5)},${address.lon.toFixed(5)}`;
+        if (!groups.has(key)) groups.set(key, { lat: address.lat, lon: address.lon, addresses: [] });
+        groups.get(key).addresses.push({ id: address.id, text: address.text });
+    });
+    return [...groups.values()].filter(group => group.addresses.length > 1)
+        .sort((a, b) => b.addresses.length - a.addresses.length);
+};
+
+// Registrations per day, with a running total: [{ date, count, total }]
+const registrationGrowth = (registrations) => {
+    const perDay = new Map();
+    registrations.forEach((registration) => {
+        const date = registration.createdAt.slice(0, 10);
+        perDay.set(date, (perDay.get(date) || 0) + 1);
+    });
+    let total = 0;
+    return [...perDay].sort(([a], [b]) => a.localeCompare(b)).map(([date, count]) => {
+        total += count;
+        return { date, count, total };
+    });
+};
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+    return counts;
+}, {});
+
+// --- Map Views ---
+
+// Count one anonymous view of an event's public map in the current hour.
+// Stored as data.mapViews[year]["2026-10-31T18"] = count (UTC hours).
+const recordMapView = (data, eventYear, now = new Date()) => {
+    data.mapViews = data.mapViews || {};
+    const views = data.mapViews[eventYear] = data.mapViews[eventYear] || {};
+    const hour = now.toISOString().slice(0, HOUR_KEY_LENGTH);
+    views[hour] = (views[hour] || 0) + 1;
+};
+
+const mapViewsFor = (data, eventYear) => Object.entries((data.mapViews || {})[eventYear] || {})
+    .map(([hour, count]) => ({ hour: `${hour}:00:00.000Z`, count }))
+    .sort((a, b) => a.hour.localeCompare(b.hour));
+
+// --- Dashboard ---
+
+const yearSummary = (data, event, townSuffix) => {
+    const registrations = registrationsForEvent(data, event.year);
+    return {
+        year: event.year,
+        name: event.name,
+        houses: event.addresses.length,
+        geocoded: event.addresses.filter(hasCoordinates).length,
+        streets: housesPerStreet(event.addresses, townSuffix).length,
+        registrations: registrations.length,
+        mapViews: mapViewsFor(data, event.year).reduce((sum, hour) => sum + hour.count, 0)
+    };
+};
+
+// Everything GET /api/stats returns for `event`
+const eventStats = (data, event, { townSuffix } = {}) => {
+    const registrations = registrationsForEvent(data, event.year);
+    return {
+        event: { year: event.year, name: event.name },
+        houses: {
+            total: event.addresses.length,
+            geocoded: event.addresses.filter(hasCoordinates).length,
+            perStreet: housesPerStreet(event.addresses, townSuffix),
+            missingCoordinates: event.addresses.filter(address => !hasCoordinates(address))
+                .map(address => ({ id: address.id, text: address.text })),
+            sharedCoordinates: sharedCoordinates(event.addresses)
+        },
+        registrations: {
+            total: registrations.length,
+            byStatus: countBy(registrations, 'status'),
+            growth: registrationGrowth(registrations)
+        },
+        years: data.events.map(other => yearSummary(data, other, townSuffix)).sort((a, b) => a.year - b.year),
+        // [lat, lon] for each house, for the density heatmap
+        heatmap: event.addresses.filter(hasCoordinates).map(address => [address.lat, address.lon]),
+        mapViews: mapViewsFor(data, event.year)
+    };
+};
+
+module.exports = {
+    streetName,
+    addressStreet,
+    hasCoordinates,
+    housesPerStreet,
+    sharedCoordinates,
+    registrationGrowth,
+    recordMapView,
+    eventStats
+};
@@ -0,0 +1,91 @@
+// lib/storage/index.js
+// Where the app's data lives. Routes read `storage.data` (events, users,
+// registrations, audit and the geocode cache), make changes through the
+// repositories on the storage (`storage.addresses.update(id, fields)` and so on;
+// see ./repositories) and call `storage.save()` to save them. The backend
+// behind it is chosen by config:
+//   lowdb  - the whole data set in one JSON file (db.json)
+//   sqlite - a table per collection, saving only changed rows in a transaction
+//   memory - nothing saved; for tests and trying things out
+// Saves are queued so two requests never save over each other halfway through.
+const { createLowdbBackend } = require('./lowdb');
+const { createSqliteBackend } = require('./sqlite');
+const { createMemoryBackend } = require('./memory');
+const { createRepositories } = require('./repositories');
+
+const BACKENDS = {
+    lowdb: createLowdbBackend,
+    sqlite: createSqliteBackend,
+    memory: createMemoryBackend
+};
+
+const DEFAULT_FILES = {
+    lowdb: 'db.json',
+    sqlite: 'db.sqlite'
+};
+
+// Open storage with the given driver. `defaultData` is used when the store is
+// new or empty; `initialData` seeds the memory backend.
+const createStorage = async ({ driver = 'lowdb', file, defaultData = {}, initialData } = {}) => {
+    const createBackend = BACKENDS[driver];
+    if (!createBackend) {
+        throw new Error(`Unknown storage driver "${driver}". Use one of: ${Object.keys(BACKENDS).join(', ')}.`);
+    }
+
+    const backend = await createBackend({ file: file || DEFAULT_FILES[driver], initialData });
+    let queue = Promise.resolve();
+    // Changes made through the repositories since the last save, with how to undo each
+    let pending = [];
+
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    // The last change to each record, in the order they were last changed
+    const latestChanges = (changes) => {
+        const latest = new Map();
+        for (const change of changes) {
+            const id = change.records ? `${change.collection}@${change.parent}` : `${change.collection}:${change.key}`;
+            latest.delete(id);
+            latest.set(id, change);
+        }
+        return [...latest.values()];
+    };
+
+    const storage = {
+        driver,
+        data: (await backend.read()) || structuredClone(defaultData),
+
+        // Save the changes made through the repositories. If the save fails
+        // they're undone, newest first, so what's in memory is what's on disk.
+        // Resolves once this save (and any queued before it) is done.
+        save: () => {
+            const changes = pending;
+            pending = [];
+            return enqueue(() => backend.save(storage.data, latestChanges(changes))).catch((err) => {
+                changes.reverse().forEach(change => change.undo());
+                throw err;
+            });
+        },
+
+        // Save all of the data, e.g. after migrating it or restoring a backup
+        write: () => {
+            pending = [];
+            return enqueue(() => backend.write(storage.data));
+        },
+
+        close: async () => {
+            await queue;
+            await backend.close();
+        }
+    };
+    Object.assign(storage, createRepositories(storage, (change, undo) => pending.push({ ...change, undo })));
+    return storage;
+};
+
+module.exports = {
+    DRIVERS: Object.keys(BACKENDS),
+    createStorage
+};
@@ -0,0 +1,26 @@
+// lib/storage/lowdb.js
+// The original storage: everything in one JSON file, rewritten on each save.
+
+const createLowdbBackend = async ({ file }) => {
+    // lowdb uses ES Modules, so it has to be imported asynchronously
+    const { Low } = await import('lowdb');
+    const { JSONFile } = await import('lowdb/node');
+    const low = new Low(new JSONFile(file), null);
+
+    const write = async (data) => {
+        low.data = data;
+        await low.write();
+    };
+
+    return {
+        read: async () => {
+            await low.read();
+            return low.data;
+        },
+        write,
+        save: write,
+        close: async () => {}
+    };
+};
+
+module.exports = { createLowdbBackend };
@@ -0,0 +1,12 @@
+// lib/storage/memory.js
+// Keeps the data in memory only. Each store starts from its own copy of
+// `initialData`, so tests can't affect each other.
+
+const createMemoryBackend = async ({ initialData }) => ({
+    read: async () => (initialData ? structuredClone(initialData) : null),
+    write: async () => {},
+    save: async () => {},
+    close: async () => {}
+});
+
+module.exports = { createMemoryBackend };
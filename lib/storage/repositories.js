@@ -0,0 +1,206 @@
+// lib/storage/repositories.js
+// The changes routes make to the data, one record at a time. Each method
+// changes `storage.data` straight away and notes the record it touched, so
+// `storage.save()` writes only those records. If the save fails, the change is
+// undone in memory too.
+//
+// Records are changed in place, so an object the app is holding (the
+// signed-in user, say) stays the stored one, including after an undo.
+
+const isObject = value => typeof value === 'object' && value !== null;
+
+// Set `fields` on a record, removing the ones that are `null`.
+const applyFields = (record, fields) => {
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === null) {
+            delete record[key];
+        } else {
+            record[key] = value;
+        }
+    }
+    return record;
+};
+
+// Put `target` back the way `snapshot` (a copy taken earlier) has it, keeping
+// every object and array that was there before.
+const restore = (target, snapshot) => {
+    if (Array.isArray(target)) target.length = snapshot.length;
+    for (const key of Object.keys(target)) {
+        if (!(key in snapshot)) delete target[key];
+    }
+    for (const [key, value] of Object.entries(snapshot)) {
+        const current = target[key];
+        if (current === value) continue;
+        if (isObject(current) && isObject(value) && Array.isArray(current) === Array.isArray(value)) {
+            restore(current, value);
+        } else {
+            target[key] = value;
+        }
+    }
+};
+
+// Take `record` out of `list`, returning a way to put it back where it was.
+const removeFromList = (list, record) => {
+    const index = list.indexOf(record);
+    if (index === -1) return () => {};
+    list.splice(index, 1);
+    return () => list.splice(index, 0, record);
+};
+
+// `track(change, undo)` queues a change for the next save: { collection, key,
+// parent, record } where no `record` means the row was deleted, or
+// { collection: 'addresses', parent, records } for an event's whole list.
+const createRepositories = (storage, track) => {
+    // registrations, users and audit: lists of records with an id
+    const listRepository = (collection) => {
+        const list = () => storage.data[collection];
+        const find = id => list().find(record => record.id === id);
+
+        // Run `mutate(record)` on the record with this id, returning its result
+        const change = (id, mutate) => {
+            const record = find(id);
+            const before = structuredClone(record);
+            const result = mutate(record);
+            track({ collection, key: id, record }, () => restore(record, before));
+            return result;
+        };
+
+        return {
+            find,
+            change,
+            update: (id, fields) => change(id, record => applyFields(record, fields)),
+            add: (record) => {
+                list().push(record);
+                track({ collection, key: record.id, record }, () => removeFromList(list(), record));
+                return record;
+            },
+            remove: (id) => {
+                const record = find(id);
+                track({ collection, key: id }, removeFromList(list(), record));
+                return record;
+            }
+        };
+    };
+
+    // --- Events ---
+    // An event's own row leaves out its addresses, which are kept one per row.
+
+    const findEvent = year => storage.data.events.find(event => event.year === Number(year));
+    const eventFields = ({ addresses, ...event }) => structuredClone(event);
+
+    const eventRepository = {
+        find: findEvent,
+        add: (event) => {
+            storage.data.events.push(event);
+            track({ collection: 'events', key: event.year, record: event }, () => removeFromList(storage.data.events, event));
+            track({ collection: 'addresses', parent: event.year, records: event.addresses }, () => {});
+            return event;
+        },
+        update: (year, fields) => {
+            const event = findEvent(year);
+            const before = eventFields(event);
+            applyFields(event, fields);
+            track({ collection: 'events', key: event.year, record: event }, () => restore(event, { ...before, addresses: event.addresses }));
+            return event;
+        }
+    };
+
+    // --- Addresses ---
+    // Address ids are unique across events, so an address can be found by id alone.
+
+    const findAddress = (id, event) => {
+        for (const candidate of event ? [event] : storage.data.events) {
+            const address = candidate.addresses.find(a => a.id === id);
+            if (address) return { event: candidate, address };
+        }
+        return {};
+    };
+
+    const addressRepository = {
+        find: (id, event) => findAddress(id, event).address,
+        // Add an address made from `fields` (`null` fields are left out)
+        add: (event, fields) => {
+            const address = applyFields({}, fields);
+            event.addresses.push(address);
+            track({ collection: 'addresses', key: address.id, parent: event.year, record: address },
+                () => removeFromList(event.addresses, address));
+            return address;
+        },
+        update: (id, fields) => {
+            const { event, address } = findAddress(id);
+            const before = structuredClone(address);
+            applyFields(address, fields);
+            track({ collection: 'addresses', key: id, parent: event.year, record: address }, () => restore(address, before));
+            return address;
+        },
+        remove: (id) => {
+            const { event, address } = findAddress(id);
+            track({ collection: 'addresses', key: id, parent: event.year }, removeFromList(event.addresses, address));
+            return address;
+        },
+        // Swap an event's whole list for `addresses` (restoring from the history)
+        replaceAll: (event, addresses) => {
+            const before = event.addresses;
+            event.addresses = addresses;
+            track({ collection: 'addresses', parent: event.year, records: addresses }, () => {
+                event.addresses = before;
+            });
+            return addresses;
+        }
+    };
+
+    // --- Geocode Cache ---
+
+    const geocodeCacheRepository = {
+        get: key => storage.data.geocodeCache[key],
+        set: (key, value) => {
+            const cache = storage.data.geocodeCache;
+            const had = key in cache;
+            const before = cache[key];
+            cache[key] = value;
+            track({ collection: 'geocodeCache', key, record: value }, () => {
+                if (had) cache[key] = before;
+                else delete cache[key];
+            });
+            return value;
+        }
+    };
+
+    // --- Settings ---
+    // Anything else kept at the top level, saved as one value per key.
+
+    const settingsRepository = {
+        get: key => storage.data[key],
+        // Run `mutate()`, which may change `data[key]` in place or replace it
+        change: (key, mutate) => {
+            const had = key in storage.data;
+            const original = storage.data[key];
+            const before = structuredClone(original);
+            const result = mutate();
+            track({ collection: 'settings', key, record: storage.data[key] }, () => {
+                if (!had) {
+                    delete storage.data[key];
+                    return;
+                }
+                storage.data[key] = original;
+                if (isObject(original)) restore(original, before);
+            });
+            return result;
+        }
+    };
+
+    return {
+        events: eventRepository,
+        addresses: addressRepository,
+        registrations: listRepository('registrations'),
+        users: listRepository('users'),
+        audit: listRepository('audit'),
+        geocodeCache: geocodeCacheRepository,
+        settings: settingsRepository
+    };
+};
+
+module.exports = {
+    applyFields,
+    createRepositories
+};
@@ -0,0 +1,188 @@
+// lib/storage/sqlite.js
+// SQLite storage. Each collection has its own table of JSON records, so a save
+// only touches the rows that changed, and all of them in one transaction: a
+// crash part way through leaves the previous save intact. Writing all of the
+// data (after a migration or a backup restore) replaces every row.
+const Database = require('better-sqlite3');
+
+// Schema changes, applied in order and recorded in `schema_migrations`. Never
+// edit a migration that has shipped; add a new one instead.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'Create collection tables',
+        sql: `
+            CREATE TABLE settings (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT, data TEXT NOT NULL);
+            CREATE TABLE events (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT, data TEXT NOT NULL);
+            CREATE TABLE addresses (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT NOT NULL, data TEXT NOT NULL);
+            CREATE INDEX addresses_by_event ON addresses (parent, position);
+            CREATE TABLE registrations (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT, data TEXT NOT NULL);
+            CREATE TABLE users (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT, data TEXT NOT NULL);
+            CREATE TABLE audit (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT, data TEXT NOT NULL);
+            CREATE TABLE geocode_cache (key TEXT PRIMARY KEY, position INTEGER NOT NULL, parent TEXT, data TEXT NOT NULL);
+        `
+    }
+];
+
+const COLLECTIONS = ['events', 'registrations', 'users', 'audit', 'geocodeCache'];
+
+// The table each repository's collection is saved in (see ./repositories)
+const TABLES = {
+    settings: 'settings',
+    events: 'events',
+    addresses: 'addresses',
+    registrations: 'registrations',
+    users: 'users',
+    audit: 'audit',
+    geocodeCache: 'geocode_cache'
+};
+
+const migrate = (sqlite) => {
+    sqlite.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+    const applied = new Set(sqlite.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const record = sqlite.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        sqlite.transaction(() => {
+            sqlite.exec(migration.sql);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+        console.log(`Applied database migration ${migration.version}: ${migration.name}.`);
+    }
+};
+
+// Which collections exist (an old db.json has no events or users list yet)
+const collectionsPresent = data => COLLECTIONS.filter(name => data[name] !== undefined);
+
+// Split the data into table rows: table -> Map of key -> { position, parent, data }.
+// Addresses get their own table, with the event year as their parent.
+const toRows = (data) => {
+    const tables = {};
+    for (const table of Object.values(TABLES)) {
+        tables[table] = new Map();
+    }
+    const add = (table, key, position, value, parent = null) =>
+        tables[table].set(String(key), { position, parent, data: JSON.stringify(value) });
+
+    (data.events || []).forEach(({ addresses = [], ...event }, position) => {
+        add('events', event.year, position, event);
+        // Addresses from before ids were added are keyed by their place in the list
+        addresses.forEach((address, index) => add('addresses', address.id || `${event.year}:${index}`, index, address, String(event.year)));
+    });
+    (data.registrations || []).forEach((registration, position) => add('registrations', registration.id, position, registration));
+    (data.users || []).forEach((user, position) => add('users', user.id, position, user));
+    (data.audit || []).forEach((entry, position) => add('audit', entry.id, position, entry));
+    Object.entries(data.geocodeCache || {}).forEach(([key, value], position) => add('geocode_cache', key, position, value));
+
+    // Anything else at the top level, e.g. a legacy adminPassword, plus which
+    // collections exist
+    Object.entries(data)
+        .filter(([key]) => !COLLECTIONS.includes(key))
+        .forEach(([key, value], position) => add('settings', key, position, value));
+    add('settings', 'collections', -1, collectionsPresent(data));
+
+    return tables;
+};
+
+const fromRows = (load) => {
+    const data = {};
+    for (const row of load('settings')) data[row.key] = JSON.parse(row.data);
+    const collections = data.collections || [];
+    delete data.collections;
+
+    const loaders = {
+        events: () => {
+            const events = load('events').map(row => ({ ...JSON.parse(row.data), addresses: [] }));
+            for (const row of load('addresses')) {
+                const event = events.find(e => String(e.year) === row.parent);
+                if (event) event.addresses.push(JSON.parse(row.data));
+            }
+            return events;
+        },
+        registrations: () => load('registrations').map(row => JSON.parse(row.data)),
+        users: () => load('users').map(row => JSON.parse(row.data)),
+        audit: () => load('audit').map(row => JSON.parse(row.data)),
+        geocodeCache: () => Object.fromEntries(load('geocode_cache').map(row => [row.key, JSON.parse(row.data)]))
+    };
+    for (const name of collections) data[name] = loaders[name]();
+    return data;
+};
+
+const createSqliteBackend = async ({ file }) => {
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    migrate(sqlite);
+
+    const statements = Object.fromEntries(Object.values(TABLES).map(table => [table, {
+        insert: sqlite.prepare(`INSERT INTO ${table} (key, position, parent, data) VALUES (?, ?, ?, ?)`),
+        // A new row goes after the others with the same parent; a changed one keeps its place
+        upsert: sqlite.prepare(`INSERT INTO ${table} (key, position, parent, data)
+            VALUES (@key, (SELECT COALESCE(MAX(position) + 1, 0) FROM ${table} WHERE parent IS @parent), @parent, @data)
+            ON CONFLICT (key) DO UPDATE SET parent = excluded.parent, data = excluded.data`),
+        remove: sqlite.prepare(`DELETE FROM ${table} WHERE key = ?`),
+        removeAll: sqlite.prepare(`DELETE FROM ${table}`),
+        removeChildren: sqlite.prepare(`DELETE FROM ${table} WHERE parent = ?`)
+    }]));
+
+    const read = async () => {
+        const load = table => sqlite.prepare(`SELECT key, position, parent, data FROM ${table} ORDER BY parent, position`).all();
+        const data = fromRows(load);
+        // A brand new database; let the caller fill in its defaults
+        return Object.keys(data).length === 0 ? null : data;
+    };
+
+    const write = async (data) => {
+        const rows = toRows(data);
+        sqlite.transaction(() => {
+            for (const [table, current] of Object.entries(rows)) {
+                statements[table].removeAll.run();
+                for (const [key, row] of current) {
+                    statements[table].insert.run(key, row.position, row.parent, row.data);
+                }
+            }
+        })();
+    };
+
+    // Save only the records in `changes` (see ./repositories)
+    const save = async (data, changes) => {
+        sqlite.transaction(() => {
+            for (const change of changes) {
+                const { remove, upsert, insert, removeChildren } = statements[TABLES[change.collection]];
+                const parent = change.parent === undefined ? null : String(change.parent);
+
+                if (change.records) {
+                    // An event's whole address list, in its new order
+                    removeChildren.run(parent);
+                    change.records.forEach((record, position) => insert.run(record.id, position, parent, JSON.stringify(record)));
+                    continue;
+                }
+
+                // A setting may have been replaced since it changed, so save what's there now
+                let record = change.collection === 'settings' ? data[change.key] : change.record;
+                if (record === undefined) {
+                    remove.run(String(change.key));
+                    continue;
+                }
+                if (change.collection === 'events') {
+                    const { addresses, ...event } = record;
+                    record = event;
+                }
+                upsert.run({ key: String(change.key), parent, data: JSON.stringify(record) });
+            }
+            statements.settings.upsert.run({ key: 'collections', parent: null, data: JSON.stringify(collectionsPresent(data)) });
+        })();
+    };
+
+    return {
+        read,
+        write,
+        save,
+        close: async () => sqlite.close()
+    };
+};
+
+module.exports = {
+    MIGRATIONS,
+    createSqliteBackend
+};
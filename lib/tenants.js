@@ -0,0 +1,185 @@
+// lib/tenants.js
+// One server can host the maps of several towns (HOSTING=multi). Each town is
+// a tenant with a slug that is also its subdomain (ganmain.example.org) and a
+// folder of its own under HOSTING_DIR for its data, sessions, backups and
+// logo. Every tenant runs its own copy of the app on that folder, so nothing
+// one town's admins do can reach another town. The super-admin creates and
+// suspends tenants; the list is kept in `<HOSTING_DIR>/tenants.json`.
+const path = require('path');
+const { STATES, townSuffix } = require('./addressParts');
+const { parseBounds } = require('./geocodeChecks');
+
+const STATUSES = ['active', 'suspended'];
+
+// A DNS label: lower case letters, digits and dashes, not at either end
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+// Subdomains that shouldn't be mistaken for a town
+const RESERVED_SLUGS = ['www', 'api', 'admin', 'mail', 'static'];
+
+// Logo uploads: content type -> file extension
+const LOGO_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+const MAX_LOGO_BYTES = 512 * 1024;
+
+const isHexColour = value => /^#[0-9a-f]{6}$/i.test(value);
+
+// How a town's pages look until someone changes it. `logoFile` replaces the
+// pumpkin background image.
+const defaultBranding = town => ({
+    title: `${town.suburb} Trick or Treat Map`,
+    colour: '#ff8c00',
+    accentColour: '#ffd700',
+    logoFile: null
+});
+
+// Validate branding changes. Returns { error } or { value } with the fields given.
+const validateBranding = (body = {}) => {
+    const value = {};
+    if (body.title !== undefined) {
+        if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > 80) {
+            return { error: 'The title must be between 1 and 80 characters.' };
+        }
+        value.title = body.title.trim();
+    }
+    for (const field of ['colour', 'accentColour']) {
+        if (body[field] !== undefined) {
+            if (typeof body[field] !== 'string' || !isHexColour(body[field])) {
+                return { error: `${field} must be a colour such as #ff8c00.` };
+            }
+            value[field] = body[field].toLowerCase();
+        }
+    }
+    return { value };
+};
+
+// Validate a new tenant: { slug, suburb, state, postcode, bounds: "south,west,north,east" }.
+// The town and its bounds are fixed once the tenant exists, because its
+// addresses are stored against them. Returns { error } or { value }.
+const validateTenant = (body = {}) => {
+    const text = field => (typeof body[field] === 'string' ? body[field].trim() : '');
+    const slug = text('slug').toLowerCase();
+    if (!SLUG_PATTERN.test(slug)) {
+        return { error: 'The slug must be up to 32 lower case letters, digits or dashes, and can\'t start or end with a dash.' };
+    }
+    if (RESERVED_SLUGS.includes(slug)) {
+        return { error: `"${slug}" is reserved. Choose another slug.` };
+    }
+    const town = { suburb: text('suburb'), state: text('state').toUpperCase(), postcode: text('postcode') };
+    if (!town.suburb || town.suburb.length > 50) {
+        return { error: 'The town name must be between 1 and 50 characters.' };
+    }
+    if (!STATES.includes(town.state)) {
+        return { error: `The state must be one of: ${STATES.join(', ')}.` };
+    }
+    if (!/^\d{4}$/.test(town.postcode)) {
+        return { error: 'The postcode must be 4 digits.' };
+    }
+    const townBounds = parseBounds(text('bounds'));
+    if (!townBounds) {
+        return { error: 'The bounds must be "south,west,north,east", e.g. "-34.366,146.885,-34.340,146.917".' };
+    }
+    return { value: { slug, town, townBounds } };
+};
+
+// --- Registry ---
+
+// The tenants kept in `db` (storage holding { tenants: [] }). Branding changes
+// are made to the stored objects in place, so a running tenant's app sees them
+// straight away.
+const createTenantRegistry = (db) => {
+    db.data.tenants = db.data.tenants || [];
+
+    const find = slug => db.data.tenants.find(tenant => tenant.slug === slug);
+
+    // Add a validated tenant. Returns null if the slug is taken.
+    const create = async ({ slug, town, townBounds }) => {
+        if (find(slug)) return null;
+        const tenant = {
+            slug,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            town,
+            townBounds,
+            branding: defaultBranding(town)
+        };
+        db.settings.change('tenants', () => db.data.tenants.push(tenant));
+        await db.save();
+        return tenant;
+    };
+
+    const update = async (tenant, { status, branding }) => {
+        db.settings.change('tenants', () => {
+            if (status) tenant.status = status;
+            if (branding) Object.assign(tenant.branding, branding);
+        });
+        await db.save();
+        return tenant;
+    };
+
+    return {
+        list: () => db.data.tenants,
+        find,
+        create,
+        update
+    };
+};
+
+// --- Per-tenant config ---
+
+const tenantDir = (config, slug) => path.join(config.hosting.dir, slug);
+
+// https://example.org -> https://ganmain.example.org
+const tenantUrl = (publicUrl, slug) => {
+    const url = new URL(publicUrl);
+    url.hostname = `${slug}.${url.hostname}`;
+    return url.origin;
+};
+
+// The config a tenant's app runs with: the server's settings, with its own
+// town, files and links. Organiser emails, the street list and the gazetteer
+// are for the server's own town, so tenants don't inherit them: a tenant of a
+// gazetteer server looks houses up with Nominatim. Messages come from the
+// tenant's town.
+const tenantConfig = (config, tenant) => {
+    const dir = tenantDir(config, tenant.slug);
+    const sender = (config.notifications.from.match(/<([^>]+)>/) || [])[1] || config.notifications.from;
+    return {
+        ...config,
+        town: tenant.town,
+        townSuffix: townSuffix(tenant.town),
+        townBounds: tenant.townBounds,
+        streetListFile: undefined,
+        geocoder: {
+            ...config.geocoder,
+            provider: config.geocoder.provider === 'gazetteer' ? 'nominatim' : config.geocoder.provider,
+            gazetteerFile: undefined
+        },
+        publicUrl: tenantUrl(config.publicUrl, tenant.slug),
+        storage: {
+            driver: config.storage.driver,
+            file: path.join(dir, config.storage.driver === 'sqlite' ? 'db.sqlite' : 'db.json')
+        },
+        session: { ...config.session, file: path.join(dir, 'sessions.sqlite') },
+        backups: { ...config.backups, dir: path.join(dir, 'backups') },
+        notifications: {
+            ...config.notifications,
+            from: `${tenant.town.suburb} Halloween <${sender}>`,
+            adminEmails: ''
+        },
+        branding: tenant.branding,
+        brandingDir: dir
+    };
+};
+
+module.exports = {
+    STATUSES,
+    LOGO_TYPES,
+    MAX_LOGO_BYTES,
+    isHexColour,
+    defaultBranding,
+    validateBranding,
+    validateTenant,
+    createTenantRegistry,
+    tenantDir,
+    tenantUrl,
+    tenantConfig
+};
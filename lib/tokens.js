@@ -0,0 +1,18 @@
+// lib/tokens.js
+// Random tokens for links that work without signing in (registration edit
+// links, invites, house status links). Only a hash of each token is stored.
+const crypto = require('crypto');
+
+const createToken = () => crypto.randomBytes(24).toString('base64url');
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Compare a presented token with a stored hash in constant time.
+const tokenMatches = (tokenHash, token) => {
+    if (!token || !tokenHash) return false;
+    const presented = Buffer.from(hashToken(token), 'hex');
+    const stored = Buffer.from(tokenHash, 'hex');
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+module.exports = { createToken, hashToken, tokenMatches };
@@ -0,0 +1,79 @@
+// lib/totp.js
+// Time-based one-time passwords (RFC 6238), as shown by authenticator apps,
+// and single-use recovery codes for when the phone is lost.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character.');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// A new random secret, base32 encoded for typing into an authenticator app.
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The code for one 30-second step (RFC 4226 HOTP with HMAC-SHA1).
+const codeAt = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+};
+
+const currentCounter = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code, allowing one step either side for clock drift. Returns the
+// step it matched so the caller can refuse the same code twice, or null.
+const verifyCode = (secret, code, { lastCounter = -1, now = Date.now() } = {}) => {
+    const cleaned = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(cleaned)) return null;
+    const counter = currentCounter(now);
+    for (const step of [counter - 1, counter, counter + 1]) {
+        if (step > lastCounter && crypto.timingSafeEqual(Buffer.from(codeAt(secret, step)), Buffer.from(cleaned))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// The link authenticator apps understand (often shown as a QR code).
+const otpauthUrl = ({ secret, account, issuer }) =>
+    `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// Ten codes like "3f9a-c2e1", each usable once instead of an app code.
+const createRecoveryCodes = (count = 10) =>
+    Array.from({ length: count }, () => crypto.randomBytes(4).toString('hex').replace(/^(.{4})/, '$1-'));
+
+const normaliseRecoveryCode = code => String(code || '').trim().toLowerCase();
+
+module.exports = {
+    generateSecret,
+    codeAt,
+    currentCounter,
+    verifyCode,
+    otpauthUrl,
+    createRecoveryCodes,
+    normaliseRecoveryCode
+};
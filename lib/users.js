@@ -0,0 +1,126 @@
+// lib/users.js
+// Admin accounts. Each committee member has their own login and a role:
+//   viewer - can see the admin page
+//   editor - can also change addresses, rules, events and registrations
+//   owner  - can also manage other accounts
+const crypto = require('crypto');
+const { createToken, hashToken } = require('./tokens');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const INVITE_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_FAILED_SIGN_INS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Move the old single admin (env username + db.data.adminPassword) into the
+// users collection as the owner. Returns true if the data was changed.
+const migrateAdminAccount = (data, username) => {
+    if (Array.isArray(data.users)) return false;
+
+    data.users = [];
+    if (data.adminPassword) {
+        data.users.push({
+            id: crypto.randomUUID(),
+            username: (username || 'admin').toLowerCase(),
+            passwordHash: data.adminPassword,
+            role: 'owner',
+            disabled: false,
+            createdAt: new Date().toISOString()
+        });
+    }
+    delete data.adminPassword;
+    return true;
+};
+
+const findUserByUsername = (data, username) =>
+    data.users.find(user => user.username === String(username).trim().toLowerCase());
+
+const validateUsername = (username) => {
+    if (typeof username !== 'string' || !/^[a-z0-9._-]{3,32}$/i.test(username.trim())) {
+        return 'Username must be 3-32 letters, numbers, dots, dashes or underscores.';
+    }
+    return null;
+};
+
+const validateRole = role => (ROLES.includes(role) ? null : `Role must be one of: ${ROLES.join(', ')}.`);
+
+// Create an invited user with no password yet. Returns the user and the plain
+// invite token, which is only shown to the inviting owner once.
+const createInvitedUser = ({ username, role, invitedBy }) => {
+    const token = createToken();
+    const user = {
+        id: crypto.randomUUID(),
+        username: username.trim().toLowerCase(),
+        passwordHash: null,
+        role,
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        invitedBy,
+        inviteTokenHash: hashToken(token),
+        inviteExpiresAt: new Date(Date.now() + INVITE_LIFETIME_MS).toISOString()
+    };
+    return { user, token };
+};
+
+const findUserByInviteToken = (data, token) => {
+    if (!token) return undefined;
+    const tokenHash = hashToken(token);
+    return data.users.find(user => user.inviteTokenHash === tokenHash && Date.parse(user.inviteExpiresAt) > Date.now());
+};
+
+// --- Lockout ---
+// Too many wrong passwords or codes in a row locks the account for a while,
+// however many addresses the attempts come from.
+
+const isLockedOut = user => Boolean(user.lockedUntil && Date.parse(user.lockedUntil) > Date.now());
+
+// Count a failed sign-in. Returns true if this one locked the account.
+const recordFailedSignIn = (user) => {
+    user.failedSignIns = (user.failedSignIns || 0) + 1;
+    if (user.failedSignIns < MAX_FAILED_SIGN_INS) return false;
+    user.failedSignIns = 0;
+    user.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+    return true;
+};
+
+const clearFailedSignIns = (user) => {
+    delete user.failedSignIns;
+    delete user.lockedUntil;
+};
+
+// Turn off two-factor sign-in, dropping the secret and recovery codes.
+const clearTwoFactor = (user) => {
+    for (const field of ['totpSecret', 'pendingTotpSecret', 'totpLastCounter', 'recoveryCodeHashes']) {
+        delete user[field];
+    }
+};
+
+// Owners that can still sign in. There must always be at least one.
+const activeOwners = data => data.users.filter(user => user.role === 'owner' && !user.disabled && user.passwordHash);
+
+// What other admins see: no password, invite or two-factor secrets.
+const publicUser = ({ passwordHash, inviteTokenHash, totpSecret, pendingTotpSecret, totpLastCounter, recoveryCodeHashes, ...user }) => ({
+    ...user,
+    invited: !passwordHash,
+    twoFactorEnabled: Boolean(totpSecret),
+    recoveryCodesLeft: recoveryCodeHashes ? recoveryCodeHashes.length : 0,
+    locked: isLockedOut(user)
+});
+
+module.exports = {
+    ROLES,
+    hasRole,
+    migrateAdminAccount,
+    findUserByUsername,
+    validateUsername,
+    validateRole,
+    createInvitedUser,
+    findUserByInviteToken,
+    isLockedOut,
+    recordFailedSignIn,
+    clearFailedSignIns,
+    clearTwoFactor,
+    activeOwners,
+    publicUser
+};
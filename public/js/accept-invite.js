@@ -0,0 +1,2 @@
+// Copy the invite token from the link into the form
+document.getElementById('token').value = new URLSearchParams(window.location.search).get('token') || '';
@@ -1,34 +1,881 @@
 let currentAddresses = [];
+let pendingRegistrations = [];
+let currentUser = null; // The signed-in admin, from /api/me
+let adminUsers = [];
+let historyEntries = [];
+let importFile = null; // The file last previewed, sent again to commit
+let backupList = [];
+let statsMap = null; // The dashboard's heatmap, created on first load
+let checksMap = null; // The bulk location editor, created on first load
+let checksLayer = null;
+const movedLocations = new Map(); // address id -> { id, version, lat, lon } waiting to be saved
+let heatLayer = null;
+let previewedBackup = null; // The backup whose restore preview is showing
+let currentEvents = [];
+let selectedYear = null; // The event being edited
+let town = { suburb: '', state: '', postcode: '' }; // Where addresses are unless they say otherwise, from /api/config
+let states = []; // State abbreviations, from /api/config
+let newAddressInputs = null; // The parts of the add address form
+let townCentre = { lat: -34.353, lon: 146.901 }; // Where maps start, loaded from /api/config
+let addressTags = []; // [{ key, label }] from /api/address-tags
+let refreshTimer = null;
 const addressList = document.getElementById('address-list');
 const statusEl = document.getElementById('status');
 
 // --- Data and API Functions ---
 
+// Every request carries the session's CSRF token, which the server needs
+// before it will change anything. It's fetched once, on first use.
+let csrfToken = null;
+const apiFetch = async (url, options = {}) => {
+    if (!csrfToken) {
+        csrfToken = (await (await fetch('/api/csrf-token')).json()).csrfToken;
+    }
+    return fetch(url, { ...options, headers: { ...options.headers, 'X-CSRF-Token': csrfToken } });
+};
+
+// Query string selecting the event being edited
+const eventQuery = () => `?event=${selectedYear}`;
+
+const fetchEvents = async () => {
+    const response = await apiFetch('/api/events');
+    currentEvents = await response.json();
+    if (!currentEvents.some(event => event.year === selectedYear)) {
+        const current = currentEvents.find(event => event.current);
+        selectedYear = current ? current.year : null;
+    }
+    renderEvents();
+};
+
 const fetchAddresses = async () => {
-    const response = await fetch('/api/addresses');
+    const response = await apiFetch(`/api/addresses${eventQuery()}`);
     currentAddresses = await response.json();
     renderAddresses();
+
+    // New addresses are geocoded in the background, so check back for their coordinates
+    clearTimeout(refreshTimer);
+    if (currentAddresses.some(address => address.lat === undefined)) {
+        refreshTimer = setTimeout(fetchAddresses, 5000);
+    }
 };
 
-const saveAddresses = async () => {
-    const response = await fetch('/api/addresses', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ addresses: currentAddresses })
+// Send a change for a single address and show the server's response.
+// The address version goes in the If-Match header so stale edits are rejected.
+const sendAddressRequest = async (method, url, body, version) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (version !== undefined) {
+        headers['If-Match'] = `"${version}"`;
+    }
+    const response = await apiFetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
     });
     const result = await response.json();
+    statusEl.style.color = response.ok ? 'green' : 'red';
     statusEl.textContent = result.message;
     setTimeout(() => statusEl.textContent = '', 3000);
     fetchAddresses(); // Re-fetch to ensure sync with server
+    fetchHistory();
+    return result;
+};
+
+const createAddress = (fields) => sendAddressRequest('POST', `/api/addresses${eventQuery()}`, fields);
+
+const updateAddress = (address, changes) =>
+    sendAddressRequest('PATCH', `/api/addresses/${address.id}${eventQuery()}`, changes, address.version);
+
+const deleteAddress = (address) =>
+    sendAddressRequest('DELETE', `/api/addresses/${address.id}${eventQuery()}`, null, address.version);
+
+const fetchRules = async () => {
+    const rulesResponse = await apiFetch(`/api/rules${eventQuery()}`);
+    const rulesData = await rulesResponse.json();
+    document.getElementById('rules-content').value = rulesData.rules;
+    document.getElementById('rules-preview').innerHTML = rulesData.html;
+    document.getElementById('rules-start').value = rulesData.summary.startTime || '';
+    document.getElementById('rules-end').value = rulesData.summary.endTime || '';
+    document.getElementById('rules-meeting-point').value = rulesData.summary.meetingPoint || '';
+    document.getElementById('rules-emergency-contact').value = rulesData.summary.emergencyContact || '';
+};
+
+// Render the rules as they'll appear on the rules page. The server does the
+// Markdown rendering and sanitising, so the preview matches exactly.
+const previewRules = async () => {
+    const response = await apiFetch('/api/rules/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: document.getElementById('rules-content').value })
+    });
+    if (response.ok) {
+        document.getElementById('rules-preview').innerHTML = (await response.json()).html;
+    }
+};
+
+const fetchRegistrations = async () => {
+    const response = await apiFetch('/api/registrations?status=pending');
+    pendingRegistrations = (await response.json()).filter(registration => registration.eventYear === selectedYear);
+    renderRegistrations();
+};
+
+// Act on a registration and show the server's response in the registrations status line.
+const sendRegistrationRequest = async (method, url, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    const registrationStatusEl = document.getElementById('registration-status');
+    registrationStatusEl.style.color = response.ok ? 'green' : 'red';
+    registrationStatusEl.textContent = result.message;
+    setTimeout(() => registrationStatusEl.textContent = '', 3000);
+    fetchRegistrations();
+    fetchAddresses(); // Approved houses appear in the address list
+    return result;
+};
+
+// Send an event change and show the server's response in the events status line.
+const sendEventRequest = async (method, url, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+    const result = await response.json();
+    const eventStatusEl = document.getElementById('event-status');
+    eventStatusEl.style.color = response.ok ? 'green' : 'red';
+    eventStatusEl.textContent = result.message;
+    setTimeout(() => eventStatusEl.textContent = '', 3000);
+    return { ok: response.ok, result };
+};
+
+const fetchUsers = async () => {
+    const response = await apiFetch('/api/users');
+    adminUsers = await response.json();
+    renderUsers();
+};
+
+// Change an admin account and show the server's response in the users status line.
+const sendUserRequest = async (method, url, body) => {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    const usersStatusEl = document.getElementById('users-status');
+    usersStatusEl.style.color = response.ok ? 'green' : 'red';
+    usersStatusEl.textContent = result.message;
+    setTimeout(() => usersStatusEl.textContent = '', 5000);
+    fetchUsers();
+    return { ok: response.ok, result };
+};
+
+const fetchBackups = async () => {
+    const response = await apiFetch('/api/backups');
+    backupList = await response.json();
+    renderBackups();
+};
+
+// Send a backup request and show the server's response in the backups status line.
+const sendBackupRequest = async (method, url) => {
+    const response = await apiFetch(url, { method });
+    const result = await response.json();
+    const backupsStatusEl = document.getElementById('backups-status');
+    backupsStatusEl.style.color = response.ok ? 'green' : 'red';
+    backupsStatusEl.textContent = result.message;
+    setTimeout(() => backupsStatusEl.textContent = '', 8000);
+    fetchBackups();
+    return { ok: response.ok, result };
+};
+
+// Show what restoring `backup` would change before letting the owner go ahead
+const previewRestore = async (backup) => {
+    const response = await apiFetch(`/api/backups/${encodeURIComponent(backup.id)}/preview`);
+    const result = await response.json();
+    if (!response.ok) {
+        const backupsStatusEl = document.getElementById('backups-status');
+        backupsStatusEl.style.color = 'red';
+        backupsStatusEl.textContent = result.message;
+        fetchBackups();
+        return;
+    }
+    previewedBackup = backup;
+    renderBackupPreview(result);
+};
+
+const fetchChecks = async () => {
+    const response = await apiFetch(`/api/addresses/checks${eventQuery()}`);
+    if (response.ok) renderChecks(await response.json());
+};
+
+// Save every dragged marker in one request
+const saveMovedLocations = async () => {
+    const response = await apiFetch(`/api/addresses/locations${eventQuery()}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ locations: [...movedLocations.values()] })
+    });
+    const result = await response.json();
+    const checksStatusEl = document.getElementById('checks-status');
+    checksStatusEl.style.color = response.ok ? 'green' : 'red';
+    checksStatusEl.textContent = result.message;
+    setTimeout(() => checksStatusEl.textContent = '', 5000);
+    if (response.ok) {
+        fetchAddresses().then(fetchChecks);
+        fetchStats();
+    }
+};
+
+const fetchStats = async () => {
+    const response = await apiFetch(`/api/stats${eventQuery()}`);
+    if (response.ok) renderStats(await response.json());
+};
+
+const fetchOutbox = async () => {
+    const response = await apiFetch('/api/notifications/outbox?limit=30');
+    if (response.ok) renderOutbox(await response.json());
+};
+
+// Send a notification request and show the server's response in the broadcast status line.
+const sendNotificationRequest = async (url, body) => {
+    const response = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+    const result = await response.json();
+    const broadcastStatusEl = document.getElementById('broadcast-status');
+    broadcastStatusEl.style.color = response.ok ? 'green' : 'red';
+    broadcastStatusEl.textContent = result.message;
+    setTimeout(() => broadcastStatusEl.textContent = '', 5000);
+    setTimeout(fetchOutbox, 1000); // Give the outbox a moment to send
+    return { ok: response.ok, result };
+};
+
+const fetchHistory = async () => {
+    const action = document.getElementById('history-filter').value;
+    const response = await apiFetch(`/api/audit?event=${selectedYear}&limit=50${action ? `&action=${action}` : ''}`);
+    historyEntries = await response.json();
+    renderHistory();
+};
+
+const restoreVersion = async (entry) => {
+    const what = entry.action.startsWith('rules') ? 'the rules' : 'the whole address list';
+    if (!confirm(`Restore ${what} to how it was after this change?`)) return;
+
+    const response = await apiFetch(`/api/audit/${entry.id}/restore`, { method: 'POST' });
+    const result = await response.json();
+    const historyStatusEl = document.getElementById('history-status');
+    historyStatusEl.style.color = response.ok ? 'green' : 'red';
+    historyStatusEl.textContent = result.message;
+    setTimeout(() => historyStatusEl.textContent = '', 3000);
+    loadSelectedEvent();
 };
 
 // --- Rendering and UI Functions ---
 
+const describeChange = (entry) => {
+    const labels = {
+        'address.create': 'Added',
+        'address.update': 'Edited',
+        'address.delete': 'Deleted',
+        'addresses.restore': 'Restored the address list',
+        'rules.update': 'Edited the rules',
+        'rules.restore': 'Restored the rules'
+    };
+    const label = labels[entry.action] || entry.action;
+    const address = entry.targetId && (entry.after || entry.before);
+    return address ? `${label} "${address.text}"` : label;
+};
+
+const renderHistory = () => {
+    const historyList = document.getElementById('history-list');
+    historyList.innerHTML = '';
+    if (historyEntries.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No changes recorded yet.';
+        historyList.appendChild(li);
+        return;
+    }
+
+    historyEntries.forEach((entry) => {
+        const li = document.createElement('li');
+
+        const span = document.createElement('span');
+        span.textContent = describeChange(entry);
+        const details = document.createElement('span');
+        details.className = 'instructions-display';
+        details.textContent = `${entry.actor.username || 'resident'}, ${new Date(entry.at).toLocaleString()}`;
+        span.appendChild(details);
+
+        const controls = document.createElement('div');
+        controls.className = 'controls';
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore This Version';
+        restoreButton.onclick = () => restoreVersion(entry);
+        controls.appendChild(restoreButton);
+
+        li.append(span, controls);
+        historyList.appendChild(li);
+    });
+};
+
+// Fill a table from a header row and data rows of plain text
+const renderTable = (table, headers, rows) => {
+    table.innerHTML = '';
+    const headerRow = table.insertRow();
+    headers.forEach((header) => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    rows.forEach((row) => {
+        const tr = table.insertRow();
+        row.forEach(cell => tr.insertCell().textContent = cell);
+    });
+};
+
+// A simple horizontal bar chart: [{ label, value, note }]
+const renderBars = (container, bars, emptyText) => {
+    container.innerHTML = '';
+    if (bars.length === 0) {
+        container.textContent = emptyText;
+        return;
+    }
+    const max = Math.max(...bars.map(bar => bar.value));
+    bars.forEach(({ label, value, note }) => {
+        const row = document.createElement('div');
+        row.className = 'stats-bar-row';
+        const labelEl = document.createElement('span');
+        labelEl.textContent = label;
+        const bar = document.createElement('span');
+        bar.className = 'stats-bar';
+        bar.style.width = `${Math.max(2, value / max * 100)}%`;
+        const valueEl = document.createElement('span');
+        valueEl.textContent = note || String(value);
+        row.append(labelEl, bar, valueEl);
+        container.appendChild(row);
+    });
+};
+
+const CHECK_LABELS = {
+    missing: 'not on the map',
+    'low-precision': 'only the street or town was found',
+    duplicate: 'same spot as another house',
+    'out-of-bounds': 'outside the town'
+};
+
+const updateChecksSaveButton = () => {
+    const saveButton = document.getElementById('checks-save-btn');
+    saveButton.disabled = movedLocations.size === 0;
+    saveButton.textContent = movedLocations.size === 0
+        ? 'Save Locations'
+        : `Save ${movedLocations.size} Location${movedLocations.size === 1 ? '' : 's'}`;
+};
+
+// One map with every flagged house as a draggable marker. Houses without a
+// location start in a small circle around the town centre.
+const renderChecks = ({ bounds, addresses }) => {
+    if (!checksMap) {
+        checksMap = L.map('checks-map');
+        L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        }).addTo(checksMap);
+    }
+    if (checksLayer) checksMap.removeLayer(checksLayer);
+    checksLayer = L.layerGroup().addTo(checksMap);
+    movedLocations.clear();
+    updateChecksSaveButton();
+
+    const townBounds = L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east]);
+    L.rectangle(townBounds, { color: '#ff8c00', weight: 2, dashArray: '6 6', fill: false, interactive: false }).addTo(checksLayer);
+    checksMap.fitBounds(townBounds);
+
+    const flaggedIds = new Set(addresses.map(address => address.id));
+    currentAddresses.filter(address => !flaggedIds.has(address.id) && address.lat !== undefined).forEach((address) => {
+        // Leaflet treats a string as HTML, so the text goes in as a node
+        const tooltip = document.createElement('span');
+        tooltip.textContent = address.text;
+        L.circleMarker([address.lat, address.lon], { radius: 4, color: '#777', fillOpacity: 0.8 })
+            .bindTooltip(tooltip)
+            .addTo(checksLayer);
+    });
+
+    const canEdit = currentUser.role !== 'viewer';
+    const unplaced = addresses.filter(address => address.lat === undefined);
+    const checksList = document.getElementById('checks-list');
+    checksList.innerHTML = '';
+    addresses.forEach((address) => {
+        let latLng = [address.lat, address.lon];
+        if (address.lat === undefined) {
+            const angle = 2 * Math.PI * unplaced.indexOf(address) / unplaced.length;
+            latLng = [townCentre.lat + 0.0008 * Math.sin(angle), townCentre.lon + 0.001 * Math.cos(angle)];
+        }
+        const reasons = address.flags.map(flag => CHECK_LABELS[flag] || flag).join(', ');
+        const li = document.createElement('li');
+
+        const popup = document.createElement('div');
+        const reasonsEl = document.createElement('small');
+        reasonsEl.textContent = reasons;
+        popup.append(address.text, document.createElement('br'), reasonsEl);
+        const marker = L.marker(latLng, { draggable: canEdit, title: address.text })
+            .bindPopup(popup)
+            .addTo(checksLayer);
+        marker.on('dragend', () => {
+            const { lat, lng } = marker.getLatLng();
+            movedLocations.set(address.id, { id: address.id, version: address.version, lat, lon: lng });
+            li.classList.add('moved');
+            updateChecksSaveButton();
+        });
+
+        const link = document.createElement('a');
+        link.href = '#checks-map';
+        link.textContent = address.text;
+        link.onclick = (e) => {
+            e.preventDefault();
+            checksMap.setView(marker.getLatLng(), 18);
+            marker.openPopup();
+        };
+        li.append(link, `: ${reasons}`);
+        checksList.appendChild(li);
+    });
+
+    document.getElementById('checks-summary').textContent = addresses.length === 0
+        ? 'Every house looks to be in the right place.'
+        : `${addresses.length} house${addresses.length === 1 ? '' : 's'} to check.`;
+    document.getElementById('checks-save-btn').hidden = !canEdit || addresses.length === 0;
+};
+
+const renderStatsMap = (points) => {
+    if (!statsMap) {
+        statsMap = L.map('stats-map');
+        L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        }).addTo(statsMap);
+    }
+    if (points.length > 0) {
+        statsMap.fitBounds(points, { padding: [30, 30], maxZoom: 16 });
+    } else {
+        statsMap.setView([townCentre.lat, townCentre.lon], 14);
+    }
+    if (heatLayer) statsMap.removeLayer(heatLayer);
+    heatLayer = L.heatLayer(points, { radius: 30, blur: 20, maxZoom: 17 }).addTo(statsMap);
+};
+
+const renderStats = (stats) => {
+    const { houses, registrations } = stats;
+    document.getElementById('stats-summary').textContent =
+        `${houses.total} houses on ${houses.perStreet.length} streets, ${houses.geocoded} of them on the map. ` +
+        `${registrations.total} registrations (${registrations.byStatus.approved || 0} approved, ${registrations.byStatus.pending || 0} pending).`;
+
+    renderStatsMap(stats.heatmap);
+    renderTable(document.getElementById('stats-streets'), ['Street', 'Houses'],
+        houses.perStreet.map(({ street, count }) => [street, count]));
+
+    const gaps = document.getElementById('stats-gaps');
+    gaps.innerHTML = '';
+    const addGap = (text) => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        gaps.appendChild(li);
+    };
+    houses.missingCoordinates.forEach(address => addGap(`${address.text}: not on the map`));
+    houses.sharedCoordinates.forEach(group => addGap(`Same spot for ${group.addresses.length} houses: ${group.addresses.map(address => address.text).join('; ')}`));
+    if (gaps.children.length === 0) addGap('Every house has its own location.');
+
+    renderBars(document.getElementById('stats-registrations'),
+        registrations.growth.map(day => ({
+            label: new Date(`${day.date}T00:00:00`).toLocaleDateString([], { day: 'numeric', month: 'short' }),
+            value: day.total,
+            note: `${day.total} (+${day.count})`
+        })),
+        'No registrations yet.');
+    renderBars(document.getElementById('stats-views'),
+        stats.mapViews.map(hour => ({
+            label: new Date(hour.hour).toLocaleString([], { weekday: 'short', hour: 'numeric' }),
+            value: hour.count
+        })),
+        'No public map views yet.');
+
+    renderTable(document.getElementById('stats-years'), ['Year', 'Houses', 'On the Map', 'Streets', 'Registrations', 'Map Views'],
+        stats.years.map(year => [year.name, year.houses, year.geocoded, year.streets, year.registrations, year.mapViews]));
+};
+
+const OUTBOX_STATES = { pending: 'Waiting to send', sent: 'Sent', failed: 'Failed' };
+
+const renderOutbox = (messages) => {
+    const outboxList = document.getElementById('outbox-list');
+    outboxList.innerHTML = '';
+    if (messages.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No messages yet.';
+        outboxList.appendChild(li);
+        return;
+    }
+
+    messages.forEach((message) => {
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        span.textContent = `${message.subject} → ${message.to}`;
+        const details = document.createElement('span');
+        details.className = 'instructions-display';
+        const when = new Date(message.sentAt || message.createdAt).toLocaleString();
+        details.textContent = [OUTBOX_STATES[message.status], when, message.lastError && `last error: ${message.lastError}`]
+            .filter(Boolean).join(', ');
+        span.appendChild(details);
+        li.appendChild(span);
+
+        if (message.status === 'failed') {
+            const controls = document.createElement('div');
+            controls.className = 'controls';
+            const retryButton = document.createElement('button');
+            retryButton.textContent = 'Try Again';
+            retryButton.onclick = () => sendNotificationRequest(`/api/notifications/outbox/${message.id}/retry`);
+            controls.appendChild(retryButton);
+            li.appendChild(controls);
+        }
+        outboxList.appendChild(li);
+    });
+};
+
+const describeBackup = backup => `${new Date(backup.createdAt).toLocaleString()} (${backup.reason}, ${Math.ceil(backup.size / 1024)} KB)`;
+
+const renderBackups = () => {
+    const list = document.getElementById('backup-list');
+    list.innerHTML = '';
+    if (backupList.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No backups yet.';
+        list.appendChild(li);
+        return;
+    }
+
+    backupList.forEach((backup) => {
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        span.textContent = describeBackup(backup);
+
+        const controls = document.createElement('div');
+        controls.className = 'controls';
+        const downloadLink = document.createElement('a');
+        downloadLink.textContent = 'Download';
+        downloadLink.href = `/api/backups/${encodeURIComponent(backup.id)}`;
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore…';
+        restoreButton.onclick = () => previewRestore(backup);
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.className = 'delete';
+        deleteButton.onclick = () => {
+            if (confirm(`Delete the backup from ${new Date(backup.createdAt).toLocaleString()}?`)) {
+                sendBackupRequest('DELETE', `/api/backups/${encodeURIComponent(backup.id)}`);
+            }
+        };
+
+        controls.append(downloadLink, restoreButton, deleteButton);
+        li.append(span, controls);
+        list.appendChild(li);
+    });
+};
+
+// List the changes from /api/backups/:id/preview in plain words
+const renderBackupPreview = (diff) => {
+    const lines = [];
+    diff.events.forEach((event) => {
+        if (event.change === 'restored') lines.push(`Bring back the ${event.year} event (${event.addressCount} addresses)`);
+        if (event.change === 'removed') lines.push(`Remove the ${event.year} event (${event.addressCount} addresses)`);
+        if (event.change !== 'changed') return;
+        const { restored, removed, changed } = event.addresses;
+        if (restored.length) lines.push(`${event.year}: bring back ${restored.join(', ')}`);
+        if (removed.length) lines.push(`${event.year}: remove ${removed.join(', ')}`);
+        if (changed.length) lines.push(`${event.year}: change ${changed.join(', ')}`);
+        if (event.rulesChanged) lines.push(`${event.year}: change the rules`);
+        if (!restored.length && !removed.length && !changed.length && !event.rulesChanged) lines.push(`${event.year}: change the event details`);
+    });
+    if (diff.users.restored.length) lines.push(`Bring back the admin accounts ${diff.users.restored.join(', ')}`);
+    if (diff.users.removed.length) lines.push(`Remove the admin accounts ${diff.users.removed.join(', ')}`);
+    if (diff.registrations.current !== diff.registrations.backup) {
+        lines.push(`Go from ${diff.registrations.current} to ${diff.registrations.backup} registrations`);
+    }
+    if (diff.auditEntries.current !== diff.auditEntries.backup) {
+        lines.push(`Go from ${diff.auditEntries.current} to ${diff.auditEntries.backup} history entries`);
+    }
+    if (lines.length === 0) lines.push('Change nothing. This backup matches the current data.');
+
+    document.getElementById('backup-preview-name').textContent = describeBackup(previewedBackup);
+    const list = document.getElementById('backup-preview-list');
+    list.innerHTML = '';
+    lines.forEach((line) => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        list.appendChild(li);
+    });
+    document.getElementById('backup-preview').hidden = false;
+};
+
+const renderUsers = () => {
+    const userList = document.getElementById('user-list');
+    userList.innerHTML = '';
+    adminUsers.forEach((user) => {
+        const li = document.createElement('li');
+
+        const span = document.createElement('span');
+        span.textContent = user.username + (user.id === currentUser.id ? ' (you)' : '');
+        const details = document.createElement('span');
+        details.className = 'instructions-display';
+        const state = user.invited ? 'Invite not yet accepted' : (user.disabled ? 'Disabled' : 'Active');
+        details.textContent = [state, user.twoFactorEnabled && 'two-factor on', user.locked && 'locked after failed sign-ins']
+            .filter(Boolean).join(', ');
+        span.appendChild(details);
+
+        const controls = document.createElement('div');
+        controls.className = 'controls';
+
+        const roleSelect = document.createElement('select');
+        ['viewer', 'editor', 'owner'].forEach((role) => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = role;
+            option.selected = role === user.role;
+            roleSelect.appendChild(option);
+        });
+        roleSelect.onchange = () => sendUserRequest('PATCH', `/api/users/${user.id}`, { role: roleSelect.value });
+
+        const disableButton = document.createElement('button');
+        disableButton.textContent = user.disabled ? 'Enable' : 'Disable';
+        disableButton.onclick = () => sendUserRequest('PATCH', `/api/users/${user.id}`, { disabled: !user.disabled });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.className = 'delete';
+        deleteButton.onclick = () => {
+            if (confirm(`Delete the account "${user.username}"?`)) {
+                sendUserRequest('DELETE', `/api/users/${user.id}`);
+            }
+        };
+
+        controls.append(roleSelect, disableButton);
+        if (user.locked) {
+            const unlockButton = document.createElement('button');
+            unlockButton.textContent = 'Unlock';
+            unlockButton.onclick = () => sendUserRequest('PATCH', `/api/users/${user.id}`, { unlock: true });
+            controls.appendChild(unlockButton);
+        }
+        if (user.twoFactorEnabled && user.id !== currentUser.id) {
+            const resetButton = document.createElement('button');
+            resetButton.textContent = 'Reset Two-Factor';
+            resetButton.onclick = () => {
+                if (confirm(`Turn off two-factor sign-in for "${user.username}"? Do this if they've lost their phone.`)) {
+                    sendUserRequest('PATCH', `/api/users/${user.id}`, { resetTwoFactor: true });
+                }
+            };
+            controls.appendChild(resetButton);
+        }
+        controls.appendChild(deleteButton);
+        li.append(span, controls);
+        userList.appendChild(li);
+    });
+};
+
+// Show the signed-in user's two-factor state and the matching controls
+const renderTwoFactor = () => {
+    const enabled = currentUser.twoFactorEnabled;
+    document.getElementById('two-factor-state').textContent = enabled
+        ? `Two-factor sign-in is on. You have ${currentUser.recoveryCodesLeft} recovery codes left.`
+        : 'Two-factor sign-in is off. Turn it on to ask for a code from your phone as well as your password.';
+    document.getElementById('two-factor-setup-btn').hidden = enabled;
+    document.getElementById('two-factor-disable-form').hidden = !enabled;
+    document.getElementById('two-factor-setup').hidden = true;
+};
+
+const showTwoFactorMessage = (ok, message) => {
+    const twoFactorStatusEl = document.getElementById('two-factor-status');
+    twoFactorStatusEl.style.color = ok ? 'green' : 'red';
+    twoFactorStatusEl.textContent = message;
+    setTimeout(() => twoFactorStatusEl.textContent = '', 5000);
+};
+
+const sendTwoFactorRequest = async (action, body) => {
+    const response = await apiFetch(`/api/two-factor/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+    return { ok: response.ok, result: await response.json() };
+};
+
+const renderEvents = () => {
+    const eventSelect = document.getElementById('event-select');
+    eventSelect.innerHTML = '';
+    currentEvents.forEach((event) => {
+        const option = document.createElement('option');
+        option.value = event.year;
+        option.textContent = `${event.name}${event.archived ? ' (archived)' : ''}${event.current ? ' - current' : ''}`;
+        option.selected = event.year === selectedYear;
+        eventSelect.appendChild(option);
+    });
+
+    const selected = currentEvents.find(event => event.year === selectedYear);
+    const archiveButton = document.getElementById('archive-event-btn');
+    archiveButton.textContent = selected && selected.archived ? 'Reopen Event' : 'Archive Event';
+    archiveButton.disabled = !selected;
+    document.getElementById('clone-event-btn').disabled = !selected || selected.archived;
+};
+
+const renderRegistrations = () => {
+    const registrationList = document.getElementById('registration-list');
+    registrationList.innerHTML = '';
+    if (pendingRegistrations.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No registrations waiting for review.';
+        registrationList.appendChild(li);
+        return;
+    }
+
+    pendingRegistrations.forEach((registration) => {
+        const li = document.createElement('li');
+
+        const span = document.createElement('span');
+        span.textContent = registration.address;
+        const details = document.createElement('span');
+        details.className = 'instructions-display';
+        details.textContent = `Contact: ${registration.email}`;
+        span.appendChild(details);
+        if (registration.instructions) {
+            const instructionsSpan = document.createElement('span');
+            instructionsSpan.className = 'instructions-display';
+            instructionsSpan.textContent = `Instructions: ${registration.instructions}`;
+            span.appendChild(instructionsSpan);
+        }
+
+        const controls = document.createElement('div');
+        controls.className = 'controls';
+
+        const approveButton = document.createElement('button');
+        approveButton.textContent = 'Approve';
+        approveButton.onclick = () => sendRegistrationRequest('POST', `/api/registrations/${registration.id}/approve`);
+
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit';
+        editButton.onclick = () => handleEditRegistration(registration, span, controls);
+
+        const rejectButton = document.createElement('button');
+        rejectButton.textContent = 'Reject';
+        rejectButton.className = 'delete';
+        rejectButton.onclick = () => {
+            if (confirm(`Reject the registration for "${registration.address}"?`)) {
+                sendRegistrationRequest('POST', `/api/registrations/${registration.id}/reject`);
+            }
+        };
+
+        controls.append(approveButton, editButton, rejectButton);
+        li.append(span, controls);
+        registrationList.appendChild(li);
+    });
+};
+
+const handleEditRegistration = (registration, span, controls) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = registration.address;
+    input.className = 'edit-input';
+
+    const instructionsInput = document.createElement('input');
+    instructionsInput.type = 'text';
+    instructionsInput.placeholder = 'Special instructions';
+    instructionsInput.value = registration.instructions || '';
+    instructionsInput.className = 'edit-input';
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+    saveButton.onclick = () => sendRegistrationRequest('PATCH', `/api/registrations/${registration.id}`, {
+        address: input.value.trim(),
+        instructions: instructionsInput.value.trim()
+    });
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'delete';
+    cancelButton.onclick = () => renderRegistrations();
+
+    controls.innerHTML = '';
+    controls.append(saveButton, cancelButton);
+    span.innerHTML = '';
+    span.append(input, instructionsInput);
+    input.focus();
+};
+
+const renderImportPreview = (rows) => {
+    const importPreview = document.getElementById('import-preview');
+    importPreview.innerHTML = '';
+    const labels = { add: 'Add', update: 'Update', unchanged: 'Unchanged', duplicate: 'Duplicate (skipped)', error: 'Error' };
+    rows.filter(row => row.action !== 'unchanged').forEach((row) => {
+        const li = document.createElement('li');
+        if (row.action === 'error') li.className = 'error';
+        const span = document.createElement('span');
+        span.textContent = `Row ${row.line}: ${labels[row.action]} - ${row.text || '(no address)'}`;
+        if (row.message || row.changes) {
+            const details = document.createElement('span');
+            details.className = 'instructions-display';
+            details.textContent = row.message || `Changes: ${Object.keys(row.changes).join(', ')}`;
+            span.appendChild(details);
+        }
+        li.appendChild(span);
+        importPreview.appendChild(li);
+    });
+};
+
+// Send the chosen file for a preview, or with `commit` to import it
+const sendImport = async (commit) => {
+    const isCsv = importFile.name.toLowerCase().endsWith('.csv');
+    const response = await apiFetch(`/api/addresses/import${eventQuery()}${commit ? '&commit=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': isCsv ? 'text/csv' : 'application/geo+json' },
+        body: await importFile.text()
+    });
+    const result = await response.json();
+    const importStatusEl = document.getElementById('import-status');
+    importStatusEl.style.color = response.ok ? 'green' : 'red';
+    importStatusEl.textContent = result.message;
+
+    const commitButton = document.getElementById('import-commit-btn');
+    if (!response.ok || commit) {
+        commitButton.hidden = true;
+        document.getElementById('import-preview').innerHTML = '';
+        if (commit) loadSelectedEvent();
+        return;
+    }
+    renderImportPreview(result.rows);
+    commitButton.hidden = result.summary.add + result.summary.update === 0;
+};
+
+// Load everything shown for the selected event
+const loadSelectedEvent = () => {
+    ['geojson', 'csv', 'kml', 'gpx'].forEach((format) => {
+        document.getElementById(`export-${format}`).href = `/api/addresses/export/${format}${eventQuery()}`;
+    });
+    document.getElementById('print-a4').href = `/api/print${eventQuery()}&size=a4`;
+    document.getElementById('print-a3').href = `/api/print${eventQuery()}&size=a3`;
+    document.getElementById('print-svg').href = `/api/print${eventQuery()}&format=svg`;
+    document.getElementById('embed-code').value = `<iframe src="${window.location.origin}/embed${eventQuery()}" ` +
+        'width="600" height="450" style="border:0" title="Trick-or-treat map"></iframe>';
+    fetchAddresses().then(fetchChecks); // The checks map shows the other houses too
+    fetchRegistrations();
+    fetchRules();
+    fetchHistory();
+    fetchOutbox();
+    fetchStats();
+};
+
 const renderAddresses = () => {
     addressList.innerHTML = ''; // Clear the list
-    currentAddresses.forEach((address, index) => {
+    currentAddresses.forEach((address) => {
         const li = document.createElement('li');
-        li.dataset.index = index;
+        li.dataset.id = address.id;
 
         const span = document.createElement('span');
         span.textContent = address.text;
@@ -39,72 +886,151 @@ const renderAddresses = () => {
             span.appendChild(document.createElement('br'));
             span.appendChild(instructionsSpan);
         }
+        if (address.tags && address.tags.length > 0) {
+            const tagsSpan = document.createElement('span');
+            tagsSpan.className = 'instructions-display';
+            const labels = address.tags.map(tag => (addressTags.find(t => t.key === tag) || { label: tag }).label);
+            tagsSpan.textContent = `Tags: ${labels.join(', ')}`;
+            span.appendChild(tagsSpan);
+        }
+        if (address.lat === undefined) {
+            const locatingSpan = document.createElement('span');
+            locatingSpan.className = 'instructions-display';
+            locatingSpan.textContent = 'Locating... (use Set Location if this doesn\'t resolve)';
+            span.appendChild(locatingSpan);
+        }
 
         const controls = document.createElement('div');
         controls.className = 'controls';
 
         const editButton = document.createElement('button');
         editButton.textContent = 'Edit';
-        editButton.onclick = () => handleEdit(index);
+        editButton.onclick = () => handleEdit(address);
 
         const setLocationButton = document.createElement('button');
         setLocationButton.textContent = 'Set Location';
-        setLocationButton.onclick = () => openLocationModal(index);
+        setLocationButton.onclick = () => openLocationModal(address);
+
+        const statusLinkButton = document.createElement('button');
+        statusLinkButton.textContent = 'Status Link';
+        statusLinkButton.onclick = () => createStatusLink(address);
 
         const deleteButton = document.createElement('button');
         deleteButton.textContent = 'Delete';
         deleteButton.className = 'delete';
-        deleteButton.onclick = () => handleDelete(index);
+        deleteButton.onclick = () => handleDelete(address);
 
-        controls.append(setLocationButton, editButton, deleteButton);
+        controls.append(setLocationButton, editButton, statusLinkButton, deleteButton);
         li.append(span, controls);
         addressList.appendChild(li);
     });
 };
 
-const handleEdit = (index) => {
-    const li = addressList.querySelector(`li[data-index='${index}']`);
-    const span = li.querySelector('span');
-    let fullAddress = currentAddresses[index].text; // Use the original data, not the rendered text
-    const locationSuffix = " ardlethan nsw 2665";
+// A row of checkboxes, one per address tag
+const createTagCheckboxes = (selected = []) => {
+    const container = document.createElement('div');
+    container.className = 'tag-options';
+    addressTags.forEach(({ key, label }) => {
+        const tagLabel = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = key;
+        checkbox.checked = selected.includes(key);
+        tagLabel.append(checkbox, ` ${label}`);
+        container.appendChild(tagLabel);
+    });
+    return container;
+};
 
-    // Show only the street part in the edit box if the address ends with the suffix
-    let streetPart = fullAddress;
-    // Repeatedly strip the suffix in case it has been duplicated.
-    while (streetPart.toLowerCase().endsWith(locationSuffix)) {
-        streetPart = fullAddress.substring(0, fullAddress.length - locationSuffix.length).trim();
-        fullAddress = streetPart; // Update fullAddress for the next loop iteration
-    }
+const checkedTags = container =>
+    [...container.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
 
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.value = streetPart;
-    input.className = 'edit-input';
+const ADDRESS_PARTS = ['number', 'street', 'suburb', 'state', 'postcode'];
+
+// Inputs for the parts of an address, filled in from `address` or else the
+// town. The server tidies what's typed ("warri st" becomes "Warri Street").
+const createAddressInputs = (address = {}) => {
+    const container = document.createElement('div');
+    container.className = 'address-parts';
+    const addInput = (part, placeholder, value) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder;
+        input.value = value || '';
+        input.className = `address-${part}`;
+        container.appendChild(input);
+        return input;
+    };
+
+    const number = addInput('number', 'No.', address.number);
+    const street = addInput('street', 'Street', address.street || address.text);
+    street.setAttribute('list', 'street-names');
+    street.required = true;
+    const suburb = addInput('suburb', 'Suburb', address.suburb || town.suburb);
+    const state = document.createElement('select');
+    state.className = 'address-state';
+    states.forEach(abbreviation => state.add(new Option(abbreviation, abbreviation)));
+    state.value = address.state || town.state;
+    container.appendChild(state);
+    const postcode = addInput('postcode', 'Postcode', address.postcode || town.postcode);
+    postcode.inputMode = 'numeric';
+    postcode.maxLength = 4;
+
+    return {
+        container,
+        focus: () => number.focus(),
+        // Clear the house and street, keeping the suburb for the next one
+        clear: () => {
+            number.value = '';
+            street.value = '';
+        },
+        read: () => ({
+            number: number.value.trim(),
+            street: street.value.trim(),
+            suburb: suburb.value.trim(),
+            state: state.value,
+            postcode: postcode.value.trim()
+        })
+    };
+};
+
+// Street names for the street inputs to suggest
+const fetchStreets = async () => {
+    const response = await apiFetch('/api/streets');
+    if (!response.ok) return;
+    const options = (await response.json()).map(street => new Option(street));
+    document.getElementById('street-names').replaceChildren(...options);
+};
+
+const handleEdit = (address) => {
+    const li = addressList.querySelector(`li[data-id='${address.id}']`);
+    const span = li.querySelector('span');
+    const addressInputs = createAddressInputs(address);
 
     const instructionsInput = document.createElement('input');
     instructionsInput.type = 'text';
     instructionsInput.placeholder = 'Special instructions';
-    instructionsInput.value = currentAddresses[index].instructions || '';
+    instructionsInput.value = address.instructions || '';
     instructionsInput.className = 'edit-input';
 
+    const tagCheckboxes = createTagCheckboxes(address.tags);
+
     const saveButton = document.createElement('button');
     saveButton.textContent = 'Save';
     saveButton.onclick = () => {
-        const oldAddressText = currentAddresses[index].text;
-        const newStreetPart = input.value.trim();
+        const parts = addressInputs.read();
         const newInstructions = instructionsInput.value.trim();
-        const newAddressText = `${newStreetPart} ${locationSuffix}`;
 
-        // Only clear coordinates if the address text has actually changed
-        if (newAddressText !== oldAddressText) {
-            // Clear old coordinates to signal server to re-geocode
-            delete currentAddresses[index].lat;
-            delete currentAddresses[index].lon;
+        // Only send the address if it has actually changed, so the server
+        // keeps the existing coordinates instead of re-geocoding
+        const changes = {
+            instructions: newInstructions || null, // null removes the instructions
+            tags: checkedTags(tagCheckboxes)
+        };
+        if (ADDRESS_PARTS.some(part => parts[part] !== (address[part] || ''))) {
+            Object.assign(changes, parts);
         }
-
-        currentAddresses[index].text = newAddressText;
-        currentAddresses[index].instructions = newInstructions || undefined; // Save new instructions, or remove if empty
-        saveAddresses();
+        updateAddress(address, changes);
     };
 
     const cancelButton = document.createElement('button');
@@ -118,31 +1044,135 @@ const handleEdit = (index) => {
 
     // Replace the span with the new input fields
     span.innerHTML = ''; // Clear the old content
-    span.appendChild(input);
+    span.appendChild(addressInputs.container);
     span.appendChild(instructionsInput);
-    input.focus();
+    span.appendChild(tagCheckboxes);
+    addressInputs.focus();
+};
+
+// Make a link the resident can use to set their house's status on the night
+const createStatusLink = async (address) => {
+    if (!confirm(`Create a status link for "${address.text}"? Any older link for this house will stop working.`)) return;
+    const response = await apiFetch(`/api/addresses/${address.id}/status-link${eventQuery()}`, { method: 'POST' });
+    const result = await response.json();
+    if (response.ok) {
+        prompt('Send this link to the resident:', `${window.location.origin}${result.statusUrl}`);
+    } else {
+        statusEl.style.color = 'red';
+        statusEl.textContent = result.message;
+    }
 };
 
-const handleDelete = (index) => {
-    if (confirm(`Are you sure you want to delete "${currentAddresses[index].text}"?`)) {
-        currentAddresses.splice(index, 1);
-        saveAddresses();
+const handleDelete = (address) => {
+    if (confirm(`Are you sure you want to delete "${address.text}"?`)) {
+        deleteAddress(address);
     }
 };
 
 // --- Event Listeners ---
 
 document.addEventListener('DOMContentLoaded', async () => {
-    fetchAddresses();
+    const meResponse = await apiFetch('/api/me');
+    currentUser = await meResponse.json();
+    document.getElementById('signed-in-as').textContent = `Signed in as ${currentUser.username} (${currentUser.role})`;
+    if (currentUser.role === 'viewer') {
+        document.body.classList.add('read-only');
+    }
+    if (currentUser.role === 'owner') {
+        document.getElementById('users-section').hidden = false;
+        document.getElementById('backups-section').hidden = false;
+        fetchUsers();
+        fetchBackups();
+    }
+    renderTwoFactor();
 
-    const rulesResponse = await fetch('/api/rules');
-    const rulesData = await rulesResponse.json();
-    document.getElementById('rules-content').value = rulesData.rules;
+    const configResponse = await apiFetch('/api/config');
+    const appConfig = await configResponse.json();
+    town = appConfig.town;
+    states = appConfig.states;
+    townCentre = appConfig.townCentre;
+    newAddressInputs = createAddressInputs();
+    document.getElementById('new-address-parts').replaceWith(newAddressInputs.container);
+    fetchStreets();
+
+    const tagsResponse = await apiFetch('/api/address-tags');
+    addressTags = await tagsResponse.json();
+    document.getElementById('new-tags').replaceWith(Object.assign(createTagCheckboxes(), { id: 'new-tags' }));
+
+    await fetchEvents();
+    loadSelectedEvent();
+});
+
+document.getElementById('event-select').addEventListener('change', (e) => {
+    selectedYear = Number(e.target.value);
+    renderEvents();
+    loadSelectedEvent();
+});
+
+document.getElementById('history-filter').addEventListener('change', fetchHistory);
+
+document.getElementById('broadcast-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const subject = document.getElementById('broadcast-subject').value.trim();
+    const body = document.getElementById('broadcast-body').value.trim();
+    if (!confirm(`Email "${subject}" to every registered house for this event?`)) return;
+
+    const { ok } = await sendNotificationRequest(`/api/notifications/broadcast${eventQuery()}`, { subject, body });
+    if (ok) e.target.reset();
+});
+
+document.getElementById('import-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    importFile = document.getElementById('import-file').files[0];
+    if (importFile) sendImport(false);
+});
+
+document.getElementById('import-commit-btn').addEventListener('click', () => sendImport(true));
+
+document.getElementById('archive-event-btn').addEventListener('click', async () => {
+    const selected = currentEvents.find(event => event.year === selectedYear);
+    if (selected.archived || confirm(`Archive "${selected.name}"? It will become read-only.`)) {
+        await sendEventRequest('POST', `/api/events/${selectedYear}/archive`, { archived: !selected.archived });
+        await fetchEvents();
+        loadSelectedEvent();
+    }
+});
+
+document.getElementById('clone-event-btn').addEventListener('click', async () => {
+    const fromYear = prompt('Copy houses from which year?', selectedYear - 1);
+    if (fromYear) {
+        await sendEventRequest('POST', `/api/events/${selectedYear}/clone`, { from: Number(fromYear) });
+        await fetchEvents();
+        fetchAddresses();
+    }
+});
+
+document.getElementById('add-event-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const year = Number(document.getElementById('new-event-year').value);
+    const body = { year };
+    const name = document.getElementById('new-event-name').value.trim();
+    if (name) body.name = name;
+    for (const [field, id] of [['date', 'new-event-date'], ['startTime', 'new-event-start'], ['endTime', 'new-event-end']]) {
+        const value = document.getElementById(id).value;
+        if (value) body[field] = value;
+    }
+
+    const { ok } = await sendEventRequest('POST', '/api/events', body);
+    if (ok) {
+        if (document.getElementById('new-event-clone').checked) {
+            await sendEventRequest('POST', `/api/events/${year}/clone`, { from: year - 1 });
+        }
+        e.target.reset();
+        selectedYear = year;
+        await fetchEvents();
+        loadSelectedEvent();
+    }
 });
 
 document.getElementById('signout-btn').addEventListener('click', async () => {
     try {
-        const response = await fetch('/api/signout', { method: 'POST' });
+        const response = await apiFetch('/api/signout', { method: 'POST' });
         const result = await response.json();
         if (result.success) {
             window.location.href = '/'; // Redirect to landing page on successful sign out
@@ -154,36 +1184,117 @@ document.getElementById('signout-btn').addEventListener('click', async () => {
 
 document.getElementById('add-address-form').addEventListener('submit', (e) => {
     e.preventDefault();
-    const newAddressInput = document.getElementById('new-address');
     const newInstructionsInput = document.getElementById('new-instructions');
-    const streetAddress = newAddressInput.value.trim();
-    if (streetAddress) {
-        const locationSuffix = "ardlethan nsw 2665";
-        const fullAddress = `${streetAddress} ${locationSuffix}`;
+    const parts = newAddressInputs.read();
+    if (parts.street) {
         const instructions = newInstructionsInput.value.trim();
-        currentAddresses.push({ text: fullAddress, instructions: instructions || undefined });
-        saveAddresses();
-        newAddressInput.value = ''; // Clear input field
+        const newTags = document.getElementById('new-tags');
+        createAddress({ ...parts, instructions: instructions || undefined, tags: checkedTags(newTags) })
+            .then(fetchStreets);
+        newAddressInputs.clear();
         newInstructionsInput.value = '';
+        newTags.querySelectorAll('input').forEach(checkbox => checkbox.checked = false);
+    }
+});
+
+document.getElementById('checks-save-btn').addEventListener('click', saveMovedLocations);
+
+document.getElementById('backup-now-btn').addEventListener('click', () => sendBackupRequest('POST', '/api/backups'));
+
+document.getElementById('backup-cancel-btn').addEventListener('click', () => {
+    previewedBackup = null;
+    document.getElementById('backup-preview').hidden = true;
+});
+
+document.getElementById('backup-restore-btn').addEventListener('click', async () => {
+    const { ok } = await sendBackupRequest('POST', `/api/backups/${encodeURIComponent(previewedBackup.id)}/restore`);
+    previewedBackup = null;
+    document.getElementById('backup-preview').hidden = true;
+    if (ok) {
+        setTimeout(() => location.reload(), 2000); // Everything on the page may have changed
+    }
+});
+
+document.getElementById('invite-user-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, result } = await sendUserRequest('POST', '/api/users', {
+        username: document.getElementById('invite-username').value.trim(),
+        role: document.getElementById('invite-role').value
+    });
+    if (ok) {
+        const inviteUrl = `${window.location.origin}${result.inviteUrl}`;
+        const inviteLink = document.getElementById('invite-link');
+        inviteLink.href = inviteUrl;
+        inviteLink.textContent = inviteUrl;
+        document.getElementById('invite-link-p').hidden = false;
+        e.target.reset();
     }
 });
 
+let previewTimer = null;
+document.getElementById('rules-content').addEventListener('input', () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(previewRules, 300);
+});
+
 document.getElementById('rules-form').addEventListener('submit', async (e) => {
     e.preventDefault();
     const rulesContent = document.getElementById('rules-content').value;
-    const response = await fetch('/api/rules', {
+    const response = await apiFetch(`/api/rules${eventQuery()}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ rules: rulesContent })
+        body: JSON.stringify({
+            rules: rulesContent,
+            startTime: document.getElementById('rules-start').value || undefined,
+            endTime: document.getElementById('rules-end').value || undefined,
+            meetingPoint: document.getElementById('rules-meeting-point').value,
+            emergencyContact: document.getElementById('rules-emergency-contact').value
+        })
     });
 
     const result = await response.json();
     const rulesStatusEl = document.getElementById('rules-status');
     rulesStatusEl.textContent = result.message;
-    rulesStatusEl.style.color = 'green';
+    rulesStatusEl.style.color = response.ok ? 'green' : 'red';
+    fetchHistory();
     setTimeout(() => rulesStatusEl.textContent = '', 3000);
 });
 
+// --- Two-Factor Sign-In ---
+
+document.getElementById('two-factor-setup-btn').addEventListener('click', async () => {
+    const { ok, result } = await sendTwoFactorRequest('setup');
+    if (!ok) return showTwoFactorMessage(false, result.message);
+    document.getElementById('two-factor-secret').textContent = result.secret.replace(/(.{4})/g, '$1 ').trim();
+    document.getElementById('two-factor-link').href = result.otpauthUrl;
+    document.getElementById('two-factor-setup').hidden = false;
+    document.getElementById('two-factor-setup-btn').hidden = true;
+    document.getElementById('two-factor-code').focus();
+});
+
+document.getElementById('two-factor-enable-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, result } = await sendTwoFactorRequest('enable', { code: document.getElementById('two-factor-code').value });
+    showTwoFactorMessage(ok, result.message);
+    if (!ok) return;
+    e.target.reset();
+    currentUser = await (await apiFetch('/api/me')).json();
+    renderTwoFactor();
+    document.getElementById('recovery-codes-list').textContent = result.recoveryCodes.join('\n');
+    document.getElementById('recovery-codes').hidden = false;
+});
+
+document.getElementById('two-factor-disable-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, result } = await sendTwoFactorRequest('disable', { password: document.getElementById('two-factor-password').value });
+    showTwoFactorMessage(ok, result.message);
+    if (!ok) return;
+    e.target.reset();
+    currentUser = await (await apiFetch('/api/me')).json();
+    document.getElementById('recovery-codes').hidden = true;
+    renderTwoFactor();
+});
+
 // --- Password Change Modal Logic ---
 const passwordModal = document.getElementById('password-modal');
 const openPasswordModalBtn = document.getElementById('open-password-modal-btn');
@@ -221,7 +1332,7 @@ passwordForm.addEventListener('submit', async (e) => {
         return;
     }
 
-    const response = await fetch('/api/change-password', {
+    const response = await apiFetch('/api/change-password', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ currentPassword, newPassword })
@@ -244,7 +1355,7 @@ const modal = document.getElementById('location-modal');
 const closeBtn = document.querySelector('.modal .close');
 let locationMap = null;
 let currentMarker = null;
-let editingIndex = -1;
+let editingAddress = null;
 
 closeBtn.onclick = () => modal.style.display = "none";
 window.onclick = (event) => {
@@ -253,13 +1364,12 @@ window.onclick = (event) => {
     }
 };
 
-async function openLocationModal(index) {
-    editingIndex = index;
-    const address = currentAddresses[index];
+async function openLocationModal(address) {
+    editingAddress = address;
     modal.style.display = "block";
 
     if (!locationMap) { // Initialize map only once
-        locationMap = L.map('location-map').setView([-33.8688, 151.2093], 10); // Default to Sydney
+        locationMap = L.map('location-map').setView([townCentre.lat, townCentre.lon], 15); // Default to the town
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png').addTo(locationMap);
 
         locationMap.on('click', (e) => {
@@ -286,32 +1396,27 @@ async function openLocationModal(index) {
         currentMarker = L.marker(latLng).addTo(locationMap);
         locationMap.setView(latLng, 15);
     } else {
-        // Geocode the address to get a starting position for the map
+        // Geocode the address on the server to get a starting position for the map
         try {
-            const geoResponse = await fetch(`https://nominatim.openstreetmap.org/search?format=json&countrycodes=au&q=${encodeURIComponent(address.text)}`, {
-                headers: { 'User-Agent': 'HalloweenApp/1.0 (https://example.com/)' }
-            });
-            const geoData = await geoResponse.json();
+            const geoResponse = await apiFetch(`/api/geocode?q=${encodeURIComponent(address.text)}`);
 
-            if (geoData && geoData.length > 0) {
-                const { lat, lon } = geoData[0];
+            if (geoResponse.ok) {
+                const { lat, lon } = await geoResponse.json();
                 locationMap.setView([lat, lon], 13); // Zoom to the geocoded location
             } else {
-                locationMap.setView([-33.8688, 151.2093], 10); // Fallback to Sydney
+                locationMap.setView([townCentre.lat, townCentre.lon], 15); // Fall back to the town
             }
         } catch (error) {
             console.error('Error geocoding for modal map:', error);
-            locationMap.setView([-33.8688, 151.2093], 10); // Fallback on error
+            locationMap.setView([townCentre.lat, townCentre.lon], 15); // Fall back to the town
         }
     }
 }
 
 document.getElementById('save-location-btn').onclick = () => {
-    if (currentMarker && editingIndex > -1) {
+    if (currentMarker && editingAddress) {
         const { lat, lng } = currentMarker.getLatLng();
-        currentAddresses[editingIndex].lat = lat;
-        currentAddresses[editingIndex].lon = lng;
-        saveAddresses();
+        updateAddress(editingAddress, { lat, lon: lng });
         modal.style.display = "none";
     }
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Visitors' checklist for the public map: houses ticked off as visited or
+// starred as favourites. It's kept in this browser's localStorage (one list
+// per event, no account needed) and can be shared as a short link, so a
+// group of parents can all start from the same list.
+//
+// A shared list is encoded against the event's address ids in sorted order:
+// the house count, then one bit per house for "visited" followed by one bit
+// per house for "favourite", as base64url. 30 houses fit in 11 characters.
+
+const checklistKey = year => `checklist-${year}`;
+
+const loadChecklist = (year) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(checklistKey(year))) || {};
+        return { visited: new Set(saved.visited || []), favourite: new Set(saved.favourite || []) };
+    } catch {
+        return { visited: new Set(), favourite: new Set() };
+    }
+};
+
+const saveChecklist = (year, checklist) => {
+    localStorage.setItem(checklistKey(year), JSON.stringify({
+        visited: [...checklist.visited],
+        favourite: [...checklist.favourite]
+    }));
+};
+
+const toBase64Url = bytes => btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = text => Uint8Array.from(
+    atob(text.replace(/-/g, '+').replace(/_/g, '/')),
+    char => char.charCodeAt(0)
+);
+
+// Encode `checklist` for the houses with these `ids`, e.g. "30.CAQAYAAAAAA"
+const encodeChecklist = (checklist, ids) => {
+    const sorted = [...ids].sort();
+    const bytes = new Uint8Array(Math.ceil(sorted.length * 2 / 8));
+    [checklist.visited, checklist.favourite].forEach((set, list) => {
+        sorted.forEach((id, index) => {
+            const bit = list * sorted.length + index;
+            if (set.has(id)) bytes[bit >> 3] |= 1 << (bit & 7);
+        });
+    });
+    return `${sorted.length}.${toBase64Url(bytes)}`;
+};
+
+// Decode a shared checklist for the houses with these `ids`. Returns null if
+// the code is malformed or was made for a different set of houses.
+const decodeChecklist = (code, ids) => {
+    const match = /^(\d+)\.([\w-]*)$/.exec(code || '');
+    const sorted = [...ids].sort();
+    if (!match || Number(match[1]) !== sorted.length) return null;
+
+    let bytes;
+    try {
+        bytes = fromBase64Url(match[2]);
+    } catch {
+        return null;
+    }
+    const [visited, favourite] = [0, 1].map(list => new Set(sorted.filter((id, index) => {
+        const bit = list * sorted.length + index;
+        return (bytes[bit >> 3] || 0) & (1 << (bit & 7));
+    })));
+    return { visited, favourite };
+};
+
+// A link to the map with `checklist` in the URL fragment (never sent to the server)
+const checklistShareUrl = (checklist, ids) => {
+    const url = new URL(window.location.href);
+    url.hash = `trip=${encodeChecklist(checklist, ids)}`;
+    return url.toString();
+};
+
+// The shared checklist code in this page's URL, if any
+const sharedChecklistCode = () => new URLSearchParams(window.location.hash.slice(1)).get('trip');
+
+// Draw `text` as a QR code inside `container` (uses the vendored qrcode-generator)
+const renderQrCode = (container, text) => {
+    const qr = qrcode(0, 'M'); // 0 picks the smallest size that fits
+    qr.addData(text);
+    qr.make();
+    container.innerHTML = qr.createSvgTag(4, 8);
+};
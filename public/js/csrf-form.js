@@ -0,0 +1,7 @@
+// Fill each form's hidden `_csrf` field with this session's token, which the
+// server checks before signing anyone in.
+fetch('/api/csrf-token')
+    .then(response => response.json())
+    .then(({ csrfToken }) => {
+        document.querySelectorAll('input[name="_csrf"]').forEach(input => input.value = csrfToken);
+    });
@@ -0,0 +1,82 @@
+// public/js/embed.js
+// The map other sites show in a frame (/embed?event=2025): just the houses,
+// coloured by status, and a link to the full map. It reads the public API,
+// the same as any other site would.
+
+const markerIcon = house => L.divIcon({
+    className: `house-marker status-${house.status}`,
+    iconSize: [22, 22],
+    popupAnchor: [0, -11]
+});
+
+// Built from DOM nodes so house text is never read as HTML
+const popupContent = (house) => {
+    const content = document.createElement('div');
+    content.className = 'house-popup';
+    const address = document.createElement('b');
+    address.textContent = house.address;
+    content.appendChild(address);
+    for (const line of [house.instructions, t(`status.${house.status}`)]) {
+        if (!line) continue;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = line;
+        content.appendChild(paragraph);
+    }
+    return content;
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await i18nReady;
+
+    const eventYear = new URLSearchParams(window.location.search).get('event');
+    const eventQuery = eventYear ? `?event=${encodeURIComponent(eventYear)}` : '';
+
+    const map = L.map('map');
+    L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+    }).addTo(map);
+
+    // Start on the town until the houses are in
+    const site = await fetch('/api/site').then(response => response.json()).catch(() => null);
+    if (site) {
+        document.title = site.title;
+        map.setView([site.townCentre.lat, site.townCentre.lon], 14);
+    } else {
+        map.setView([-33.0, 146.9], 6);
+    }
+
+    const eventResponse = await fetch(`/api/v1/event${eventQuery}`);
+    if (!eventResponse.ok) {
+        document.getElementById('embed-title').textContent = t('embed.unavailable');
+        return;
+    }
+    const event = await eventResponse.json();
+    document.getElementById('embed-title').textContent = event.name;
+    document.getElementById('embed-full-map').href = event.links.map;
+
+    const markers = new Map(); // house id -> { marker, house }
+    const layer = L.featureGroup().addTo(map);
+    const { houses } = await (await fetch(`/api/v1/houses${eventQuery}`)).json();
+    for (const house of houses) {
+        if (house.lat === null || house.lon === null) continue;
+        const marker = L.marker([house.lat, house.lon], { icon: markerIcon(house), title: house.address })
+            .bindPopup(() => popupContent(house))
+            .addTo(layer);
+        markers.set(house.id, { marker, house });
+    }
+    if (markers.size > 0) {
+        map.fitBounds(layer.getBounds(), { padding: [30, 30], maxZoom: 16 });
+    }
+
+    // Update markers as residents change their status during the night
+    const live = new EventSource(`/api/live${eventQuery}`);
+    live.addEventListener('status', (e) => {
+        const { id, status, statusUpdatedAt } = JSON.parse(e.data);
+        const entry = markers.get(id);
+        if (entry) {
+            Object.assign(entry.house, { status, statusUpdatedAt });
+            entry.marker.setIcon(markerIcon(entry.house));
+        }
+    });
+});
@@ -0,0 +1,116 @@
+// public/js/house-list.js
+// The list view of the public map, for screen readers, keyboards and anyone
+// who'd rather not use a map. Houses are grouped by street; streets and the
+// houses in them are in order, or nearest first once the visitor shares their
+// location. Up and Down (and Home and End) move between houses, and each
+// house can be shown on the map.
+
+// "58 Warri Street Ardlethan NSW 2665" -> "Warri Street"
+const streetOf = address => address.street || address.text.trim().replace(/^[\d/-]+[a-z]?\s+/i, '');
+
+// Metres between two { lat, lon } points
+const distanceMetres = (from, to) => {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLon = radians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
+
+// "120 m" or "1.4 km", in the page's language
+const formatDistance = (metres) => {
+    const [value, unit, digits] = metres < 1000 ? [Math.round(metres / 10) * 10, 'meter', 0] : [metres / 1000, 'kilometer', 1];
+    return new Intl.NumberFormat(pageLanguage, { style: 'unit', unit, maximumFractionDigits: digits }).format(value);
+};
+
+// [{ street, houses: [{ address, distance }] }]. With an `origin`, the houses
+// in each street are nearest first and the streets are ordered by their
+// nearest house; otherwise streets are alphabetical and houses by number.
+const groupByStreet = (addresses, origin) => {
+    const streets = new Map();
+    for (const address of addresses) {
+        const street = streetOf(address);
+        if (!streets.has(street)) streets.set(street, []);
+        const located = origin && typeof address.lat === 'number' && typeof address.lon === 'number';
+        streets.get(street).push({ address, distance: located ? distanceMetres(origin, address) : null });
+    }
+
+    const byDistance = (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity);
+    const byNumber = (a, b) => (parseInt(a.address.number || a.address.text, 10) || 0) - (parseInt(b.address.number || b.address.text, 10) || 0) ||
+        a.address.text.localeCompare(b.address.text);
+    const groups = [...streets].map(([street, houses]) => ({ street, houses: houses.sort(origin ? byDistance : byNumber) }));
+    return groups.sort(origin
+        ? (a, b) => byDistance(a.houses[0], b.houses[0])
+        : (a, b) => a.street.localeCompare(b.street, pageLanguage));
+};
+
+// Draw `groups` into `container`. `houseDetails(address)` gives the lines
+// shown under each house; `checklistButtons(address)` its visited and
+// favourite buttons. The house marked `selectedId` is the one open on the map.
+const renderHouseList = (container, groups, { selectedId, houseDetails, checklistButtons }) => {
+    container.replaceChildren();
+    if (groups.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = t('list.empty');
+        container.appendChild(empty);
+        return;
+    }
+
+    groups.forEach(({ street, houses }, index) => {
+        const section = document.createElement('section');
+        section.className = 'street-group';
+        const heading = document.createElement('h3');
+        heading.id = `street-${index}`;
+        heading.textContent = street;
+        const count = document.createElement('span');
+        count.className = 'street-count';
+        count.textContent = t('list.houseCount', { count: houses.length });
+        heading.append(' ', count);
+        section.setAttribute('aria-labelledby', heading.id);
+
+        const list = document.createElement('ul');
+        houses.forEach(({ address, distance }) => {
+            const item = document.createElement('li');
+            item.className = 'house-item';
+            item.dataset.id = address.id;
+            if (address.id === selectedId) item.setAttribute('aria-current', 'true');
+
+            const show = document.createElement('button');
+            show.type = 'button';
+            show.className = 'house-show';
+            show.dataset.action = 'show';
+            show.textContent = address.text;
+            show.title = t('list.showOnMap');
+            item.appendChild(show);
+
+            const lines = houseDetails(address);
+            if (distance !== null) lines.unshift(t('list.distance', { distance: formatDistance(distance) }));
+            lines.forEach((line) => {
+                const detail = document.createElement('p');
+                detail.textContent = line;
+                item.appendChild(detail);
+            });
+            item.appendChild(checklistButtons(address));
+            list.appendChild(item);
+        });
+        section.append(heading, list);
+        container.appendChild(section);
+    });
+};
+
+// Up, Down, Home and End move between the houses' main buttons
+const handleListKeys = (container) => {
+    container.addEventListener('keydown', (e) => {
+        if (!e.target.classList.contains('house-show') || !['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)) return;
+        const buttons = [...container.querySelectorAll('.house-show')];
+        const index = buttons.indexOf(e.target);
+        const next = {
+            ArrowUp: Math.max(index - 1, 0),
+            ArrowDown: Math.min(index + 1, buttons.length - 1),
+            Home: 0,
+            End: buttons.length - 1
+        }[e.key];
+        e.preventDefault();
+        buttons[next].focus();
+    });
+};
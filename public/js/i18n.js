@@ -0,0 +1,93 @@
+// public/js/i18n.js
+// Translations for the public pages. Each language's strings are in
+// /locales/<code>.json, keyed by name, with English filling in anything a
+// translation is missing. Elements marked data-i18n="key" get their text from
+// the chosen language; data-i18n-placeholder, data-i18n-aria-label and
+// data-i18n-title do the same for those attributes. Page scripts wait for
+// `i18nReady` before drawing anything with `t()`.
+//
+// The visitor picks a language with the switch in the header (#language-select).
+// It's remembered in this browser; until then the browser's own language is
+// used if there's a translation for it.
+
+const LANGUAGES = { en: 'English', it: 'Italiano' };
+const LANGUAGE_KEY = 'language';
+
+const chosenLanguage = () => {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LANGUAGE_KEY);
+    } catch {
+        // Storage is blocked (e.g. in some framed pages); fall back to the browser's language
+    }
+    if (LANGUAGES[saved]) return saved;
+    const preferred = (navigator.languages || [navigator.language])
+        .map(tag => String(tag).slice(0, 2).toLowerCase())
+        .find(code => LANGUAGES[code]);
+    return preferred || 'en';
+};
+
+const pageLanguage = chosenLanguage();
+let pageStrings = {};
+let fallbackStrings = {};
+
+const fetchStrings = code => fetch(`/locales/${code}.json`)
+    .then(response => (response.ok ? response.json() : {}))
+    .catch(() => ({}));
+
+// The text for `key` with {placeholders} filled in from `values`. When
+// `values.count` is a number, "key.one" / "key.other" (by the language's plural
+// rules) are used if they exist. Unknown keys come back as the key itself.
+const t = (key, values = {}) => {
+    const keys = typeof values.count === 'number'
+        ? [`${key}.${new Intl.PluralRules(pageLanguage).select(values.count)}`, `${key}.other`, key]
+        : [key];
+    const found = keys.map(name => pageStrings[name] ?? fallbackStrings[name]).find(text => text !== undefined);
+    return (found ?? key).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+};
+
+// Like t(), but `fallback` when there's no translation (for labels that come from the server)
+const tOr = (key, fallback) => (pageStrings[key] ?? fallbackStrings[key] ?? fallback);
+
+const translatePage = (root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    for (const attribute of ['placeholder', 'aria-label', 'title']) {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    }
+};
+
+// Fill the language switch. Picking a language reloads the page in it.
+const renderLanguageSwitch = (select) => {
+    Object.entries(LANGUAGES).forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        option.selected = code === pageLanguage;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+        try {
+            localStorage.setItem(LANGUAGE_KEY, select.value);
+        } catch {
+            return;
+        }
+        window.location.reload();
+    });
+};
+
+// Loaded at the end of <body>, so the page's elements are already there
+const i18nReady = (async () => {
+    [pageStrings, fallbackStrings] = await Promise.all([
+        fetchStrings(pageLanguage),
+        pageLanguage === 'en' ? {} : fetchStrings('en')
+    ]);
+    document.documentElement.lang = pageLanguage;
+    translatePage();
+    const select = document.getElementById('language-select');
+    if (select) renderLanguageSwitch(select);
+})();
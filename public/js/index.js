@@ -1,26 +1,153 @@
+// The public map and its list view. Popups and list items are built from DOM
+// nodes, so addresses and instructions (which can come from resident
+// registrations) are never read as HTML.
+
+// Live status of each house on the night (houses without one are open)
+const statusLabel = address => t(`status.${address.status || 'open'}`);
+
+// Visited houses fade out and favourites get a star (see checklist.js)
+const markerIcon = (address, checklist) => L.divIcon({
+    className: [
+        'house-marker',
+        `status-${address.status || 'open'}`,
+        checklist.visited.has(address.id) && 'visited',
+        checklist.favourite.has(address.id) && 'favourite'
+    ].filter(Boolean).join(' '),
+    iconSize: [22, 22],
+    popupAnchor: [0, -11]
+});
+
+// What a marker is called to screen readers (Leaflet puts it on the marker as its title)
+const markerTitle = (address, checklist) => [
+    address.text,
+    statusLabel(address),
+    checklist.visited.has(address.id) && t('checklist.visited'),
+    checklist.favourite.has(address.id) && t('checklist.favourite')
+].filter(Boolean).join(', ');
+
+// Tag key -> label from /api/address-tags, used when there's no translation
+const tagLabels = {};
+const tagLabel = tag => tOr(`tags.${tag}`, tagLabels[tag] || tag);
+
+const formatClock = time => new Date(time).toLocaleTimeString(pageLanguage, { hour: 'numeric', minute: '2-digit' });
+
+// The lines under a house's address: its instructions, tags and status tonight
+const houseDetails = (address) => {
+    const status = statusLabel(address);
+    return [
+        address.instructions,
+        (address.tags || []).map(tagLabel).join(' · '),
+        address.statusUpdatedAt ? t('house.statusUpdated', { status, time: formatClock(address.statusUpdatedAt) }) : status
+    ].filter(Boolean);
+};
+
+// A house's details for a popup, under `title` (the address unless given)
+const popupContent = (address, title = address.text) => {
+    const content = document.createElement('div');
+    content.className = 'house-popup';
+    content.tabIndex = -1; // Focused when a house is picked from the list
+    const heading = document.createElement('b');
+    heading.textContent = title;
+    content.appendChild(heading);
+    houseDetails(address).forEach((line) => {
+        const detail = document.createElement('p');
+        detail.textContent = line;
+        content.appendChild(detail);
+    });
+    return content;
+};
+
+// The visitor's "visited" and "favourite" buttons for a house
+const checklistButtons = (address, checklist) => {
+    const buttons = document.createElement('div');
+    buttons.className = 'checklist-buttons';
+    const visited = checklist.visited.has(address.id);
+    const favourite = checklist.favourite.has(address.id);
+    [
+        ['visited', visited, visited ? t('checklist.visitedButton') : t('checklist.markVisited')],
+        ['favourite', favourite, favourite ? t('checklist.favouriteButton') : t('checklist.markFavourite')]
+    ].forEach(([list, pressed, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.checklist = list;
+        button.setAttribute('aria-pressed', String(pressed));
+        button.setAttribute('aria-label', `${label}: ${address.text}`);
+        button.textContent = label;
+        buttons.appendChild(button);
+    });
+    return buttons;
+};
+
+// Popup for a house on the map: its details plus the visitor's checklist buttons
+const checklistPopupContent = (address, checklist) => {
+    const content = popupContent(address);
+    content.appendChild(checklistButtons(address, checklist));
+    return content;
+};
+
+const textPopup = (text) => {
+    const content = document.createElement('b');
+    content.textContent = text;
+    return content;
+};
+
 document.addEventListener('DOMContentLoaded', async () => {
-    // Set the page title with the current year
-    const year = new Date().getFullYear();
-    document.getElementById('page-title').textContent = `Ardlethan Halloween ${year}`;
+    await i18nReady;
+
+    // Show a past year's map with ?event=2024, otherwise the current event
+    const eventYear = new URLSearchParams(window.location.search).get('event');
+    const eventQuery = eventYear ? `?event=${encodeURIComponent(eventYear)}` : '';
+
+    // The site's title and where its map starts, for when there are no houses yet
+    const site = await fetch('/api/site').then(response => response.json()).catch(() => null);
+    if (site) document.title = site.title;
+
+    // Set the page title from the event, falling back to the current year
+    const eventResponse = await fetch(`/api/events/${eventYear ? encodeURIComponent(eventYear) : 'current'}`);
+    let checklistYear = eventYear || new Date().getFullYear();
+    if (eventResponse.ok) {
+        const event = await eventResponse.json();
+        document.getElementById('page-title').textContent = event.name;
+        checklistYear = event.year;
+    } else {
+        const year = new Date().getFullYear();
+        document.getElementById('page-title').textContent = site
+            ? t('index.fallbackTitle', { town: site.town.suburb, year })
+            : t('index.fallbackTitleNoTown', { year });
+    }
+
+    // Show when and where the night runs above the map
+    fetch(`/api/rules${eventQuery}`)
+        .then(response => response.json())
+        .then(data => renderRulesSummary(document.getElementById('rules-summary'), data.summary))
+        .catch(() => {});
+
+    // Keep the rules and download links on the same event
+    document.querySelectorAll('a[href="/rules.html"]').forEach(link => link.href = `/rules.html${eventQuery}`);
+    document.querySelectorAll('.export-link').forEach(link => link.search = eventQuery);
+    if (eventYear) {
+        document.querySelectorAll('.print-link').forEach(link => link.search += `&event=${encodeURIComponent(eventYear)}`);
+    }
 
     // Hamburger menu logic
     const hamburgerBtn = document.getElementById('hamburger-btn');
     const mainNav = document.getElementById('main-nav');
     hamburgerBtn.addEventListener('click', () => {
-        mainNav.classList.toggle('is-open');
+        hamburgerBtn.setAttribute('aria-expanded', String(mainNav.classList.toggle('is-open')));
     });
 
     // Initialize the map without a view
     const map = L.map('map');
 
     // Add the OpenStreetMap tiles
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
         maxZoom: 19,
         attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
     }).addTo(map);
 
     // Fetch addresses from our API (they should already have coordinates)
-    const response = await fetch('/api/addresses');
+    const response = await fetch(`/api/addresses${eventQuery}`);
+    showDataAge(response);
     let addresses = [];
     // If the user is not a logged-in admin, this will fail, which is okay.
     if (response.ok) {
@@ -28,30 +155,403 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     const markerCoords = [];
+    const markers = new Map(); // address id -> { marker, address }
+    const checklist = loadChecklist(checklistYear);
+
+    const tagsResponse = await fetch('/api/address-tags');
+    const addressTags = tagsResponse.ok ? await tagsResponse.json() : [];
+    addressTags.forEach(({ key, label }) => { tagLabels[key] = label; });
 
-    // Add a marker for each address that has coordinates
+    // Houses close together (or geocoded to the same spot) are grouped into
+    // clusters that spread out when clicked
+    const clusterGroup = L.markerClusterGroup({ maxClusterRadius: 30, spiderfyOnMaxZoom: true });
+    map.addLayer(clusterGroup);
+
+    // Add a marker for each address that has coordinates, coloured by status
     for (const address of addresses) {
         if (address.lat && address.lon) {
             const latLng = [address.lat, address.lon];
-            let popupContent = `<b>${address.text}</b>`;
-            if (address.instructions) {
-                // Sanitize instructions before displaying to prevent HTML injection
-                const sanitizedInstructions = address.instructions.replace(/</g, "&lt;").replace(/>/g, "&gt;");
-                popupContent += `<br><br><i>${sanitizedInstructions}</i>`;
-            }
-            L.marker(latLng).addTo(map).bindPopup(popupContent);
+            const marker = L.marker(latLng, { icon: markerIcon(address, checklist), title: markerTitle(address, checklist) })
+                .bindPopup(() => checklistPopupContent(address, checklist));
+            markers.set(address.id, { marker, address });
             markerCoords.push(latLng);
         }
     }
 
+    // Redraw a house's marker (and its popup, if open) after a change
+    const refreshMarker = (id) => {
+        const entry = markers.get(id);
+        if (!entry) return;
+        entry.marker.options.title = markerTitle(entry.address, checklist);
+        entry.marker.setIcon(markerIcon(entry.address, checklist));
+        entry.marker.getPopup().update();
+    };
+
+    // --- List View ---
+    const listContainer = document.getElementById('house-list');
+    const listStatus = document.getElementById('list-status');
+    const listSort = document.getElementById('list-sort');
+    let listedAddresses = addresses;
+    let listOrigin = null; // { lat, lon } once the visitor shares their location
+    let selectedId = null; // The house whose popup was last opened
+
+    // Redraw the list, keeping keyboard focus on the same house and button
+    const renderList = () => {
+        const focused = listContainer.contains(document.activeElement) ? document.activeElement : null;
+        const focusedItem = focused && focused.closest('.house-item');
+        const focusedSelector = focused && (focused.dataset.checklist ? `[data-checklist="${focused.dataset.checklist}"]` : '.house-show');
+
+        renderHouseList(listContainer, groupByStreet(listedAddresses, listOrigin), {
+            selectedId,
+            houseDetails,
+            checklistButtons: address => checklistButtons(address, checklist)
+        });
+
+        if (focusedItem) {
+            const item = listContainer.querySelector(`.house-item[data-id="${CSS.escape(focusedItem.dataset.id)}"]`);
+            const target = item && item.querySelector(focusedSelector);
+            if (target) target.focus();
+        }
+    };
+
+    const selectHouse = (id) => {
+        selectedId = id;
+        listContainer.querySelectorAll('.house-item').forEach((item) => {
+            if (item.dataset.id === id) {
+                item.setAttribute('aria-current', 'true');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+    };
+
+    // --- Search and Filters ---
+    const searchInput = document.getElementById('house-search');
+    const tagFilters = document.getElementById('tag-filters');
+    const filterSummary = document.getElementById('filter-summary');
+    const notVisitedFilter = document.getElementById('not-visited-filter');
+
+    // Offer each street name as a search suggestion
+    const streetNames = new Set(addresses.map(streetOf));
+    streetNames.forEach((street) => {
+        const option = document.createElement('option');
+        option.value = street;
+        document.getElementById('street-names').appendChild(option);
+    });
+
+    addressTags.forEach(({ key }) => {
+        const tagFilter = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = key;
+        checkbox.addEventListener('change', () => applyFilters());
+        tagFilter.append(checkbox, ` ${tagLabel(key)}`);
+        tagFilters.appendChild(tagFilter);
+    });
+
+    // Show only the houses matching the search text and every ticked tag, on
+    // the map and in the list
+    const applyFilters = (zoomToMatches = false) => {
+        const query = searchInput.value.trim().toLowerCase().replace(/\s+/g, ' ');
+        const requiredTags = [...tagFilters.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+        const notVisitedOnly = notVisitedFilter.checked;
+
+        listedAddresses = addresses.filter((address) => {
+            const matchesSearch = !query || address.text.toLowerCase().replace(/\s+/g, ' ').includes(query);
+            const matchesTags = requiredTags.every(tag => (address.tags || []).includes(tag));
+            const matchesVisited = !notVisitedOnly || !checklist.visited.has(address.id);
+            return matchesSearch && matchesTags && matchesVisited;
+        });
+        const visible = listedAddresses.filter(address => markers.has(address.id)).map(address => markers.get(address.id).marker);
+        clusterGroup.clearLayers();
+        clusterGroup.addLayers(visible);
+        renderList();
+
+        const filtered = query || requiredTags.length > 0 || notVisitedOnly;
+        filterSummary.textContent = filtered ? t('filters.summary', { shown: listedAddresses.length, total: addresses.length }) : '';
+        if (zoomToMatches && visible.length === 1) {
+            clusterGroup.zoomToShowLayer(visible[0], () => visible[0].openPopup());
+        } else if (zoomToMatches && visible.length > 1) {
+            map.fitBounds(L.featureGroup(visible).getBounds(), { padding: [50, 50] });
+        }
+    };
+
+    searchInput.addEventListener('input', () => applyFilters());
+    searchInput.addEventListener('change', () => applyFilters(true));
+    notVisitedFilter.addEventListener('change', () => applyFilters());
+
+    // --- Checklist ---
+    const checklistProgress = document.getElementById('checklist-progress');
+    const checklistMessage = document.getElementById('checklist-message');
+    const addressIds = addresses.map(address => address.id);
+
+    const renderProgress = () => {
+        const visitedCount = addressIds.filter(id => checklist.visited.has(id)).length;
+        const favouriteCount = addressIds.filter(id => checklist.favourite.has(id)).length;
+        checklistProgress.textContent = t('checklist.progress', { visited: visitedCount, total: addresses.length }) +
+            (favouriteCount ? t('checklist.favourites', { count: favouriteCount }) : '');
+    };
+
+    // Open from a shared link: add its ticks and stars to this browser's list
+    const sharedCode = sharedChecklistCode();
+    if (sharedCode) {
+        const shared = decodeChecklist(sharedCode, addressIds);
+        if (shared) {
+            shared.visited.forEach(id => checklist.visited.add(id));
+            shared.favourite.forEach(id => checklist.favourite.add(id));
+            saveChecklist(checklistYear, checklist);
+            markers.forEach((entry, id) => refreshMarker(id));
+            checklistMessage.textContent = t('checklist.sharedAdded', { visited: shared.visited.size, favourites: shared.favourite.size });
+        } else {
+            checklistMessage.textContent = t('checklist.sharedMismatch');
+        }
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    const toggleChecklist = (id, list) => {
+        const set = checklist[list];
+        if (set.has(id)) {
+            set.delete(id);
+        } else {
+            set.add(id);
+        }
+        saveChecklist(checklistYear, checklist);
+
+        refreshMarker(id);
+        renderProgress();
+        document.getElementById('checklist-share').hidden = true; // The old link is out of date
+        if (notVisitedFilter.checked && checklist.visited.has(id)) {
+            if (markers.has(id)) markers.get(id).marker.closePopup();
+            applyFilters();
+        } else {
+            renderList();
+        }
+    };
+
+    // The popup's buttons are redrawn on every update, so listen on the popup
+    // itself (once, the first time it opens) rather than on each button.
+    // Opening a popup also marks its house in the list.
+    const wiredPopups = new WeakSet();
+    map.on('popupopen', (e) => {
+        const entry = [...markers.entries()].find(([, { marker }]) => marker.getPopup() === e.popup);
+        if (!entry) return;
+        selectHouse(entry[0]);
+        if (wiredPopups.has(e.popup)) return;
+        wiredPopups.add(e.popup);
+        e.popup.getElement().addEventListener('click', (click) => {
+            const button = click.target.closest('[data-checklist]');
+            if (button) toggleChecklist(entry[0], button.dataset.checklist);
+        });
+    });
+
+    document.getElementById('checklist-share-btn').addEventListener('click', () => {
+        const link = checklistShareUrl(checklist, addressIds);
+        document.getElementById('checklist-link').value = link;
+        renderQrCode(document.getElementById('checklist-qr'), link);
+        document.getElementById('checklist-share').hidden = false;
+    });
+
+    document.getElementById('checklist-copy-btn').addEventListener('click', async () => {
+        const linkInput = document.getElementById('checklist-link');
+        try {
+            await navigator.clipboard.writeText(linkInput.value);
+            checklistMessage.textContent = t('checklist.copied');
+        } catch {
+            linkInput.select(); // Let them copy it by hand
+        }
+    });
+
+    // --- Map and List Views ---
+    const mapView = document.getElementById('map-view');
+    const listView = document.getElementById('list-view');
+    const mapViewBtn = document.getElementById('map-view-btn');
+    const listViewBtn = document.getElementById('list-view-btn');
+
+    const showView = (view) => {
+        mapView.hidden = view !== 'map';
+        listView.hidden = view !== 'list';
+        mapViewBtn.setAttribute('aria-pressed', String(view === 'map'));
+        listViewBtn.setAttribute('aria-pressed', String(view === 'list'));
+        if (view === 'map') map.invalidateSize(); // It had no size while hidden
+        try {
+            localStorage.setItem('house-view', view);
+        } catch {
+            // Not remembered; the map shows next time
+        }
+    };
+
+    mapViewBtn.addEventListener('click', () => showView('map'));
+    listViewBtn.addEventListener('click', () => {
+        showView('list');
+        const selected = listContainer.querySelector('.house-item[aria-current="true"] .house-show');
+        if (selected) {
+            selected.focus();
+        }
+    });
+
+    // Show a house from the list on the map, with its popup open and focused
+    const showOnMap = (id) => {
+        const entry = markers.get(id);
+        if (!entry) {
+            listStatus.textContent = t('list.notOnMap');
+            return;
+        }
+        showView('map');
+        clusterGroup.zoomToShowLayer(entry.marker, () => {
+            entry.marker.openPopup();
+            entry.marker.getPopup().getElement().querySelector('.house-popup').focus();
+        });
+    };
+
+    listContainer.addEventListener('click', (e) => {
+        const item = e.target.closest('.house-item');
+        if (!item) return;
+        const checklistButton = e.target.closest('[data-checklist]');
+        if (checklistButton) {
+            toggleChecklist(item.dataset.id, checklistButton.dataset.checklist);
+        } else if (e.target.closest('[data-action="show"]')) {
+            showOnMap(item.dataset.id);
+        }
+    });
+    handleListKeys(listContainer);
+
+    listSort.addEventListener('change', () => {
+        if (listSort.value === 'street') {
+            listOrigin = null;
+            listStatus.textContent = '';
+            renderList();
+            return;
+        }
+        if (!navigator.geolocation) {
+            listSort.value = 'street';
+            listStatus.textContent = t('list.noLocation');
+            return;
+        }
+        listStatus.textContent = t('route.finding');
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                listOrigin = { lat: position.coords.latitude, lon: position.coords.longitude };
+                listStatus.textContent = t('list.sortedByDistance');
+                renderList();
+            },
+            () => {
+                listSort.value = 'street';
+                listStatus.textContent = t('list.noLocation');
+            }
+        );
+    });
+
+    renderProgress();
+    applyFilters();
+
+    // Update markers as residents change their status during the night
+    const live = new EventSource(`/api/live${eventQuery}`);
+    live.addEventListener('status', (e) => {
+        const { id, status, statusUpdatedAt } = JSON.parse(e.data);
+        const address = addresses.find(a => a.id === id);
+        if (address) {
+            Object.assign(address, { status, statusUpdatedAt });
+            refreshMarker(id);
+            renderList();
+        }
+    });
+
     // If we have markers, fit them in the view
     if (markerCoords.length > 1) {
         map.fitBounds(markerCoords, { padding: [50, 50] });
+        // Keep the streets around the houses available offline
+        cacheMapTiles(L.latLngBounds(markerCoords).pad(0.2));
     } else if (markerCoords.length === 1) {
         // If only one marker, center on it with a reasonable zoom level
         map.setView(markerCoords[0], 13);
     } else {
-        // Fallback view if no addresses are found
-        map.setView([-33.0, 146.9], 6);
+        // Fallback view if no addresses are found: the town, or failing that the state
+        if (site) {
+            map.setView([site.townCentre.lat, site.townCentre.lon], 14);
+        } else {
+            map.setView([-33.0, 146.9], 6);
+        }
     }
-});
\ No newline at end of file
+
+    // Open the list instead if that's what the visitor used last time
+    let savedView = null;
+    try {
+        savedView = localStorage.getItem('house-view');
+    } catch {
+        // Start on the map
+    }
+    if (savedView === 'list') showView('list');
+
+    // --- Route Planner ---
+    const routeSummary = document.getElementById('route-summary');
+    const clearRouteBtn = document.getElementById('route-clear-btn');
+    let routeLayer = null;
+    let pickingStart = false;
+
+    const clearRoute = () => {
+        if (routeLayer) {
+            map.removeLayer(routeLayer);
+            routeLayer = null;
+        }
+        routeSummary.textContent = '';
+        clearRouteBtn.hidden = true;
+    };
+
+    // Ask the server for a walking tour from `start` and draw it with numbered stops
+    const drawRoute = async (start) => {
+        const params = new URLSearchParams({ start: `${start.lat},${start.lng}` });
+        if (eventYear) params.set('event', eventYear);
+        const routeResponse = await fetch(`/api/route?${params}`);
+        const route = await routeResponse.json();
+        if (!routeResponse.ok) {
+            routeSummary.textContent = route.message;
+            return;
+        }
+
+        clearRoute();
+        routeLayer = L.layerGroup().addTo(map);
+        const line = [[start.lat, start.lng], ...route.stops.map(stop => [stop.lat, stop.lon])];
+        L.polyline(line, { color: 'orange', weight: 4, dashArray: '6 8' }).addTo(routeLayer);
+        L.circleMarker([start.lat, start.lng], { radius: 8, color: 'green', fillOpacity: 0.8 })
+            .bindPopup(() => textPopup(t('route.start')))
+            .addTo(routeLayer);
+        route.stops.forEach((stop) => {
+            const icon = L.divIcon({ className: 'route-stop-icon', html: String(stop.stop), iconSize: [24, 24] });
+            const title = t('route.stop', { stop: stop.stop, address: stop.text });
+            L.marker([stop.lat, stop.lon], { icon, title, zIndexOffset: 1000 })
+                .bindPopup(() => popupContent(stop, title))
+                .addTo(routeLayer);
+        });
+        map.fitBounds(line, { padding: [50, 50] });
+
+        const km = new Intl.NumberFormat(pageLanguage, { maximumFractionDigits: 1, minimumFractionDigits: 1 }).format(route.totalDistance / 1000);
+        routeSummary.textContent = t('route.summary', { count: route.stops.length, km, minutes: route.walkingMinutes });
+        clearRouteBtn.hidden = false;
+    };
+
+    document.getElementById('route-locate-btn').addEventListener('click', () => {
+        if (!navigator.geolocation) {
+            routeSummary.textContent = t('route.noGeolocation');
+            return;
+        }
+        routeSummary.textContent = t('route.finding');
+        navigator.geolocation.getCurrentPosition(
+            position => drawRoute({ lat: position.coords.latitude, lng: position.coords.longitude }),
+            () => routeSummary.textContent = t('route.locationFailed')
+        );
+    });
+
+    document.getElementById('route-pick-btn').addEventListener('click', () => {
+        pickingStart = true;
+        routeSummary.textContent = t('route.clickMap');
+    });
+
+    map.on('click', (e) => {
+        if (pickingStart) {
+            pickingStart = false;
+            drawRoute(e.latlng);
+        }
+    });
+
+    clearRouteBtn.addEventListener('click', clearRoute);
+});
@@ -0,0 +1,42 @@
+// Offline support for the public pages: registers the service worker, shows a
+// "data as of" banner when the map or rules come from the offline copy, and
+// reloads once the connection is back.
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(() => {});
+}
+
+// Call with a fetch response; if the service worker answered from its cache,
+// tell the visitor how old the data is.
+const showDataAge = (response) => {
+    const asOf = response.headers.get('X-Data-As-Of');
+    if (!asOf || document.getElementById('offline-banner')) return;
+
+    const when = new Date(asOf).toLocaleString(pageLanguage, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    const banner = document.createElement('p');
+    banner.id = 'offline-banner';
+    banner.className = 'offline-banner';
+    banner.setAttribute('role', 'status');
+    banner.textContent = t('offline.banner', { time: when });
+    document.body.prepend(banner);
+};
+
+window.addEventListener('online', () => {
+    if (document.getElementById('offline-banner')) {
+        window.location.reload();
+    }
+});
+
+// Ask the service worker to keep the map tiles around the houses for offline
+// use. It stops well short of this on a big town (see MAX_TILES in sw.js).
+const cacheMapTiles = (bounds) => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready.then((registration) => {
+        registration.active.postMessage({
+            type: 'cache-tiles',
+            bounds: { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+            minZoom: 13,
+            maxZoom: 16
+        });
+    });
+};
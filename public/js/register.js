@@ -0,0 +1,111 @@
+document.addEventListener('DOMContentLoaded', async () => {
+    await i18nReady;
+
+    // Hamburger menu logic
+    const hamburgerBtn = document.getElementById('hamburger-btn');
+    const mainNav = document.getElementById('main-nav');
+    hamburgerBtn.addEventListener('click', () => {
+        hamburgerBtn.setAttribute('aria-expanded', String(mainNav.classList.toggle('is-open')));
+    });
+
+    const statusEl = document.getElementById('register-status');
+    const registerSection = document.getElementById('register-section');
+    const manageSection = document.getElementById('manage-section');
+
+    // A manage link looks like /register.html?id=...&token=...
+    const params = new URLSearchParams(window.location.search);
+    let registrationId = params.get('id');
+    let token = params.get('token');
+
+    const showStatus = (message, isError) => {
+        statusEl.style.color = isError ? 'red' : 'lightgreen';
+        statusEl.textContent = message;
+    };
+
+    // Send a request for this registration, authorised by its token. A
+    // signed-in admin's cookie goes along too, so the session's CSRF token does.
+    const registrationRequest = async (method, body) => {
+        const { csrfToken } = await (await fetch('/api/csrf-token')).json();
+        const response = await fetch(`/api/registrations/${encodeURIComponent(registrationId)}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'X-Registration-Token': token, 'X-CSRF-Token': csrfToken },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { ok: response.ok, result: await response.json() };
+    };
+
+    const showManage = (registration) => {
+        registerSection.hidden = true;
+        manageSection.hidden = false;
+        document.getElementById('manage-status').textContent = t(`register.statuses.${registration.status}`);
+        document.getElementById('manage-address').value = registration.address;
+        document.getElementById('manage-instructions').value = registration.instructions || '';
+
+        const editable = registration.status === 'pending' || registration.status === 'approved';
+        document.getElementById('manage-form').hidden = !editable;
+
+        // Once the house is on the map, the resident can set its status on the night
+        const onMap = registration.status === 'approved' && registration.addressId;
+        document.getElementById('status-link-p').hidden = !onMap;
+        if (onMap) {
+            document.getElementById('status-link').href = `/status.html?id=${encodeURIComponent(registration.addressId)}&event=${registration.eventYear}&registrationToken=${encodeURIComponent(token)}`;
+        }
+    };
+
+    if (registrationId && token) {
+        const { ok, result } = await registrationRequest('GET');
+        if (ok) {
+            showManage(result);
+        } else {
+            showStatus(result.message, true);
+        }
+    }
+
+    document.getElementById('register-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await fetch('/api/registrations', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                address: document.getElementById('register-address').value,
+                instructions: document.getElementById('register-instructions').value,
+                email: document.getElementById('register-email').value
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showStatus(result.message, true);
+            return;
+        }
+
+        registrationId = result.registration.id;
+        token = result.token;
+        const manageUrl = `${window.location.origin}/register.html?id=${encodeURIComponent(registrationId)}&token=${encodeURIComponent(token)}`;
+        const manageLink = document.getElementById('manage-link');
+        manageLink.href = manageUrl;
+        manageLink.textContent = manageUrl;
+        document.getElementById('manage-link-p').hidden = false;
+        showManage(result.registration);
+        showStatus(result.message, false);
+    });
+
+    document.getElementById('manage-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { ok, result } = await registrationRequest('PATCH', {
+            address: document.getElementById('manage-address').value,
+            instructions: document.getElementById('manage-instructions').value
+        });
+        if (ok) showManage(result.registration);
+        showStatus(result.message, !ok);
+    });
+
+    document.getElementById('withdraw-btn').addEventListener('click', async () => {
+        if (!confirm(t('register.confirmWithdraw'))) return;
+        const { ok, result } = await registrationRequest('DELETE');
+        if (ok) {
+            document.getElementById('manage-status').textContent = t('register.statuses.withdrawn');
+            document.getElementById('manage-form').hidden = true;
+        }
+        showStatus(result.message, !ok);
+    });
+});
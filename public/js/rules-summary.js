@@ -0,0 +1,31 @@
+// Summary card for an event's rules: the night's date and times, where to
+// meet and who to call. Shared by the map and rules pages.
+
+const formatTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(pageLanguage, { hour: 'numeric', minute: '2-digit' });
+};
+
+const renderRulesSummary = (container, summary) => {
+    const rows = [];
+    if (summary.date) {
+        const date = new Date(`${summary.date}T00:00:00`);
+        rows.push([t('rules.when'), date.toLocaleDateString(pageLanguage, { weekday: 'long', day: 'numeric', month: 'long' })]);
+    }
+    if (summary.startTime && summary.endTime) {
+        rows.push([t('rules.time'), `${formatTime(summary.startTime)} – ${formatTime(summary.endTime)}`]);
+    }
+    if (summary.meetingPoint) rows.push([t('rules.meetingPoint'), summary.meetingPoint]);
+    if (summary.emergencyContact) rows.push([t('rules.emergencyContact'), summary.emergencyContact]);
+
+    const list = document.createElement('dl');
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        list.append(term, detail);
+    });
+    container.replaceChildren(list);
+    container.hidden = rows.length === 0;
+};
@@ -1,14 +1,22 @@
 document.addEventListener('DOMContentLoaded', async () => {
+    await i18nReady;
+
     // Hamburger menu logic
     const hamburgerBtn = document.getElementById('hamburger-btn');
     const mainNav = document.getElementById('main-nav');
     hamburgerBtn.addEventListener('click', () => {
-        mainNav.classList.toggle('is-open');
+        hamburgerBtn.setAttribute('aria-expanded', String(mainNav.classList.toggle('is-open')));
     });
 
-    // Fetch and display rules
-    const response = await fetch('/api/rules');
+    // Fetch and display rules for ?event=2024, or the current event
+    const eventYear = new URLSearchParams(window.location.search).get('event');
+    const eventQuery = eventYear ? `?event=${encodeURIComponent(eventYear)}` : '';
+    document.querySelectorAll('a[href="/"]').forEach(link => link.href = `/${eventQuery}`);
+
+    const response = await fetch(`/api/rules${eventQuery}`);
+    showDataAge(response);
     const data = await response.json();
-    const rulesContent = document.getElementById('rules-content');
-    rulesContent.textContent = data.rules;
+    // The HTML is rendered from Markdown and sanitised by the server
+    document.getElementById('rules-content').innerHTML = data.html;
+    renderRulesSummary(document.getElementById('rules-summary'), data.summary);
 });
\ No newline at end of file
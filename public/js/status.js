@@ -0,0 +1,42 @@
+// A resident's page for flipping their house's status on the night.
+// Opened from a status link like /status.html?id=...&token=...&event=2025, or
+// from the registration page with ?id=...&registrationToken=...
+document.addEventListener('DOMContentLoaded', async () => {
+    await i18nReady;
+
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('id');
+    // Send whichever token the link carries
+    const tokenHeader = params.get('registrationToken')
+        ? { 'X-Registration-Token': params.get('registrationToken') }
+        : { 'X-Status-Token': params.get('token') };
+    const eventQuery = params.get('event') ? `?event=${encodeURIComponent(params.get('event'))}` : '';
+    const messageEl = document.getElementById('status-message');
+
+    const response = await fetch(`/api/addresses/${encodeURIComponent(id)}${eventQuery}`);
+    if (!response.ok) {
+        document.getElementById('status-address').textContent = t('statusPage.notFound');
+        return;
+    }
+    const address = await response.json();
+    document.getElementById('status-address').textContent = address.text;
+    document.getElementById('status-current').textContent = t(`status.${address.status || 'open'}`);
+
+    document.querySelectorAll('.status-buttons button').forEach((button) => {
+        button.addEventListener('click', async () => {
+            // A signed-in admin's cookie goes along too, so the session's CSRF token does
+            const { csrfToken } = await (await fetch('/api/csrf-token')).json();
+            const statusResponse = await fetch(`/api/addresses/${encodeURIComponent(id)}/status${eventQuery}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken, ...tokenHeader },
+                body: JSON.stringify({ status: button.dataset.status })
+            });
+            const result = await statusResponse.json();
+            if (statusResponse.ok) {
+                document.getElementById('status-current').textContent = t(`status.${result.status}`);
+            }
+            messageEl.style.color = statusResponse.ok ? 'lightgreen' : 'red';
+            messageEl.textContent = result.message;
+        });
+    });
+});
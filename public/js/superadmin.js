@@ -0,0 +1,186 @@
+// public/js/superadmin.js
+// The super-admin's page (HOSTING=multi): create towns, change their
+// branding, and suspend or restore them.
+let tenantList = [];
+const statusEl = document.getElementById('status');
+
+// Every request carries the session's CSRF token. Signing in starts a new
+// session, so the token is fetched again after that.
+let csrfToken = null;
+const apiFetch = async (url, options = {}) => {
+    if (!csrfToken) {
+        csrfToken = (await (await fetch('/api/csrf-token')).json()).csrfToken;
+    }
+    return fetch(url, { ...options, headers: { ...options.headers, 'X-CSRF-Token': csrfToken } });
+};
+
+const sendJson = (method, url, body) => apiFetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+const showResult = async (response) => {
+    const result = await response.json();
+    statusEl.textContent = result.message;
+    statusEl.style.color = response.ok ? 'green' : 'red';
+    return result;
+};
+
+const fetchTenants = async () => {
+    const response = await apiFetch('/api/tenants');
+    if (response.ok) {
+        tenantList = await response.json();
+        renderTenants();
+    }
+};
+
+const showInvite = (inviteUrl) => {
+    document.getElementById('invite-url').value = inviteUrl;
+    document.getElementById('invite-link').hidden = false;
+};
+
+// --- Towns ---
+
+const renderTenants = () => {
+    const list = document.getElementById('tenant-list');
+    list.innerHTML = '';
+    tenantList.forEach((tenant) => {
+        const li = document.createElement('li');
+
+        const span = document.createElement('span');
+        const link = document.createElement('a');
+        link.href = tenant.url;
+        link.textContent = tenant.branding.title;
+        const details = document.createElement('span');
+        details.className = 'instructions-display';
+        details.textContent = `${tenant.town.suburb} ${tenant.town.state} ${tenant.town.postcode} · ${tenant.url}` +
+            (tenant.status === 'suspended' ? ' · Suspended' : '');
+        span.append(link, details);
+
+        const controls = document.createElement('div');
+        controls.className = 'controls';
+
+        const title = document.createElement('input');
+        title.type = 'text';
+        title.value = tenant.branding.title;
+        title.setAttribute('aria-label', 'Title');
+        const colour = document.createElement('input');
+        colour.type = 'color';
+        colour.value = tenant.branding.colour;
+        colour.title = 'Main colour';
+        const accentColour = document.createElement('input');
+        accentColour.type = 'color';
+        accentColour.value = tenant.branding.accentColour;
+        accentColour.title = 'Accent colour';
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Save';
+        saveButton.onclick = async () => {
+            await showResult(await sendJson('PATCH', `/api/tenants/${tenant.slug}`, {
+                title: title.value, colour: colour.value, accentColour: accentColour.value
+            }));
+            fetchTenants();
+        };
+
+        // The logo replaces the background picture on the town's pages
+        const logo = document.createElement('input');
+        logo.type = 'file';
+        logo.accept = 'image/png,image/jpeg,image/webp';
+        logo.title = 'Logo';
+        logo.onchange = async () => {
+            const [file] = logo.files;
+            if (!file) return;
+            await showResult(await apiFetch(`/api/tenants/${tenant.slug}/logo`, {
+                method: 'PUT',
+                headers: { 'Content-Type': file.type },
+                body: file
+            }));
+            fetchTenants();
+        };
+
+        const inviteButton = document.createElement('button');
+        inviteButton.textContent = 'Invite Owner';
+        inviteButton.onclick = async () => {
+            const username = prompt(`Username for a new owner of ${tenant.town.suburb}:`);
+            if (!username) return;
+            const result = await showResult(await sendJson('POST', `/api/tenants/${tenant.slug}/invites`, { username }));
+            if (result.inviteUrl) showInvite(result.inviteUrl);
+        };
+
+        const suspended = tenant.status === 'suspended';
+        const statusButton = document.createElement('button');
+        statusButton.textContent = suspended ? 'Restore' : 'Suspend';
+        if (!suspended) statusButton.className = 'delete';
+        statusButton.onclick = async () => {
+            if (!suspended && !confirm(`Switch off the map for ${tenant.town.suburb}? Its data is kept.`)) return;
+            await showResult(await sendJson('PATCH', `/api/tenants/${tenant.slug}`, { status: suspended ? 'active' : 'suspended' }));
+            fetchTenants();
+        };
+
+        controls.append(title, colour, accentColour, saveButton, logo, inviteButton, statusButton);
+        li.append(span, controls);
+        list.appendChild(li);
+    });
+};
+
+document.getElementById('add-tenant-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = id => document.getElementById(id).value;
+    const response = await sendJson('POST', '/api/tenants', {
+        slug: value('new-tenant-slug'),
+        suburb: value('new-tenant-suburb'),
+        state: value('new-tenant-state'),
+        postcode: value('new-tenant-postcode'),
+        bounds: value('new-tenant-bounds'),
+        ownerUsername: value('new-tenant-owner')
+    });
+    const result = await showResult(response);
+    if (response.ok) {
+        e.target.reset();
+        showInvite(result.inviteUrl);
+        fetchTenants();
+    }
+});
+
+// --- Signing In ---
+
+const showSignedIn = ({ states }) => {
+    document.getElementById('signin-form').hidden = true;
+    document.getElementById('signout-btn').hidden = false;
+    document.getElementById('tenants-section').hidden = false;
+    const stateSelect = document.getElementById('new-tenant-state');
+    stateSelect.innerHTML = '';
+    states.forEach((state) => {
+        const option = document.createElement('option');
+        option.value = state;
+        option.textContent = state;
+        stateSelect.appendChild(option);
+    });
+    fetchTenants();
+};
+
+const loadSignedIn = async () => {
+    const response = await fetch('/api/hosting/me');
+    if (response.ok) showSignedIn(await response.json());
+};
+
+document.getElementById('signin-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const response = await sendJson('POST', '/api/hosting/signin', {
+        username: document.getElementById('signin-username').value,
+        password: document.getElementById('signin-password').value
+    });
+    await showResult(response);
+    if (response.ok) {
+        csrfToken = null;
+        loadSignedIn();
+    }
+});
+
+document.getElementById('signout-btn').addEventListener('click', async () => {
+    await apiFetch('/api/hosting/signout', { method: 'POST' });
+    window.location.reload();
+});
+
+loadSignedIn();
@@ -0,0 +1,38 @@
+// public/js/theme.js
+// The high-contrast theme for the public pages: black, white and yellow with
+// solid outlines instead of the photo background and see-through panels. It
+// follows the system's "increase contrast" setting until the visitor uses the
+// toggle (#contrast-toggle), and their choice is remembered in this browser.
+// Loaded in <head> so the page never flashes in the usual colours first.
+const CONTRAST_KEY = 'high-contrast';
+
+const savedContrast = () => {
+    try {
+        return localStorage.getItem(CONTRAST_KEY);
+    } catch {
+        return null;
+    }
+};
+
+const highContrast = savedContrast() === null
+    ? window.matchMedia('(prefers-contrast: more)').matches
+    : savedContrast() === 'true';
+document.documentElement.classList.toggle('high-contrast', highContrast);
+
+document.addEventListener('DOMContentLoaded', () => {
+    const toggle = document.getElementById('contrast-toggle');
+    if (!toggle) return;
+
+    const showState = () => toggle.setAttribute('aria-pressed', String(document.documentElement.classList.contains('high-contrast')));
+    showState();
+    toggle.addEventListener('click', () => {
+        const on = !document.documentElement.classList.contains('high-contrast');
+        document.documentElement.classList.toggle('high-contrast', on);
+        try {
+            localStorage.setItem(CONTRAST_KEY, String(on));
+        } catch {
+            // Not remembered, but still switched for this page
+        }
+        showState();
+    });
+});
@@ -0,0 +1,204 @@
+// Service worker for the public map. Reception in town is patchy on the night,
+// so the app shell, Leaflet, the latest addresses and rules, and the map tiles
+// around the houses are cached and served when the network isn't there.
+
+const SHELL_CACHE = 'shell-v4';
+const DATA_CACHE = 'data-v1';
+const TILE_CACHE = 'tiles-v1';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/rules.html',
+    '/manifest.webmanifest',
+    '/css/style.css',
+    '/branding.css',
+    '/js/index.js',
+    '/js/rules.js',
+    '/js/rules-summary.js',
+    '/js/offline.js',
+    '/js/checklist.js',
+    '/js/house-list.js',
+    '/js/i18n.js',
+    '/js/theme.js',
+    '/locales/en.json',
+    '/locales/it.json',
+    '/images/favicon.png',
+    '/images/Untitled.png',
+    '/vendor/leaflet/leaflet.css',
+    '/vendor/leaflet/leaflet.js',
+    '/vendor/leaflet/images/marker-icon.png',
+    '/vendor/leaflet/images/marker-icon-2x.png',
+    '/vendor/leaflet/images/marker-shadow.png',
+    '/vendor/leaflet.markercluster/MarkerCluster.css',
+    '/vendor/leaflet.markercluster/MarkerCluster.Default.css',
+    '/vendor/leaflet.markercluster/leaflet.markercluster.js',
+    '/vendor/qrcode-generator/qrcode.js'
+];
+
+// The current event's data, fetched when the worker installs
+const DATA_URLS = ['/api/addresses', '/api/rules', '/api/events/current', '/api/address-tags', '/api/site'];
+
+const TILE_HOST = 'tile.openstreetmap.org';
+// The OpenStreetMap tile usage policy forbids bulk downloading: prefetching
+// is limited to 250 tiles at zoom 13 and above. Deeper zooms are only cached
+// as the visitor actually looks at them.
+const MAX_TILES = 250;
+const MAX_PREFETCH_ZOOM = 16;
+
+// Responses served from the data cache carry the time they were fetched, so
+// the page can say how old the map is.
+const DATA_AGE_HEADER = 'X-Data-As-Of';
+// Sent with the install-time copy of the data, so the server doesn't count it
+// as someone looking at the map
+const PREFETCH_HEADER = 'X-Offline-Prefetch';
+
+const isDataRequest = url => url.origin === self.location.origin &&
+    (['/api/addresses', '/api/rules', '/api/address-tags', '/api/site'].includes(url.pathname) || url.pathname.startsWith('/api/events/'));
+
+const isTileRequest = url => url.hostname === TILE_HOST || url.hostname.endsWith(`.${TILE_HOST}`);
+
+// Tiles are stored under one host so a tile fetched from a.tile... is found
+// again when Leaflet asks b.tile... for it.
+const tileKey = url => `https://${TILE_HOST}${url.pathname}`;
+
+const storeData = async (request, response) => {
+    const headers = new Headers(response.headers);
+    headers.set(DATA_AGE_HEADER, new Date().toISOString());
+    const body = await response.clone().blob();
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await Promise.all(DATA_URLS.map(async (url) => {
+            const response = await fetch(url, { headers: { [PREFETCH_HEADER]: '1' } });
+            if (response.ok) await storeData(url, response);
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Addresses and rules: the network when we can reach it, otherwise the last copy
+const networkFirst = async (request) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok) await storeData(request, response);
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request, { cacheName: DATA_CACHE });
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+// App shell: answer from the cache straight away and refresh it in the background
+const staleWhileRevalidate = async (request, event) => {
+    const cache = await caches.open(SHELL_CACHE);
+    // Pages are cached once, whatever their ?event= query
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const refresh = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+};
+
+// Map tiles hardly change, so the cached tile wins
+const cacheFirstTile = async (request) => {
+    const key = tileKey(new URL(request.url));
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(key, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (isTileRequest(url)) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (isDataRequest(url)) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/') && SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+    // Anything else (the live status stream, admin pages, exports) goes
+    // straight to the network as usual.
+});
+
+// --- Tile Precaching ---
+
+// Slippy-map tile numbers for a point, as Leaflet and OSM use them
+const tileFor = (lat, lon, zoom) => {
+    const scale = 2 ** zoom;
+    const x = Math.floor((lon + 180) / 360 * scale);
+    const latRad = lat * Math.PI / 180;
+    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale);
+    return { x, y };
+};
+
+// Every tile covering `bounds` ({ south, west, north, east }) at each zoom level
+const tileUrls = (bounds, minZoom, maxZoom) => {
+    const urls = [];
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const topLeft = tileFor(bounds.north, bounds.west, zoom);
+        const bottomRight = tileFor(bounds.south, bounds.east, zoom);
+        for (let x = topLeft.x; x <= bottomRight.x; x++) {
+            for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                urls.push(`https://${TILE_HOST}/${zoom}/${x}/${y}.png`);
+            }
+        }
+    }
+    return urls;
+};
+
+// The map page sends the area around the event's houses once it has loaded.
+// Zoom levels are added from the widest in until the next one would go over
+// MAX_TILES, and tiles are fetched one at a time to go easy on the
+// OpenStreetMap servers.
+const cacheTiles = async ({ bounds, minZoom, maxZoom }) => {
+    let urls = [];
+    for (let zoom = minZoom; zoom <= Math.min(maxZoom, MAX_PREFETCH_ZOOM); zoom++) {
+        const zoomUrls = tileUrls(bounds, zoom, zoom);
+        if (urls.length + zoomUrls.length > MAX_TILES) break;
+        urls = urls.concat(zoomUrls);
+    }
+    const cache = await caches.open(TILE_CACHE);
+    for (const url of urls) {
+        if (await cache.match(url)) continue;
+        try {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, response);
+        } catch (err) {
+            return; // Offline again; try next time the map loads
+        }
+    }
+};
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'cache-tiles') {
+        event.waitUntil(cacheTiles(event.data));
+    }
+});
@@ -0,0 +1,24 @@
+// scripts/hash-password.js
+// Prints a bcrypt hash of a password, for SUPERADMIN_PASSWORD_HASH:
+//   npm run hash-password
+// The password is read from standard input so it doesn't end up in the
+// shell's history.
+const bcrypt = require('bcrypt');
+const readline = require('readline');
+
+const hashPassword = async (password) => {
+    if (password.length < 8) {
+        throw new Error('The password must be at least 8 characters long.');
+    }
+    const saltRounds = 10;
+    console.log(await bcrypt.hash(password, saltRounds));
+};
+
+const input = readline.createInterface({ input: process.stdin, output: process.stderr });
+input.question('Password: ', (password) => {
+    input.close();
+    hashPassword(password).catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+});
@@ -0,0 +1,39 @@
+// scripts/migrate-json-to-sqlite.js
+// One-shot copy of an existing db.json into a new SQLite database:
+//   npm run migrate:sqlite -- [db.json] [db.sqlite]
+// Then start the server with STORAGE_DRIVER=sqlite. The JSON file is left as
+// it was, so you can switch back if anything looks wrong.
+const fs = require('fs');
+const { createStorage } = require('../lib/storage');
+
+const migrateJsonToSqlite = async (jsonFile = 'db.json', sqliteFile = 'db.sqlite') => {
+    if (!fs.existsSync(jsonFile)) {
+        throw new Error(`${jsonFile} does not exist.`);
+    }
+
+    const source = await createStorage({ driver: 'lowdb', file: jsonFile });
+    if (Object.keys(source.data).length === 0) {
+        throw new Error(`${jsonFile} is empty.`);
+    }
+
+    const target = await createStorage({ driver: 'sqlite', file: sqliteFile });
+    if (Object.keys(target.data).length > 0) {
+        await target.close();
+        throw new Error(`${sqliteFile} already has data. Move it aside first if you want to migrate again.`);
+    }
+
+    target.data = source.data;
+    await target.write();
+    await target.close();
+
+    const { events = [], users = [], registrations = [], audit = [] } = source.data;
+    // A db.json from before events has its addresses at the top level
+    const addressCount = events.reduce((total, event) => total + (event.addresses || []).length, (source.data.addresses || []).length);
+    console.log(`Copied ${events.length} events, ${addressCount} addresses, ${users.length} users, ` +
+        `${registrations.length} registrations and ${audit.length} history entries into ${sqliteFile}.`);
+};
+
+migrateJsonToSqlite(process.argv[2], process.argv[3]).catch((err) => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+});
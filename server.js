@@ -1,30 +1,67 @@
 // server.js
 const express = require('express');
-const fetch = require('node-fetch'); // We'll need fetch on the server
+const fs = require('fs');
 const path = require('path');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 require('dotenv').config();
+const { createGeocoder, createProvider } = require('./lib/geocoder');
+const events = require('./lib/events');
+const registrations = require('./lib/registrations');
+const users = require('./lib/users');
+const audit = require('./lib/audit');
+const addressFormats = require('./lib/addressFormats');
+const addressParts = require('./lib/addressParts');
+const { planRoute } = require('./lib/route');
+const rulesFormat = require('./lib/rules');
+const { createBroadcaster } = require('./lib/live');
+const tokens = require('./lib/tokens');
+const { createStorage } = require('./lib/storage');
+const { createSqliteSessionStore } = require('./lib/sessionStore');
+const { csrfToken, csrfProtection } = require('./lib/csrf');
+const totp = require('./lib/totp');
+const { loadConfig } = require('./lib/config');
+const { createBackupManager, diffData } = require('./lib/backups');
+const stats = require('./lib/stats');
+const geocodeChecks = require('./lib/geocodeChecks');
+const notifications = require('./lib/notifications');
+const print = require('./lib/print');
+const publicApi = require('./lib/publicApi');
+const { eventCalendar } = require('./lib/ical');
+const tenants = require('./lib/tenants');
 
 // Security packages
 const session = require('express-session');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 
-// lowdb uses ES Modules, so we need to import it asynchronously
-// inside an async function.
-async function startServer() {
-    const { Low } = await import('lowdb');
-    const { JSONFile } = await import('lowdb/node');
+// The Content Security Policy for every page. /embed adds its own frame-ancestors.
+const CSP_DIRECTIVES = {
+    ...helmet.contentSecurityPolicy.getDefaultDirectives(),
+    "script-src": ["'self'"], // Leaflet is served from /vendor
+    "style-src": ["'self'"],
+    "img-src": ["'self'", "data:", "tile.openstreetmap.org", "*.tile.openstreetmap.org"],
+    // The service worker fetches map tiles to keep them for offline use
+    "connect-src": ["'self'", "tile.openstreetmap.org", "*.tile.openstreetmap.org"],
+    "worker-src": ["'self'"],
+    "manifest-src": ["'self'"],
+};
 
-    // Configure lowdb to use db.json file
-    const adapter = new JSONFile('db.json');
-    const db = new Low(adapter, { addresses: [], rules: "", adminPassword: "password123" }); // Provide default data
+// public/manifest.webmanifest, which each site fills in with its own name and colour
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(__dirname, 'public', 'manifest.webmanifest'), 'utf8'));
 
-    // Read data from db.json
-    await db.read();
+// Bring the stored data up to date with this version of the app. Runs once at
+// startup, before the app is created.
+async function migrateData(db, config) {
+    db.data.registrations = db.data.registrations || [];
+    db.data.audit = db.data.audit || [];
+    db.data.outbox = db.data.outbox || [];
 
-    // If db.json doesn't exist or is empty, set default data and write it.
-    db.data = db.data || { addresses: [], rules: "", adminPassword: "password123" };
+    // --- Events ---
+    // Older db.json files have a single addresses list and rules string.
+    if (events.migrateToEvents(db.data, config.town.suburb)) {
+        console.log('Moved addresses and rules into an event for this year.');
+    }
 
     // --- Password Hashing ---
     // Check if the password is not already hashed. bcrypt hashes start with '$2'.
@@ -36,63 +73,152 @@ async function startServer() {
         await db.write(); // Save the hashed password
     }
 
+    // --- Users ---
+    // Older db.json files have one admin: ADMIN_USERNAME with db.data.adminPassword.
+    if (users.migrateAdminAccount(db.data, config.adminUsername)) {
+        console.log('Moved the admin password into an owner account.');
+    }
+
+    // --- Address IDs ---
+    // Give every address a stable id and a version number so individual
+    // addresses can be edited without replacing the whole list.
+    for (const event of db.data.events) {
+        for (const address of event.addresses) {
+            if (!address.id) address.id = crypto.randomUUID();
+            if (!Number.isInteger(address.version)) address.version = 1;
+        }
+    }
+
+    // --- Address Parts ---
+    // Addresses saved as plain text get their number, street, suburb, state and
+    // postcode, and their text rewritten from them. This also tidies doubled
+    // spaces and repeated town names.
+    for (const event of db.data.events) {
+        for (const address of event.addresses) {
+            if (address.street) continue;
+            const { value } = addressParts.validateAddressParts({ text: address.text }, config.town);
+            if (!value) continue;
+            for (const [part, partValue] of Object.entries(value)) {
+                if (partValue) address[part] = partValue;
+            }
+        }
+    }
+
     await db.write();
+}
 
-    // Helper function to add a delay
-    const delay = ms => new Promise(res => setTimeout(res, ms));
+// The notifier for this config's transport (see lib/notifications)
+function createAppNotifier(db, config) {
+    return notifications.createNotifier({
+        db,
+        transport: notifications.createTransport(config.notifications),
+        publicUrl: config.publicUrl,
+        adminEmails: config.notifications.adminEmails,
+        reminderHour: config.notifications.reminderHour,
+        timeZone: config.timeZone,
+        townName: config.town.suburb
+    });
+}
 
+// Build the Express app around the given storage, geocoder and config. The
+// tests call this with in-memory storage and a fake geocoder.
+function createApp({
+    db,
+    geocoder,
+    config,
+    backups = createBackupManager({ db, ...config.backups }),
+    notifier = createAppNotifier(db, config)
+}) {
     const app = express();
-    const PORT = process.env.PORT || 3000; // Use PORT from .env, or default to 3000
 
     // Trust the first proxy. This is needed for secure cookies to work on Render.
     // It must be set before you initialize the session middleware.
     app.set('trust proxy', 1);
 
-    // Middleware to serve static files from the 'public' directory
-    app.use(express.static(path.join(__dirname, 'public')));
-
     // --- Security Middleware Setup ---
 
+    // 0. The embeddable map may be framed by the sites in EMBED_FRAME_ANCESTORS,
+    // so it gets its own headers ahead of the ones below.
+    app.get('/embed', helmet({
+        contentSecurityPolicy: {
+            directives: { ...CSP_DIRECTIVES, "frame-ancestors": config.embed.frameAncestors },
+        },
+        xFrameOptions: false, // frame-ancestors replaces it
+    }), (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'embed.html'));
+    });
+
     // 1. Helmet: Adds various security headers.
     app.use(helmet({
         contentSecurityPolicy: {
-            directives: {
-                ...helmet.contentSecurityPolicy.getDefaultDirectives(),
-                "script-src": [
-                    "'self'", // Allow scripts from our own server
-                    "https://unpkg.com" // Allow scripts from unpkg CDN (for Leaflet)
-                ],
-                "style-src": [
-                    "'self'", // Allow stylesheets from our own server
-                    "https://unpkg.com" // Allow stylesheets from unpkg CDN (for Leaflet)
-                ],
-                "img-src": ["'self'", "data:", "*.tile.openstreetmap.org", "https://unpkg.com"],
-                "connect-src": ["'self'", "https://nominatim.openstreetmap.org", "https://unpkg.com"],
-            },
+            directives: CSP_DIRECTIVES,
         },
     }));
 
+    // Pages and files are served from here on, so they all get helmet's headers.
+
+    // The web app manifest carries the site's title, so it's built here ahead
+    // of the static file it's based on
+    app.get('/manifest.webmanifest', (req, res) => {
+        res.type('application/manifest+json').send(JSON.stringify({
+            ...MANIFEST,
+            name: config.branding.title,
+            description: `Houses taking part in Halloween trick-or-treating in ${config.town.suburb}.`,
+            theme_color: config.branding.colour
+        }, null, 4));
+    });
+
+    // The embed page's framing headers are set on /embed (above). The static
+    // copy would go out without them, so send anyone asking for it there.
+    app.get('/embed.html', (req, res) => {
+        const query = req.originalUrl.slice(req.path.length);
+        res.redirect(301, `/embed${query}`);
+    });
+
+    // Middleware to serve static files from the 'public' directory
+    app.use(express.static(path.join(__dirname, 'public')));
+    // Leaflet is served from our own server so the service worker can cache it
+    app.use('/vendor/leaflet', express.static(path.join(__dirname, 'node_modules', 'leaflet', 'dist')));
+    app.use('/vendor/leaflet.markercluster', express.static(path.join(__dirname, 'node_modules', 'leaflet.markercluster', 'dist')));
+    app.use('/vendor/leaflet.heat', express.static(path.join(__dirname, 'node_modules', 'leaflet.heat', 'dist')));
+    app.use('/vendor/qrcode-generator', express.static(path.join(__dirname, 'node_modules', 'qrcode-generator', 'dist')));
+
     // 2. Body Parser Limits: Prevent large payloads from crashing the server.
     // Middleware to parse URL-encoded bodies (as sent by HTML forms)
     app.use(express.urlencoded({ extended: true }));
-    // Middleware to parse JSON bodies (for API requests)
+    // Middleware to parse JSON bodies (for API requests). The bulk location
+    // editor's save is the one big request: about 110 bytes per house.
+    app.use('/api/addresses/locations', express.json({ limit: geocodeChecks.MAX_LOCATIONS * 150 }));
     app.use(express.json({ limit: '10kb' })); // Set a size limit
 
     // 3. Session Management
-    // Note: For production, you'd want a more robust session store like connect-redis or connect-mongo.
-    // The default memory store is not suitable for production as it will leak memory over time.
+    // Sessions are kept in SQLite so they survive restarts. The memory store
+    // leaks over time and is only for trying things out.
     app.use(session({
-        secret: process.env.SESSION_SECRET,
+        secret: config.sessionSecret,
+        store: config.session.store === 'sqlite' ? createSqliteSessionStore(session, { file: config.session.file }) : undefined,
         resave: false,
         saveUninitialized: false,
         cookie: {
-            secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
+            secure: config.nodeEnv === 'production', // Use secure cookies in production
             httpOnly: true, // Prevents client-side JS from accessing the cookie
+            sameSite: 'lax', // Don't send the cookie with cross-site form posts
             maxAge: 1000 * 60 * 60 // 1 hour
         }
     }));
 
-    // 4. Rate Limiting: Protect against brute-force attacks.
+    // 4. CSRF Protection: changes made with the session cookie must carry the
+    // session's token.
+    app.use(csrfProtection({
+        formPaths: ['/signin', '/signin/two-factor', '/accept-invite']
+    }));
+
+    // API endpoint for pages to fetch the token they send with changes
+    app.get('/api/csrf-token', (req, res) => {
+        res.json({ csrfToken: csrfToken(req) });
+    });
+
+    // 5. Rate Limiting: Protect against brute-force attacks.
     const authLimiter = rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minutes
         max: 10, // Limit each IP to 10 requests per windowMs
@@ -101,155 +227,1795 @@ async function startServer() {
         message: 'Too many login or password change attempts from this IP, please try again after 15 minutes'
     });
 
+    // Residents can register houses without signing in, so limit that too.
+    const registrationLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10, // Limit each IP to 10 requests per windowMs
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: { success: false, message: 'Too many registration requests from this IP, please try again after 15 minutes' }
+    });
+
     // --- Authentication Middleware ---
-    const isAuthenticated = (req, res, next) => {
-        if (req.session.user) {
+
+    // The signed-in user, or undefined if they've signed out, been disabled or deleted.
+    const sessionUser = (req) => {
+        const user = req.session.userId && db.data.users.find(u => u.id === req.session.userId);
+        return user && !user.disabled ? user : undefined;
+    };
+
+    // Only let signed-in users with at least `role` through, e.g. requireRole('editor').
+    const requireRole = (role) => (req, res, next) => {
+        const user = sessionUser(req);
+        if (user && users.hasRole(user, role)) {
+            req.user = user;
             return next();
         }
-        // For API requests (which expect JSON), send a 401 Unauthorized error.
+        // For API requests (which expect JSON), send a 401 Unauthorized (or 403 Forbidden) error.
         // For direct browser navigation, redirect to the sign-in page.
         if (req.path.startsWith('/api/')) {
+            if (user) {
+                return res.status(403).json({ success: false, message: `You need the ${role} role to do that.` });
+            }
             return res.status(401).json({ success: false, message: 'Unauthorized. Please sign in.' });
         } else {
             return res.redirect('/signin.html');
         }
     };
 
+    // --- Audit Log ---
+
+    // Record a change made by this request's admin (or resident, for token links).
+    const recordChange = (req, event, fields) => db.audit.add(audit.createEntry({
+        actor: req.user ? { id: req.user.id, username: req.user.username } : { registrationId: req.registration.id },
+        eventYear: event.year,
+        ...fields
+    }));
+
+    // --- Map Views ---
+    // Public map loads are counted for the dashboard. That's every page view on
+    // the night, so the counts are saved at most once a minute (or with the next
+    // change, whichever comes first).
+    let mapViewSave = null;
+    const saveMapViewsSoon = () => {
+        if (mapViewSave) return;
+        mapViewSave = setTimeout(() => {
+            mapViewSave = null;
+            db.save().catch((err) => {
+                console.error('Saving map views failed:', err);
+            });
+        }, 60 * 1000);
+        mapViewSave.unref();
+    };
+
     // --- API Routes ---
 
+    // --- Event Middleware ---
+
+    // Attach the event named by `?event=2024` (or the current event) as req.event.
+    const loadEvent = (req, res, next) => {
+        req.event = events.resolveEvent(db.data, req.query.event);
+        if (!req.event) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        next();
+    };
+
+    // An event's name for download filenames: "ardlethan-halloween-2025"
+    const fileSlug = event => event.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+    // Archived events are kept for viewing past maps but can't be changed.
+    const requireOpenEvent = (req, res, next) => {
+        if (req.event.archived) {
+            return res.status(409).json({ success: false, message: 'This event is archived and can no longer be changed.' });
+        }
+        next();
+    };
+
     // API endpoint to get all addresses
-    app.get('/api/addresses', (req, res) => {
-        const { addresses } = db.data;
-        res.json(addresses);
+    app.get('/api/addresses', loadEvent, (req, res) => {
+        const { addresses } = req.event;
+        // The service worker's offline copy (public/sw.js) isn't a view
+        if (!sessionUser(req) && !req.get('X-Offline-Prefetch')) {
+            db.settings.change('mapViews', () => stats.recordMapView(db.data, req.event.year));
+            saveMapViewsSoon();
+        }
+        res.json(addresses.map(publicAddress));
     });
 
-    // API endpoint to get the rules
-    app.get('/api/rules', (req, res) => {
-        const { rules } = db.data;
-        res.json({ rules });
+    // API endpoint to get the rules: the Markdown source, the sanitised HTML
+    // and the details for the summary card
+    app.get('/api/rules', loadEvent, (req, res) => {
+        const { rules } = req.event;
+        res.json({ rules, html: rulesFormat.renderRules(rules), summary: rulesFormat.rulesSummary(req.event) });
     });
 
-    // API endpoint to update the rules
-    app.post('/api/rules', isAuthenticated, async (req, res) => {
-        const { rules } = req.body;
-        if (typeof rules === 'string') {
-            db.data.rules = rules;
-            await db.write();
-            res.json({ success: true, message: 'Rules updated successfully.' });
-        } else {
-            res.status(400).json({ success: false, message: 'Invalid data format.' });
-        }
-    });
-
-    // API endpoint to update addresses
-    app.post('/api/addresses', isAuthenticated, async (req, res) => {
-        const { addresses } = req.body;
-
-        if (Array.isArray(addresses)) {
-            // Geocode any new or updated addresses on the server
-            for (const address of addresses) {
-                // If an address has text but no coordinates, geocode it.
-                if (address.text && (!address.lat || !address.lon)) {
-                    try {
-                        const geoResponse = await fetch(`https://nominatim.openstreetmap.org/search?format=json&countrycodes=au&q=${encodeURIComponent(address.text)}`, {
-                            headers: { 'User-Agent': 'HalloweenApp/1.0 (server-side)' }
-                        });
-                        const geoData = await geoResponse.json();
-
-                        if (geoData && geoData.length > 0) {
-                            address.lat = parseFloat(geoData[0].lat);
-                            address.lon = parseFloat(geoData[0].lon);
-                            console.log(`Geocoded "${address.text}" to [${address.lat}, ${address.lon}]`);
-                        }
-                        // Respect API rate limit
-                        await delay(1000);
-                    } catch (error) {
-                        console.error('Error geocoding address on server:', address.text, error);
-                    }
+    // API endpoint to render Markdown for the admin page's live preview
+    app.post('/api/rules/preview', requireRole('editor'), (req, res) => {
+        const { error, value } = rulesFormat.validateRules({ rules: req.body.rules });
+        if (error || value.rules === undefined) {
+            return res.status(400).json({ success: false, message: error || 'Invalid data format.' });
+        }
+        res.json({ html: rulesFormat.renderRules(value.rules) });
+    });
+
+    // API endpoint to update the rules and summary details. Start and end
+    // times are the event's own and are validated the same way.
+    app.post('/api/rules', requireRole('editor'), loadEvent, requireOpenEvent, async (req, res) => {
+        const { startTime, endTime } = req.body;
+        const times = events.validateEvent({ startTime, endTime }, true);
+        const { error, value } = rulesFormat.validateRules(req.body);
+        if (times.error || error || value.rules === undefined) {
+            return res.status(400).json({ success: false, message: times.error || error || 'Invalid data format.' });
+        }
+
+        if (value.rules !== req.event.rules) {
+            recordChange(req, req.event, { action: 'rules.update', before: req.event.rules, after: value.rules });
+        }
+        const changes = { ...times.value, ...value };
+        const changed = Object.keys(changes).some(key => (changes[key] ?? null) !== (req.event[key] ?? null));
+        db.events.update(req.event.year, changes);
+        if (changed) {
+            notifier.rulesChanged(req.event);
+        }
+        await db.save();
+        res.json({ success: true, message: 'Rules updated successfully.' });
+    });
+
+    // --- Event Routes ---
+
+    // API endpoint to list all events, newest first
+    app.get('/api/events', (req, res) => {
+        const current = events.currentEvent(db.data);
+        const list = [...db.data.events]
+            .sort((a, b) => b.year - a.year)
+            .map(event => ({ ...events.eventSummary(event), current: event === current }));
+        res.json(list);
+    });
+
+    // API endpoint to get one event ('current' for the current event)
+    app.get('/api/events/:year', (req, res) => {
+        const event = events.resolveEvent(db.data, req.params.year);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        res.json(events.eventSummary(event));
+    });
+
+    // API endpoint to create an event
+    app.post('/api/events', requireRole('editor'), async (req, res) => {
+        const { error, value } = events.validateEvent(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (events.findEvent(db.data, value.year)) {
+            return res.status(409).json({ success: false, message: `An event for ${value.year} already exists.` });
+        }
+
+        const event = db.events.add(events.createEvent(value, config.town.suburb));
+        await db.save();
+        res.status(201).json({ success: true, message: 'Event created successfully.', event: events.eventSummary(event) });
+    });
+
+    // API endpoint to update an event's details
+    app.patch('/api/events/:year', requireRole('editor'), async (req, res) => {
+        const event = events.findEvent(db.data, req.params.year);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        if (event.archived) {
+            return res.status(409).json({ success: false, message: 'This event is archived and can no longer be changed.' });
+        }
+        const { error, value } = events.validateEvent(req.body, true);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        db.events.update(event.year, value);
+        await db.save();
+        res.json({ success: true, message: 'Event updated successfully.', event: events.eventSummary(event) });
+    });
+
+    // API endpoint to copy houses from another event (default: the year before)
+    app.post('/api/events/:year/clone', requireRole('editor'), async (req, res) => {
+        const event = events.findEvent(db.data, req.params.year);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        if (event.archived) {
+            return res.status(409).json({ success: false, message: 'This event is archived and can no longer be changed.' });
+        }
+        const fromYear = req.body.from !== undefined ? req.body.from : event.year - 1;
+        const source = events.findEvent(db.data, fromYear);
+        if (!source || source === event) {
+            return res.status(404).json({ success: false, message: `No event found for ${fromYear}.` });
+        }
+
+        const added = events.cloneAddresses(source, event).map(copy => db.addresses.add(event, copy));
+        for (const address of added) {
+            recordChange(req, event, { action: 'address.create', targetId: address.id, after: address });
+        }
+        await db.save();
+        res.json({ success: true, message: `Copied ${added.length} houses from ${source.year}.`, added: added.length });
+    });
+
+    // API endpoint to archive (or with { archived: false }, reopen) an event
+    app.post('/api/events/:year/archive', requireRole('editor'), async (req, res) => {
+        const event = events.findEvent(db.data, req.params.year);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+
+        db.events.update(event.year, { archived: req.body.archived !== false });
+        await db.save();
+        res.json({ success: true, message: event.archived ? 'Event archived.' : 'Event reopened.', event: events.eventSummary(event) });
+    });
+
+    // --- Address Helpers ---
+
+    // Attributes families can filter the map by
+    const ADDRESS_TAGS = {
+        'accessible': 'Accessible / no stairs',
+        'allergy-friendly': 'Allergy-friendly treats',
+        'decorated': 'Decorated house'
+    };
+
+    const ADDRESS_PARTS = ['number', 'street', 'suburb', 'state', 'postcode'];
+
+    // Validate the editable fields of an address. When `partial` is true, missing
+    // fields are allowed (PATCH). Returns { error } or { value } with the cleaned fields.
+    // The address is given as `text` or as parts (see lib/addressParts); either
+    // way both are saved. `null` for instructions, lat or lon clears the field.
+    // Coordinates given here were placed by a person, so they're marked as precise.
+    const validateAddress = (body, partial = false) => {
+        const value = {};
+
+        if (body.text !== undefined || ADDRESS_PARTS.some(part => body[part] !== undefined) || !partial) {
+            const { error, value: parts } = addressParts.validateAddressParts(body, config.town);
+            if (error) {
+                return { error };
+            }
+            value.text = parts.text;
+            ADDRESS_PARTS.forEach(part => value[part] = parts[part] || null);
+        }
+
+        if (body.instructions !== undefined && body.instructions !== null) {
+            if (typeof body.instructions !== 'string') {
+                return { error: 'Instructions must be a string.' };
+            }
+            if (body.instructions.length > 500) {
+                return { error: 'Instructions must be 500 characters or fewer.' };
+            }
+            value.instructions = body.instructions.trim() || null;
+        } else if (body.instructions === null) {
+            value.instructions = null;
+        }
+
+        const hasLat = body.lat !== undefined;
+        const hasLon = body.lon !== undefined;
+        if (hasLat !== hasLon) {
+            return { error: 'lat and lon must be provided together.' };
+        }
+        if (hasLat) {
+            if (body.lat === null && body.lon === null) {
+                value.lat = null;
+                value.lon = null;
+                value.geocodePrecision = null;
+            } else {
+                const lat = Number(body.lat);
+                const lon = Number(body.lon);
+                if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+                    return { error: 'lat must be a number between -90 and 90.' };
                 }
+                if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+                    return { error: 'lon must be a number between -180 and 180.' };
+                }
+                value.lat = lat;
+                value.lon = lon;
+                value.geocodePrecision = 'manual';
+            }
+        }
+
+        if (body.tags !== undefined && body.tags !== null) {
+            if (!Array.isArray(body.tags) || body.tags.some(tag => !ADDRESS_TAGS[tag])) {
+                return { error: `Tags must be a list of: ${Object.keys(ADDRESS_TAGS).join(', ')}.` };
             }
+            const tags = [...new Set(body.tags)];
+            value.tags = tags.length > 0 ? tags : null;
+        } else if (body.tags === null) {
+            value.tags = null;
+        }
 
-            db.data.addresses = addresses; // Save the updated array
-            await db.write();
-            res.json({ success: true, message: 'Addresses updated successfully.' });
-        } else {
-            res.status(400).json({ success: false, message: 'Invalid data format.' });
+        return { value };
+    };
+
+    // The version the client expects to be editing, from the If-Match header
+    // (as sent back from our ETag) or a `version` field in the body.
+    const expectedVersion = (req) => {
+        const ifMatch = req.get('If-Match');
+        if (ifMatch) {
+            const match = ifMatch.match(/^(?:W\/)?"?(\d+)"?$/);
+            return match ? Number(match[1]) : NaN;
+        }
+        if (req.body && req.body.version !== undefined) {
+            return Number(req.body.version);
+        }
+        return undefined;
+    };
+
+    // Residents give just the street address; the parts default to the town.
+    // Returns the fields to save, or null when there's no street to be found.
+    const addressFromText = (text) => {
+        const { value } = addressParts.validateAddressParts({ text }, config.town);
+        if (!value) return null;
+        const fields = { text: value.text };
+        ADDRESS_PARTS.forEach(part => fields[part] = value[part] || null);
+        return fields;
+    };
+
+    // Another address in the event for the same house, if there is one
+    const findDuplicate = (event, text, exceptId) => event.addresses.find(address =>
+        address.id !== exceptId && address.text.toLowerCase() === text.toLowerCase());
+
+    const duplicateMessage = duplicate => `${duplicate.text} is already on the map.`;
+
+    // An address as anyone can see it, without its status link token hash.
+    const publicAddress = ({ statusTokenHash, ...address }) => address;
+
+    // Find an address by id in one event, or in any event when none is given.
+    const findAddress = (id, event) => {
+        const searched = event ? [event] : db.data.events;
+        for (const { addresses } of searched) {
+            const address = addresses.find(a => a.id === id);
+            if (address) return address;
+        }
+        return undefined;
+    };
+
+    // Fill in coordinates in the background once the response has been sent
+    const queueGeocode = (address) => geocoder.enqueue(address.id, id => findAddress(id));
+
+    // Send a 409 if the client's version doesn't match the stored one.
+    // Returns true when the response has been sent.
+    const rejectStaleVersion = (req, res, address) => {
+        const version = expectedVersion(req);
+        if (version === undefined) {
+            res.status(428).json({ success: false, message: 'A version (or If-Match header) is required to modify an address.' });
+            return true;
+        }
+        if (version !== address.version) {
+            res.status(409).json({
+                success: false,
+                message: 'This address was changed by someone else. Reload and try again.',
+                address: publicAddress(address)
+            });
+            return true;
+        }
+        return false;
+    };
+
+    // Pick up any addresses that were saved without coordinates before a restart
+    for (const event of db.data.events) {
+        event.addresses.filter(address => address.lat === undefined).forEach(queueGeocode);
+    }
+
+    // API endpoint to look up coordinates for arbitrary text (admin map helper)
+    app.get('/api/geocode', requireRole('editor'), async (req, res) => {
+        const { q } = req.query;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ success: false, message: 'A query (q) is required.' });
+        }
+        try {
+            const coords = await geocoder.geocode(q);
+            if (!coords) {
+                return res.status(404).json({ success: false, message: 'No location found.' });
+            }
+            res.json(coords);
+        } catch (error) {
+            console.error('Error geocoding address on server:', q, error);
+            res.status(502).json({ success: false, message: 'Geocoding failed.' });
         }
     });
 
-    // Protect admin.html
-    app.get('/admin.html', isAuthenticated, (req, res) => {
-        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+    // API endpoint for settings the admin page needs
+    app.get('/api/config', requireRole('viewer'), (req, res) => {
+        res.json({
+            town: config.town,
+            states: addressParts.STATES,
+            townBounds: config.townBounds,
+            townCentre: geocodeChecks.boundsCentre(config.townBounds)
+        });
     });
 
+    // --- Branding ---
 
-    // Route to handle the sign-in form submission
-    app.post('/signin', authLimiter, async (req, res) => {
-        const { username, password } = req.body;
+    // API endpoint for the site's title, colours and where its map starts, for every page
+    app.get('/api/site', (req, res) => {
+        res.json({
+            title: config.branding.title,
+            town: config.town,
+            colour: config.branding.colour,
+            accentColour: config.branding.accentColour,
+            logoUrl: config.branding.logoFile ? '/branding/logo' : '/images/Untitled.png',
+            townCentre: geocodeChecks.boundsCentre(config.townBounds)
+        });
+    });
 
-        const isUsernameCorrect = process.env.ADMIN_USERNAME === username;
-        let isPasswordCorrect = false;
+    // The site's colours and logo as a stylesheet, loaded after style.css.
+    // The colours are checked hex values, so they're safe to write as they are.
+    app.get('/branding.css', (req, res) => {
+        const { colour, accentColour, logoFile } = config.branding;
+        res.type('text/css').set('Cache-Control', 'no-cache').send(
+            `:root {\n    --brand-colour: ${colour};\n    --accent-colour: ${accentColour};\n}\n` +
+            (logoFile ? "body {\n    background-image: url('/branding/logo');\n}\n" : '')
+        );
+    });
 
-        if (isUsernameCorrect) {
-            // Compare the provided password with the stored hash
-            isPasswordCorrect = await bcrypt.compare(password, db.data.adminPassword);
+    // The logo from LOGO_FILE (or the one uploaded for this town)
+    app.get('/branding/logo', (req, res) => {
+        if (!config.branding.logoFile) {
+            return res.status(404).send('There is no logo.');
         }
+        res.set('Cache-Control', 'no-cache').sendFile(path.resolve(config.brandingDir || '.', config.branding.logoFile));
+    });
 
-        if (isUsernameCorrect && isPasswordCorrect) {
-            console.log('Authentication successful. Redirecting to admin page.');
-            // Set session data
-            req.session.user = true;
-            res.redirect('/admin.html');
-        } else {
-            console.log('Authentication failed.');
-            res.status(401).send('Authentication Failed. <a href="/signin.html">Try again</a>');
+    // The town's streets from STREET_LIST_FILE, read once
+    const listedStreets = config.streetListFile ? addressParts.readStreetList(config.streetListFile) : [];
+
+    // API endpoint listing street names for autocomplete: every street used in
+    // any event, plus the town's street list
+    app.get('/api/streets', requireRole('viewer'), (req, res) => {
+        res.json(addressParts.streetNames(db.data.events.flatMap(event => event.addresses), listedStreets));
+    });
+
+    // API endpoint listing the tags an address can have
+    app.get('/api/address-tags', (req, res) => {
+        res.json(Object.entries(ADDRESS_TAGS).map(([key, label]) => ({ key, label })));
+    });
+
+    // API endpoint listing the event's addresses whose location looks wrong
+    // (see lib/geocodeChecks), for the bulk location editor
+    app.get('/api/addresses/checks', requireRole('viewer'), loadEvent, (req, res) => {
+        res.json({
+            bounds: config.townBounds,
+            addresses: geocodeChecks.flaggedAddresses(req.event.addresses, config.townBounds).map(publicAddress)
+        });
+    });
+
+    // API endpoint to get a single address
+    app.get('/api/addresses/:id', loadEvent, (req, res) => {
+        const address = findAddress(req.params.id, req.event);
+        if (!address) {
+            return res.status(404).json({ success: false, message: 'Address not found.' });
         }
+        res.set('ETag', `"${address.version}"`);
+        res.json(publicAddress(address));
     });
 
-    // API endpoint to sign out
-    app.post('/api/signout', (req, res) => {
-        req.session.destroy(err => {
-            if (err) {
-                return res.status(500).json({ success: false, message: 'Could not sign out.' });
+    // API endpoint to add a single address
+    app.post('/api/addresses', requireRole('editor'), loadEvent, requireOpenEvent, async (req, res) => {
+        const { error, value } = validateAddress(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const duplicate = findDuplicate(req.event, value.text);
+        if (duplicate) {
+            return res.status(409).json({ success: false, message: duplicateMessage(duplicate), address: publicAddress(duplicate) });
+        }
+
+        const address = db.addresses.add(req.event, { id: crypto.randomUUID(), version: 1, ...value });
+        recordChange(req, req.event, { action: 'address.create', targetId: address.id, after: address });
+        await db.save();
+
+        // Geocode on the server if no coordinates were supplied
+        if (address.lat === undefined) {
+            queueGeocode(address);
+        }
+        res.status(201).set('ETag', `"${address.version}"`).json({ success: true, message: 'Address added successfully.', address: publicAddress(address) });
+    });
+
+    // API endpoint to update a single address
+    app.patch('/api/addresses/:id', requireRole('editor'), loadEvent, requireOpenEvent, async (req, res) => {
+        const address = findAddress(req.params.id, req.event);
+        if (!address) {
+            return res.status(404).json({ success: false, message: 'Address not found.' });
+        }
+
+        const { error, value } = validateAddress(req.body, true);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (rejectStaleVersion(req, res, address)) return;
+        const duplicate = value.text !== undefined && findDuplicate(req.event, value.text, address.id);
+        if (duplicate) {
+            return res.status(409).json({ success: false, message: duplicateMessage(duplicate), address: publicAddress(duplicate) });
+        }
+
+        // If the text changed and no new coordinates were supplied, the old
+        // coordinates are wrong: clear them and re-geocode in the background
+        const textChanged = value.text !== undefined && value.text !== address.text;
+        if (textChanged && value.lat === undefined) {
+            value.lat = null;
+            value.lon = null;
+            value.geocodePrecision = null;
+        }
+
+        const before = structuredClone(address);
+        db.addresses.update(address.id, { ...value, version: address.version + 1 });
+        recordChange(req, req.event, { action: 'address.update', targetId: address.id, before, after: address });
+        await db.save();
+
+        if (address.lat === undefined) {
+            queueGeocode(address);
+        }
+        res.set('ETag', `"${address.version}"`).json({ success: true, message: 'Address updated successfully.', address: publicAddress(address) });
+    });
+
+    // API endpoint to move many addresses at once: { locations: [{ id, version, lat, lon }] }.
+    // Saves all of them or, if any is missing or was changed meanwhile, none.
+    app.post('/api/addresses/locations', requireRole('editor'), loadEvent, requireOpenEvent, async (req, res) => {
+        const { error, value } = geocodeChecks.validateLocations(req.body.locations);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const moves = value.map(location => ({ location, address: findAddress(location.id, req.event) }));
+        const missing = moves.filter(move => !move.address);
+        if (missing.length > 0) {
+            return res.status(404).json({ success: false, message: `${missing.length} of these addresses no longer exist. Reload and try again.` });
+        }
+        const stale = moves.filter(move => move.address.version !== move.location.version);
+        if (stale.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `${stale.map(move => move.address.text).join(', ')} changed since you loaded the map. Reload and try again.`,
+                addresses: stale.map(move => publicAddress(move.address))
+            });
+        }
+
+        for (const { location, address } of moves) {
+            const before = structuredClone(address);
+            db.addresses.update(address.id, { lat: location.lat, lon: location.lon, geocodePrecision: 'manual', version: address.version + 1 });
+            recordChange(req, req.event, { action: 'address.update', targetId: address.id, before, after: address });
+        }
+        await db.save();
+        res.json({
+            success: true,
+            message: `Saved ${moves.length} location${moves.length === 1 ? '' : 's'}.`,
+            addresses: moves.map(move => publicAddress(move.address))
+        });
+    });
+
+    // API endpoint to delete a single address
+    app.delete('/api/addresses/:id', requireRole('editor'), loadEvent, requireOpenEvent, async (req, res) => {
+        const address = findAddress(req.params.id, req.event);
+        if (!address) {
+            return res.status(404).json({ success: false, message: 'Address not found.' });
+        }
+        if (rejectStaleVersion(req, res, address)) return;
+
+        db.addresses.remove(address.id);
+        recordChange(req, req.event, { action: 'address.delete', targetId: address.id, before: address });
+        await db.save();
+        res.json({ success: true, message: 'Address deleted successfully.' });
+    });
+
+    // --- Import and Export ---
+
+    // Work out what importing `rows` ({ text, instructions, lat, lon }) into an
+    // event would do. Each row becomes one of: add, update, unchanged,
+    // duplicate (repeated in the file) or error.
+    const planImport = (rows, event) => {
+        const seen = new Set();
+        return rows.map((row, index) => {
+            const line = index + 1;
+            const fields = {
+                text: row.text,
+                instructions: row.instructions,
+                tags: row.tags
+            };
+            if (row.lat !== undefined || row.lon !== undefined) {
+                fields.lat = row.lat;
+                fields.lon = row.lon;
             }
-            res.json({ success: true, message: 'Signed out successfully.' });
+            const { error, value } = validateAddress(fields);
+            if (error) {
+                return { line, action: 'error', message: error, text: row.text };
+            }
+
+            const key = value.text.toLowerCase();
+            if (seen.has(key)) {
+                return { line, action: 'duplicate', text: value.text };
+            }
+            seen.add(key);
+
+            const existing = findDuplicate(event, value.text);
+            if (!existing) {
+                return { line, action: 'add', text: value.text, value };
+            }
+
+            // Only fill in or change fields the row actually has
+            const changes = {};
+            for (const field of ['instructions', 'lat', 'lon', 'tags']) {
+                if (value[field] !== undefined && value[field] !== null && String(value[field]) !== String(existing[field])) {
+                    changes[field] = value[field];
+                }
+            }
+            if (Object.keys(changes).length === 0) {
+                return { line, action: 'unchanged', text: existing.text, id: existing.id };
+            }
+            return { line, action: 'update', text: existing.text, id: existing.id, changes };
         });
+    };
+
+    // Imports are sent as the raw file rather than JSON, with a larger size limit
+    const IMPORT_TYPES = ['text/csv', 'application/geo+json'];
+    const importParser = express.text({ type: IMPORT_TYPES, limit: '1mb' });
+
+    // API endpoint to import addresses from CSV or GeoJSON, told apart by the
+    // Content-Type. Returns a preview unless ?commit=true is given.
+    app.post('/api/addresses/import', requireRole('editor'), loadEvent, requireOpenEvent, importParser, async (req, res) => {
+        if (!req.is(IMPORT_TYPES)) {
+            return res.status(415).json({ success: false, message: 'Send the file as text/csv or application/geo+json.' });
+        }
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ success: false, message: 'The file is empty.' });
+        }
+
+        let rows;
+        try {
+            rows = req.is('text/csv') ? addressFormats.readCsv(req.body) : addressFormats.readGeoJson(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: `Could not read the file: ${error.message}` });
+        }
+
+        const plan = planImport(rows, req.event);
+        const summary = { add: 0, update: 0, unchanged: 0, duplicate: 0, error: 0 };
+        plan.forEach(row => summary[row.action]++);
+
+        if (req.query.commit !== 'true') {
+            return res.json({ success: true, dryRun: true, message: `Preview: ${summary.add} to add, ${summary.update} to update, ${summary.duplicate} duplicates, ${summary.error} errors.`, summary, rows: plan });
+        }
+
+        const toGeocode = [];
+        for (const row of plan) {
+            if (row.action === 'add') {
+                const address = db.addresses.add(req.event, { id: crypto.randomUUID(), version: 1, ...row.value });
+                recordChange(req, req.event, { action: 'address.create', targetId: address.id, after: address });
+                if (address.lat === undefined) toGeocode.push(address);
+            } else if (row.action === 'update') {
+                const address = findAddress(row.id, req.event);
+                const before = structuredClone(address);
+                db.addresses.update(address.id, { ...row.changes, version: address.version + 1 });
+                recordChange(req, req.event, { action: 'address.update', targetId: address.id, before, after: address });
+            }
+        }
+        await db.save();
+
+        // Only rows without coordinates need geocoding
+        toGeocode.forEach(queueGeocode);
+        res.json({ success: true, dryRun: false, message: `Imported ${summary.add} new and ${summary.update} updated addresses.`, summary, rows: plan });
     });
 
-    // API endpoint to change the admin password
-    app.post('/api/change-password', isAuthenticated, authLimiter, async (req, res) => {
-        const { currentPassword, newPassword } = req.body;
+    // API endpoint to download an event's addresses as geojson, csv, kml or gpx
+    app.get('/api/addresses/export/:format', loadEvent, (req, res) => {
+        const format = addressFormats.EXPORT_FORMATS[req.params.format];
+        if (!format) {
+            return res.status(404).json({ success: false, message: 'Format must be geojson, csv, kml or gpx.' });
+        }
+        res.type(format.contentType)
+            .attachment(`${fileSlug(req.event)}.${format.extension}`)
+            .send(format.write(req.event.addresses, req.event.name));
+    });
 
-        if (!currentPassword || !newPassword) {
-            return res.status(400).json({ success: false, message: 'Current and new passwords are required.' });
+    // --- Printable Map ---
+
+    // API endpoint for a printable sheet of the event's map, houses and rules:
+    // ?format=pdf|svg&size=a4|a3
+    app.get('/api/print', loadEvent, async (req, res) => {
+        const format = String(req.query.format || 'pdf').toLowerCase();
+        const size = String(req.query.size || 'a4').toLowerCase();
+        if (!print.FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: 'format must be pdf or svg.' });
+        }
+        if (!print.PAGE_SIZES[size]) {
+            return res.status(400).json({ success: false, message: 'size must be a4 or a3.' });
         }
 
-        if (newPassword.length < 8) {
-            return res.status(400).json({ success: false, message: 'New password must be at least 8 characters long.' });
+        const sheet = print.printSheet(req.event, {
+            size,
+            mapUrl: new URL(`/?event=${req.event.year}`, config.publicUrl).toString(),
+            townSuffix: config.townSuffix,
+            bounds: config.townBounds
+        });
+        const filename = `${fileSlug(req.event)}-${size}.${format}`;
+        if (format === 'svg') {
+            return res.type('image/svg+xml').attachment(filename).send(print.renderSvg(sheet));
         }
+        res.type('application/pdf').attachment(filename).send(await print.renderPdf(sheet));
+    });
 
-        // 1. Verify the current password
-        const isPasswordCorrect = await bcrypt.compare(currentPassword, db.data.adminPassword);
+    // --- Public API (v1) ---
 
-        if (!isPasswordCorrect) {
-            return res.status(401).json({ success: false, message: 'Incorrect current password.' });
+    // Read-only event data for other sites. Any origin may fetch it (no cookies
+    // are involved) and clients can poll cheaply with If-None-Match or
+    // If-Modified-Since.
+    app.use('/api/v1', (req, res, next) => {
+        res.set({
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since',
+            'Access-Control-Expose-Headers': 'ETag, Last-Modified',
+            'Access-Control-Max-Age': '86400',
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(204);
         }
+        next();
+    });
 
-        // 2. Hash the new password
-        const saltRounds = 10;
-        const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+    const cacheValidator = publicApi.createCacheValidators();
 
-        // 3. Save the new hashed password
-        db.data.adminPassword = hashedNewPassword;
-        await db.write();
+    // Set the cache headers for `content` and answer 304 if the client's copy
+    // is current; otherwise call `send(lastModified)`.
+    const sendCached = (req, res, key, content, send) => {
+        const { etag, lastModified } = cacheValidator(key, content);
+        res.set({ 'ETag': etag, 'Last-Modified': lastModified.toUTCString(), 'Cache-Control': 'public, max-age=60' });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        send(lastModified);
+    };
 
-        res.json({ success: true, message: 'Password updated successfully.' });
+    const eventUrl = (event, pathname) => new URL(`${pathname}?event=${event.year}`, config.publicUrl).toString();
+
+    // API endpoint for an event's details and links (?event=2025, or the current event)
+    app.get('/api/v1/event', loadEvent, (req, res) => {
+        const body = publicApi.apiEvent(req.event, {
+            map: eventUrl(req.event, '/'),
+            embed: eventUrl(req.event, '/embed'),
+            rules: eventUrl(req.event, '/rules.html'),
+            houses: eventUrl(req.event, '/api/v1/houses'),
+            calendar: eventUrl(req.event, '/api/v1/event.ics')
+        });
+        sendCached(req, res, `event:${req.event.year}`, body, () => res.json(body));
     });
 
-    // Start the server
-    app.listen(PORT, () => {
-        console.log(`Server is running on http://localhost:${PORT}`);
+    // API endpoint for an event's houses
+    app.get('/api/v1/houses', loadEvent, (req, res) => {
+        const body = { year: req.event.year, houses: req.event.addresses.map(publicApi.apiHouse) };
+        sendCached(req, res, `houses:${req.event.year}`, body, () => res.json(body));
+    });
+
+    // API endpoint for the night as an iCalendar feed
+    app.get('/api/v1/event.ics', loadEvent, (req, res) => {
+        const { year, name, date, startTime, endTime, meetingPoint, emergencyContact } = req.event;
+        sendCached(req, res, `calendar:${year}`, { name, date, startTime, endTime, meetingPoint, emergencyContact }, (lastModified) => {
+            res.type('text/calendar').send(eventCalendar(req.event, {
+                url: eventUrl(req.event, '/'),
+                host: new URL(config.publicUrl).hostname,
+                timeZone: config.timeZone,
+                now: lastModified
+            }));
+        });
+    });
+
+    // --- Route Planner ---
+
+    // API endpoint to order the event's houses into a walking tour from ?start=lat,lon
+    app.get('/api/route', loadEvent, (req, res) => {
+        const [lat, lon] = String(req.query.start || '').split(',').map(Number);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return res.status(400).json({ success: false, message: 'start must be given as lat,lon.' });
+        }
+
+        const stops = req.event.addresses
+            .filter(address => address.lat !== undefined && address.lon !== undefined)
+            .map(({ id, text, instructions, lat, lon }) => ({ id, text, instructions, lat, lon }));
+        res.json(planRoute({ lat, lon }, stops, { walkingSpeedKmh: config.walkingSpeedKmh }));
+    });
+
+    // --- Live House Status ---
+
+    // Each house can be open, low on candy or closed on the night. Residents flip
+    // it from a token link; every open map hears about it over Server-Sent Events.
+    const HOUSE_STATUSES = ['open', 'low', 'closed'];
+    const broadcaster = createBroadcaster();
+
+    // Status changes come from phones in the street, so allow more than registrations.
+    const statusLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 30, // Limit each IP to 30 requests per windowMs
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: { success: false, message: 'Too many status updates from this IP, please try again after 15 minutes' }
     });
+
+    // API endpoint streaming live updates for an event's map
+    app.get('/api/live', loadEvent, (req, res) => {
+        broadcaster.subscribe(req, res, req.event.year);
+    });
+
+    // API endpoint for editors to create (or replace) a house's status link
+    app.post('/api/addresses/:id/status-link', requireRole('editor'), loadEvent, requireOpenEvent, async (req, res) => {
+        const address = findAddress(req.params.id, req.event);
+        if (!address) {
+            return res.status(404).json({ success: false, message: 'Address not found.' });
+        }
+
+        const token = tokens.createToken();
+        db.addresses.update(address.id, { statusTokenHash: tokens.hashToken(token) });
+        await db.save();
+        res.json({
+            success: true,
+            message: 'Status link created. Any older link for this house no longer works.',
+            statusUrl: `/status.html?id=${encodeURIComponent(address.id)}&token=${encodeURIComponent(token)}&event=${req.event.year}`
+        });
+    });
+
+    // API endpoint to set a house's status. Allowed for editors, the house's
+    // status link (X-Status-Token) or the resident's registration link (X-Registration-Token).
+    app.post('/api/addresses/:id/status', statusLimiter, loadEvent, requireOpenEvent, async (req, res) => {
+        const address = findAddress(req.params.id, req.event);
+        const user = sessionUser(req);
+        const registration = address && address.registrationId && db.data.registrations.find(r => r.id === address.registrationId);
+        const allowed = address && (
+            (user && users.hasRole(user, 'editor')) ||
+            tokens.tokenMatches(address.statusTokenHash, req.get('X-Status-Token')) ||
+            (registration && registrations.verifyToken(registration, req.get('X-Registration-Token')))
+        );
+        if (!allowed) {
+            return res.status(404).json({ success: false, message: 'Address not found.' });
+        }
+
+        const { status } = req.body;
+        if (!HOUSE_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${HOUSE_STATUSES.join(', ')}.` });
+        }
+
+        db.addresses.update(address.id, { status, statusUpdatedAt: new Date().toISOString() });
+        await db.save();
+        broadcaster.publish(req.event.year, 'status', { id: address.id, status, statusUpdatedAt: address.statusUpdatedAt });
+        res.json({ success: true, message: 'Status updated.', status, statusUpdatedAt: address.statusUpdatedAt });
+    });
+
+    // --- Registration Routes ---
+
+    // Attach the registration as req.registration, allowing access to a signed-in
+    // admin (editors to change it) or to the resident holding its token
+    // (X-Registration-Token header or ?token=).
+    const loadRegistration = (req, res, next) => {
+        const registration = db.data.registrations.find(r => r.id === req.params.id);
+        const token = req.get('X-Registration-Token') || req.query.token;
+        const user = sessionUser(req);
+        req.isAdmin = Boolean(user && users.hasRole(user, req.method === 'GET' ? 'viewer' : 'editor'));
+        if (!registration || (!req.isAdmin && !registrations.verifyToken(registration, token))) {
+            return res.status(404).json({ success: false, message: 'Registration not found.' });
+        }
+        req.registration = registration;
+        next();
+    };
+
+    // The event a registration belongs to, or a 409 if it can no longer change.
+    // Returns undefined when the response has been sent.
+    const openEventFor = (res, registration) => {
+        const event = events.findEvent(db.data, registration.eventYear);
+        if (!event || event.archived) {
+            res.status(409).json({ success: false, message: 'This event is archived and can no longer be changed.' });
+            return undefined;
+        }
+        return event;
+    };
+
+    // API endpoint for residents to register their house
+    app.post('/api/registrations', registrationLimiter, async (req, res) => {
+        const { error, value } = registrations.validateRegistration(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const event = events.currentEvent(db.data);
+        if (!event || event.archived) {
+            return res.status(409).json({ success: false, message: 'Registrations are not open right now.' });
+        }
+
+        const { registration, token } = registrations.createRegistration(value, event.year);
+        db.registrations.add(registration);
+        notifier.registrationReceived(event, registration, token);
+        await db.save();
+        res.status(201).json({
+            success: true,
+            message: 'Thanks! Your house will appear on the map once an organiser approves it.',
+            registration: registrations.publicRegistration(registration),
+            token
+        });
+    });
+
+    // API endpoint for admins to list registrations, e.g. ?status=pending
+    app.get('/api/registrations', requireRole('viewer'), (req, res) => {
+        const { status } = req.query;
+        const list = db.data.registrations
+            .filter(registration => !status || registration.status === status)
+            .map(registrations.publicRegistration);
+        res.json(list);
+    });
+
+    // API endpoint to view one registration (admin or token holder)
+    app.get('/api/registrations/:id', registrationLimiter, loadRegistration, (req, res) => {
+        res.json(registrations.publicRegistration(req.registration));
+    });
+
+    // API endpoint to edit a registration (admin or token holder). Approved
+    // registrations update the house on the map as well.
+    app.patch('/api/registrations/:id', registrationLimiter, loadRegistration, async (req, res) => {
+        const registration = req.registration;
+        const { error, value } = registrations.validateRegistration(req.body, true);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (registration.status === 'withdrawn' || registration.status === 'rejected') {
+            return res.status(409).json({ success: false, message: `This registration was ${registration.status}.` });
+        }
+        const event = openEventFor(res, registration);
+        if (!event) return;
+
+        db.registrations.update(registration.id, { ...value, updatedAt: new Date().toISOString() });
+
+        const address = registration.addressId && findAddress(registration.addressId, event);
+        if (address) {
+            const before = structuredClone(address);
+            const fields = { instructions: registration.instructions || null, version: address.version + 1 };
+            const moved = addressFromText(registration.address);
+            if (moved && moved.text !== address.text) {
+                Object.assign(fields, moved, { lat: null, lon: null, geocodePrecision: null });
+            }
+            db.addresses.update(address.id, fields);
+            recordChange(req, event, { action: 'address.update', targetId: address.id, before, after: address });
+        }
+        await db.save();
+        if (address && address.lat === undefined) {
+            queueGeocode(address);
+        }
+        res.json({ success: true, message: 'Registration updated.', registration: registrations.publicRegistration(registration) });
+    });
+
+    // API endpoint to withdraw a registration and take the house off the map
+    app.delete('/api/registrations/:id', registrationLimiter, loadRegistration, async (req, res) => {
+        const registration = req.registration;
+        const event = openEventFor(res, registration);
+        if (!event) return;
+
+        const address = registration.addressId && findAddress(registration.addressId, event);
+        if (address) {
+            db.addresses.remove(address.id);
+            recordChange(req, event, { action: 'address.delete', targetId: address.id, before: address });
+        }
+        db.registrations.update(registration.id, { addressId: null, status: 'withdrawn', updatedAt: new Date().toISOString() });
+        await db.save();
+        res.json({ success: true, message: 'Your house has been removed from the map.' });
+    });
+
+    // API endpoint for admins to approve a registration onto the map
+    app.post('/api/registrations/:id/approve', requireRole('editor'), loadRegistration, async (req, res) => {
+        const registration = req.registration;
+        if (registration.status !== 'pending') {
+            return res.status(409).json({ success: false, message: `This registration is already ${registration.status}.` });
+        }
+        const event = openEventFor(res, registration);
+        if (!event) return;
+
+        const fields = addressFromText(registration.address);
+        if (!fields) {
+            return res.status(400).json({ success: false, message: 'This registration has no street address to add.' });
+        }
+        const duplicate = findDuplicate(event, fields.text);
+        if (duplicate) {
+            return res.status(409).json({ success: false, message: duplicateMessage(duplicate) });
+        }
+
+        const address = db.addresses.add(event, {
+            id: crypto.randomUUID(),
+            version: 1,
+            registrationId: registration.id,
+            ...fields,
+            instructions: registration.instructions || null
+        });
+        recordChange(req, event, { action: 'address.create', targetId: address.id, after: address });
+
+        db.registrations.update(registration.id, { status: 'approved', addressId: address.id, updatedAt: new Date().toISOString() });
+        notifier.registrationApproved(event, registration);
+        await db.save();
+        queueGeocode(address);
+        res.json({ success: true, message: 'Registration approved and added to the map.', address: publicAddress(address) });
+    });
+
+    // API endpoint for admins to reject a registration
+    app.post('/api/registrations/:id/reject', requireRole('editor'), loadRegistration, async (req, res) => {
+        const registration = req.registration;
+        if (registration.status !== 'pending') {
+            return res.status(409).json({ success: false, message: `This registration is already ${registration.status}.` });
+        }
+
+        db.registrations.update(registration.id, { status: 'rejected', updatedAt: new Date().toISOString() });
+        const event = events.findEvent(db.data, registration.eventYear);
+        if (event) {
+            notifier.registrationRejected(event, registration);
+        }
+        await db.save();
+        res.json({ success: true, message: 'Registration rejected.' });
+    });
+
+    // --- Notification Routes ---
+
+    // API endpoint listing the outbox, newest first, e.g. ?status=failed
+    app.get('/api/notifications/outbox', requireRole('viewer'), (req, res) => {
+        const { status } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        const list = db.data.outbox
+            .filter(message => !status || message.status === status)
+            .slice(-limit)
+            .reverse()
+            .map(notifications.publicMessage);
+        res.json(list);
+    });
+
+    // API endpoint to try a failed message again
+    app.post('/api/notifications/outbox/:id/retry', requireRole('editor'), async (req, res) => {
+        const message = notifier.retry(req.params.id);
+        if (!message) {
+            return res.status(404).json({ success: false, message: 'No failed message with that id.' });
+        }
+        await db.save();
+        res.json({ success: true, message: `Sending to ${message.to} again.` });
+    });
+
+    // API endpoint to email every registered house (pending or approved) for an
+    // event: { subject, body }
+    app.post('/api/notifications/broadcast', requireRole('editor'), loadEvent, async (req, res) => {
+        const { subject, body } = req.body;
+        if (typeof subject !== 'string' || !subject.trim() || subject.length > 150) {
+            return res.status(400).json({ success: false, message: 'Subject must be between 1 and 150 characters.' });
+        }
+        if (typeof body !== 'string' || !body.trim() || body.length > 5000) {
+            return res.status(400).json({ success: false, message: 'Message must be between 1 and 5000 characters.' });
+        }
+
+        const messages = notifier.broadcast(req.event, { subject: subject.trim(), body: body.trim() });
+        if (messages.length === 0) {
+            return res.status(409).json({ success: false, message: 'No one has registered for this event yet.' });
+        }
+        await db.save();
+        res.status(202).json({ success: true, message: `Sending to ${messages.length} registered house${messages.length === 1 ? '' : 's'}.` });
+    });
+
+    // --- Stats Routes ---
+
+    // API endpoint for the dashboard's figures for an event (?event=2024, or the current one)
+    app.get('/api/stats', requireRole('viewer'), loadEvent, (req, res) => {
+        res.json(stats.eventStats(db.data, req.event, { townSuffix: config.townSuffix }));
+    });
+
+    // --- Audit Routes ---
+
+    // API endpoint to browse the change history, e.g. ?event=2025&action=address&actor=admin
+    app.get('/api/audit', requireRole('viewer'), (req, res) => {
+        res.json(audit.filterEntries(db.data.audit, req.query));
+    });
+
+    // API endpoint to restore the version recorded by an audit entry. For rules
+    // that's the text it saved; for addresses it's the event's whole address
+    // list as it was straight after that change.
+    app.post('/api/audit/:id/restore', requireRole('editor'), async (req, res) => {
+        const entry = db.data.audit.find(e => e.id === req.params.id);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'History entry not found.' });
+        }
+        const event = events.findEvent(db.data, entry.eventYear);
+        if (!event || event.archived) {
+            return res.status(409).json({ success: false, message: 'This event is archived and can no longer be changed.' });
+        }
+
+        if (audit.isAddressEntry(entry)) {
+            const before = event.addresses;
+            db.addresses.replaceAll(event, audit.addressesAsOf(db.data, event, entry));
+            recordChange(req, event, { action: 'addresses.restore', before, after: event.addresses });
+            await db.save();
+            event.addresses.filter(address => address.lat === undefined).forEach(queueGeocode);
+            return res.json({ success: true, message: 'Addresses restored.', addresses: event.addresses.map(publicAddress) });
+        }
+
+        const rules = entry.after !== null ? entry.after : entry.before;
+        recordChange(req, event, { action: 'rules.restore', before: event.rules, after: rules });
+        db.events.update(event.year, { rules });
+        await db.save();
+        res.json({ success: true, message: 'Rules restored.', rules });
+    });
+
+    // --- Backup Routes ---
+    // Owners only: a backup holds every account's password hash.
+
+    // API endpoint to list the backups, newest first
+    app.get('/api/backups', requireRole('owner'), async (req, res) => {
+        res.json(await backups.list());
+    });
+
+    // API endpoint to take a backup now
+    app.post('/api/backups', requireRole('owner'), async (req, res) => {
+        const backup = await backups.create('manual');
+        res.status(201).json({ success: true, message: 'Backup saved.', backup });
+    });
+
+    // API endpoint to download a backup as JSON
+    app.get('/api/backups/:id', requireRole('owner'), async (req, res) => {
+        const data = await backups.read(req.params.id);
+        if (!data) {
+            return res.status(404).json({ success: false, message: 'Backup not found.' });
+        }
+        res.attachment(req.params.id).send(JSON.stringify(data, null, 2));
+    });
+
+    // API endpoint to preview what restoring a backup would change
+    app.get('/api/backups/:id/preview', requireRole('owner'), async (req, res) => {
+        const data = await backups.read(req.params.id);
+        if (!data) {
+            return res.status(404).json({ success: false, message: 'Backup not found.' });
+        }
+        res.json(diffData(db.data, data));
+    });
+
+    // API endpoint to replace all the data with a backup's. The current data is
+    // backed up first, so a restore can itself be undone.
+    app.post('/api/backups/:id/restore', requireRole('owner'), async (req, res) => {
+        const safetyCopy = await backups.restore(req.params.id);
+        if (!safetyCopy) {
+            return res.status(404).json({ success: false, message: 'Backup not found.' });
+        }
+        // Bring backups from older versions up to date
+        await migrateData(db, config);
+        db.audit.add(audit.createEntry({
+            actor: { id: req.user.id, username: req.user.username },
+            action: 'backup.restore',
+            eventYear: null,
+            targetId: req.params.id,
+            before: safetyCopy.id
+        }));
+        await db.save();
+        res.json({ success: true, message: `Backup restored. The data from before the restore is in ${safetyCopy.id}.`, safetyCopy });
+    });
+
+    // API endpoint to delete a backup
+    app.delete('/api/backups/:id', requireRole('owner'), async (req, res) => {
+        if (!(await backups.remove(req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Backup not found.' });
+        }
+        res.json({ success: true, message: 'Backup deleted.' });
+    });
+
+    // Protect admin.html
+    app.get('/admin.html', requireRole('viewer'), (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+    });
+
+
+    // --- User Routes ---
+
+    // A bcrypt hash to compare against when the username doesn't exist, so
+    // sign-in takes the same time either way.
+    const dummyPasswordHash = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+    const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000; // Time allowed to enter the code after the password
+
+    // Start a fresh session holding `fields`, then redirect.
+    const startSession = (req, res, fields, redirectTo) => {
+        req.session.regenerate(err => {
+            if (err) {
+                return res.status(500).send('Could not sign in. <a href="/signin.html">Try again</a>');
+            }
+            Object.assign(req.session, fields);
+            res.redirect(redirectTo);
+        });
+    };
+
+    const sendLockedOut = res => res.status(429).send('This account is locked after too many failed sign-ins. Try again in 15 minutes. <a href="/signin.html">Back</a>');
+
+    // Count a wrong password or code against the account, locking it if needed.
+    const failSignIn = async (user) => {
+        if (db.users.change(user.id, users.recordFailedSignIn)) {
+            console.log(`Locked ${user.username} after too many failed sign-ins.`);
+        }
+        await db.save();
+    };
+
+    // Route to handle the sign-in form submission
+    app.post('/signin', authLimiter, async (req, res) => {
+        const { username, password } = req.body;
+
+        // A locked account fails just like an unknown username, so the answer
+        // doesn't show which usernames exist
+        const user = typeof username === 'string' ? users.findUserByUsername(db.data, username) : undefined;
+        const canSignIn = Boolean(user && user.passwordHash && !user.disabled && !users.isLockedOut(user));
+
+        // Compare the provided password with the stored hash
+        const isPasswordCorrect = await bcrypt.compare(String(password || ''), canSignIn ? user.passwordHash : dummyPasswordHash);
+
+        if (canSignIn && isPasswordCorrect) {
+            // With two-factor sign-in on, the session isn't signed in until the code is checked
+            if (user.totpSecret) {
+                return startSession(req, res, { twoFactor: { userId: user.id, expiresAt: Date.now() + TWO_FACTOR_TIMEOUT_MS } }, '/signin-two-factor.html');
+            }
+            console.log(`Authentication successful for ${user.username}. Redirecting to admin page.`);
+            db.users.change(user.id, users.clearFailedSignIns);
+            await db.save();
+            startSession(req, res, { userId: user.id }, '/admin.html');
+        } else {
+            console.log('Authentication failed.');
+            if (canSignIn) await failSignIn(user);
+            res.status(401).send('Authentication Failed. <a href="/signin.html">Try again</a>');
+        }
+    });
+
+    // Route to handle the second sign-in step: a code from the authenticator
+    // app, or one of the recovery codes
+    app.post('/signin/two-factor', authLimiter, async (req, res) => {
+        const pending = req.session.twoFactor;
+        const user = pending && pending.expiresAt > Date.now() && db.data.users.find(u => u.id === pending.userId);
+        if (!user || user.disabled || !user.totpSecret) {
+            return res.status(401).send('Your sign-in has expired. <a href="/signin.html">Sign in again</a>');
+        }
+        if (users.isLockedOut(user)) {
+            return sendLockedOut(res);
+        }
+
+        const { code } = req.body;
+        const counter = totp.verifyCode(user.totpSecret, code, { lastCounter: user.totpLastCounter });
+        const recoveryHash = tokens.hashToken(totp.normaliseRecoveryCode(code));
+        const recoveryIndex = counter === null ? (user.recoveryCodeHashes || []).indexOf(recoveryHash) : -1;
+
+        if (counter === null && recoveryIndex === -1) {
+            console.log('Two-factor authentication failed.');
+            await failSignIn(user);
+            return res.status(401).send('That code is not right. <a href="/signin-two-factor.html">Try again</a>');
+        }
+
+        db.users.change(user.id, () => {
+            if (counter !== null) {
+                user.totpLastCounter = counter; // Each code works only once
+            } else {
+                user.recoveryCodeHashes.splice(recoveryIndex, 1);
+                console.log(`${user.username} signed in with a recovery code; ${user.recoveryCodeHashes.length} left.`);
+            }
+            users.clearFailedSignIns(user);
+        });
+        console.log(`Authentication successful for ${user.username}. Redirecting to admin page.`);
+        await db.save();
+        startSession(req, res, { userId: user.id }, '/admin.html');
+    });
+
+    // API endpoint to sign out
+    app.post('/api/signout', (req, res) => {
+        req.session.destroy(err => {
+            if (err) {
+                return res.status(500).json({ success: false, message: 'Could not sign out.' });
+            }
+            res.json({ success: true, message: 'Signed out successfully.' });
+        });
+    });
+
+    // API endpoint for the signed-in user's own account
+    app.get('/api/me', requireRole('viewer'), (req, res) => {
+        res.json(users.publicUser(req.user));
+    });
+
+    // API endpoint to change the signed-in user's password
+    app.post('/api/change-password', requireRole('viewer'), authLimiter, async (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ success: false, message: 'Current and new passwords are required.' });
+        }
+
+        if (newPassword.length < 8) {
+            return res.status(400).json({ success: false, message: 'New password must be at least 8 characters long.' });
+        }
+
+        // 1. Verify the current password
+        const isPasswordCorrect = await bcrypt.compare(currentPassword, req.user.passwordHash);
+
+        if (!isPasswordCorrect) {
+            return res.status(401).json({ success: false, message: 'Incorrect current password.' });
+        }
+
+        // 2. Hash the new password
+        const saltRounds = 10;
+        const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+        // 3. Save the new hashed password
+        db.users.update(req.user.id, { passwordHash: hashedNewPassword });
+        await db.save();
+
+        res.json({ success: true, message: 'Password updated successfully.' });
+    });
+
+    // --- Two-Factor Sign-In ---
+
+    // API endpoint to start setting up two-factor sign-in. Returns a new secret
+    // for the authenticator app; it's only used once a code from it is confirmed.
+    app.post('/api/two-factor/setup', requireRole('viewer'), async (req, res) => {
+        if (req.user.totpSecret) {
+            return res.status(409).json({ success: false, message: 'Two-factor sign-in is already on.' });
+        }
+        db.users.update(req.user.id, { pendingTotpSecret: totp.generateSecret() });
+        await db.save();
+        res.json({
+            success: true,
+            secret: req.user.pendingTotpSecret,
+            otpauthUrl: totp.otpauthUrl({ secret: req.user.pendingTotpSecret, account: req.user.username, issuer: 'Halloween Map' })
+        });
+    });
+
+    // API endpoint to turn two-factor sign-in on with a code from the app.
+    // Returns the recovery codes, which are never shown again.
+    app.post('/api/two-factor/enable', requireRole('viewer'), authLimiter, async (req, res) => {
+        const secret = req.user.pendingTotpSecret;
+        if (!secret) {
+            return res.status(400).json({ success: false, message: 'Start two-factor setup first.' });
+        }
+        const counter = totp.verifyCode(secret, req.body.code);
+        if (counter === null) {
+            return res.status(400).json({ success: false, message: 'That code is not right. Check the time on your phone and try again.' });
+        }
+
+        const recoveryCodes = totp.createRecoveryCodes();
+        db.users.update(req.user.id, {
+            totpSecret: secret,
+            totpLastCounter: counter,
+            recoveryCodeHashes: recoveryCodes.map(code => tokens.hashToken(code)),
+            pendingTotpSecret: null
+        });
+        await db.save();
+        res.json({ success: true, message: 'Two-factor sign-in is on.', recoveryCodes });
+    });
+
+    // API endpoint to turn two-factor sign-in off. Needs the account password.
+    app.post('/api/two-factor/disable', requireRole('viewer'), authLimiter, async (req, res) => {
+        const isPasswordCorrect = await bcrypt.compare(String(req.body.password || ''), req.user.passwordHash);
+        if (!isPasswordCorrect) {
+            return res.status(401).json({ success: false, message: 'Incorrect password.' });
+        }
+        db.users.change(req.user.id, users.clearTwoFactor);
+        await db.save();
+        res.json({ success: true, message: 'Two-factor sign-in is off.' });
+    });
+
+    // API endpoint to list all admin accounts
+    app.get('/api/users', requireRole('owner'), (req, res) => {
+        res.json(db.data.users.map(users.publicUser));
+    });
+
+    // API endpoint to invite a new admin. Returns a one-time link for them to set a password.
+    app.post('/api/users', requireRole('owner'), async (req, res) => {
+        const { username, role = 'editor' } = req.body;
+        const error = users.validateUsername(username) || users.validateRole(role);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (users.findUserByUsername(db.data, username)) {
+            return res.status(409).json({ success: false, message: 'That username is already taken.' });
+        }
+
+        const { user, token } = users.createInvitedUser({ username, role, invitedBy: req.user.id });
+        db.users.add(user);
+        await db.save();
+        res.status(201).json({
+            success: true,
+            message: `Invited ${user.username}. Send them the link below; it expires in 7 days.`,
+            user: users.publicUser(user),
+            inviteUrl: `/accept-invite.html?token=${encodeURIComponent(token)}`
+        });
+    });
+
+    // API endpoint to change an admin's role, disable/enable them, unlock them
+    // after failed sign-ins ({ unlock: true }) or turn off their two-factor
+    // sign-in when they've lost their phone ({ resetTwoFactor: true })
+    app.patch('/api/users/:id', requireRole('owner'), async (req, res) => {
+        const user = db.data.users.find(u => u.id === req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const { role, disabled, unlock, resetTwoFactor } = req.body;
+        if (role !== undefined) {
+            const error = users.validateRole(role);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+        }
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'disabled must be true or false.' });
+        }
+
+        // Check the owners as they would be before changing anything
+        const after = { ...user, role: role ?? user.role, disabled: disabled ?? user.disabled };
+        if (users.activeOwners({ users: db.data.users.map(u => (u === user ? after : u)) }).length === 0) {
+            return res.status(409).json({ success: false, message: 'There must always be at least one active owner.' });
+        }
+
+        db.users.change(user.id, () => {
+            if (role !== undefined) user.role = role;
+            if (disabled !== undefined) user.disabled = disabled;
+            if (unlock === true) users.clearFailedSignIns(user);
+            if (resetTwoFactor === true) users.clearTwoFactor(user);
+        });
+        await db.save();
+        res.json({ success: true, message: 'User updated successfully.', user: users.publicUser(user) });
+    });
+
+    // API endpoint to delete an admin account
+    app.delete('/api/users/:id', requireRole('owner'), async (req, res) => {
+        const user = db.data.users.find(u => u.id === req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        if (user === req.user) {
+            return res.status(409).json({ success: false, message: 'You cannot delete your own account.' });
+        }
+
+        if (users.activeOwners({ users: db.data.users.filter(u => u !== user) }).length === 0) {
+            return res.status(409).json({ success: false, message: 'There must always be at least one active owner.' });
+        }
+
+        db.users.remove(user.id);
+        await db.save();
+        res.json({ success: true, message: 'User deleted successfully.' });
+    });
+
+    // Route for an invited admin to choose their password
+    app.post('/accept-invite', authLimiter, async (req, res) => {
+        const { token, password } = req.body;
+        const user = users.findUserByInviteToken(db.data, token);
+        if (!user) {
+            return res.status(400).send('This invite link is invalid or has expired. Ask an owner for a new one.');
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            return res.status(400).send(`Password must be at least 8 characters long. <a href="/accept-invite.html?token=${encodeURIComponent(token)}">Try again</a>`);
+        }
+
+        const saltRounds = 10;
+        const passwordHash = await bcrypt.hash(password, saltRounds);
+        db.users.update(user.id, { passwordHash, inviteTokenHash: null, inviteExpiresAt: null });
+        await db.save();
+        res.redirect('/signin.html');
+    });
+
+    return app;
+}
+
+// Open a town's storage and start its app (HOSTING=multi). The town's data,
+// sessions, backups and logo are in its own folder; see lib/tenants. Resolves
+// to { config, db, app, backups, notifier }.
+async function openTenant(baseConfig, tenant, provider) {
+    const config = tenants.tenantConfig(baseConfig, tenant);
+    await fs.promises.mkdir(config.brandingDir, { recursive: true });
+    // A new town starts with an empty event for this year
+    const db = await createStorage({
+        ...config.storage,
+        defaultData: { events: [events.createEvent({ year: new Date().getFullYear() }, tenant.town.suburb)], users: [] }
+    });
+    await migrateData(db, config);
+
+    const geocoder = createGeocoder({ db, provider, townSuffix: config.townSuffix });
+    const backups = createBackupManager({ db, ...config.backups });
+    const notifier = createAppNotifier(db, config);
+    if (tenant.status === 'active') {
+        backups.start();
+        notifier.start();
+    }
+    const app = createApp({ db, geocoder, config, backups, notifier });
+    return { config, db, app, backups, notifier };
+}
+
+// The server for several towns (HOSTING=multi). A request to a town's
+// subdomain goes to that town's own app; PUBLIC_URL itself is the
+// super-admin's page for creating towns, branding them and suspending them.
+// `registry` is from lib/tenants. Every town shares one geocoding `provider`,
+// so together they keep to Nominatim's limit of one lookup a second.
+function createHostingApp({
+    config,
+    registry,
+    provider = createProvider({ ...config.geocoder, townSuffix: config.townSuffix })
+}) {
+    const app = express();
+    app.set('trust proxy', 1);
+
+    const baseHost = new URL(config.publicUrl).hostname;
+    const opened = new Map(); // slug -> promise of the town's open app
+
+    const openedTenant = (tenant) => {
+        if (!opened.has(tenant.slug)) {
+            const opening = openTenant(config, tenant, provider);
+            opening.catch(() => opened.delete(tenant.slug)); // Try again on the next request
+            opened.set(tenant.slug, opening);
+        }
+        return opened.get(tenant.slug);
+    };
+
+    // Open the active towns straight away, so their reminders and backups run
+    // without waiting for someone to visit
+    registry.list().filter(tenant => tenant.status === 'active').forEach((tenant) => {
+        openedTenant(tenant).catch(err => console.error(`Could not open ${tenant.slug}:`, err));
+    });
+
+    // --- Towns ---
+
+    // "ganmain.example.org" goes to the ganmain town's app. It's called without
+    // `next`, so nothing a town's app doesn't handle falls through to the
+    // super-admin's routes below.
+    app.use(async (req, res, next) => {
+        if (req.hostname === baseHost) return next();
+
+        const slug = req.hostname.endsWith(`.${baseHost}`) ? req.hostname.slice(0, -baseHost.length - 1) : null;
+        const tenant = slug && registry.find(slug);
+        if (!tenant) {
+            return res.status(404).send('There is no town at this address.');
+        }
+        if (tenant.status !== 'active') {
+            const message = 'This town\'s map has been switched off for now.';
+            return req.path.startsWith('/api/')
+                ? res.status(503).json({ success: false, message })
+                : res.status(503).send(message);
+        }
+        const { app: tenantApp } = await openedTenant(tenant);
+        tenantApp(req, res);
+    });
+
+    // --- Security Middleware Setup ---
+    // The same protections as a town's app (see createApp)
+
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: CSP_DIRECTIVES,
+        },
+    }));
+    app.use(express.json({ limit: '10kb' }));
+    app.use(session({
+        name: 'superadmin.sid',
+        secret: config.sessionSecret,
+        store: config.session.store === 'sqlite'
+            ? createSqliteSessionStore(session, { file: path.join(config.hosting.dir, 'sessions.sqlite') })
+            : undefined,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            secure: config.nodeEnv === 'production',
+            httpOnly: true,
+            sameSite: 'strict',
+            maxAge: 1000 * 60 * 60 // 1 hour
+        }
+    }));
+    app.use(csrfProtection({ formPaths: ['/api/hosting/signin'] }));
+
+    app.get('/api/csrf-token', (req, res) => {
+        res.json({ csrfToken: csrfToken(req) });
+    });
+
+    const authLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10,
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: { success: false, message: 'Too many sign-in attempts from this IP, please try again after 15 minutes' }
+    });
+
+    // --- Super-admin ---
+
+    const requireSuperadmin = (req, res, next) => {
+        if (req.session.userId === config.hosting.superadminUsername) return next();
+        res.status(401).json({ success: false, message: 'Unauthorized. Please sign in.' });
+    };
+
+    // A town as the super-admin page shows it
+    const tenantSummary = tenant => ({ ...tenant, url: tenants.tenantUrl(config.publicUrl, tenant.slug) });
+
+    // A week-long invite for a new owner of `tenant`, created in the town's own data
+    const inviteOwner = async (tenant, username) => {
+        const { db, config: townConfig } = await openedTenant(tenant);
+        const { user, token } = users.createInvitedUser({ username, role: 'owner', invitedBy: null });
+        db.users.add(user);
+        await db.save();
+        return new URL(`/accept-invite.html?token=${encodeURIComponent(token)}`, townConfig.publicUrl).toString();
+    };
+
+    const loadTenant = (req, res, next) => {
+        req.tenant = registry.find(req.params.slug);
+        if (!req.tenant) {
+            return res.status(404).json({ success: false, message: 'Town not found.' });
+        }
+        next();
+    };
+
+    app.post('/api/hosting/signin', authLimiter, async (req, res) => {
+        const { username, password } = req.body || {};
+        const matches = username === config.hosting.superadminUsername && typeof password === 'string' &&
+            await bcrypt.compare(password, config.hosting.superadminPasswordHash);
+        if (!matches) {
+            return res.status(401).json({ success: false, message: 'Invalid username or password.' });
+        }
+        req.session.regenerate((err) => {
+            if (err) {
+                return res.status(500).json({ success: false, message: 'Could not sign in.' });
+            }
+            req.session.userId = config.hosting.superadminUsername;
+            res.json({ success: true, message: 'Signed in.' });
+        });
+    });
+
+    app.post('/api/hosting/signout', (req, res) => {
+        req.session.destroy(() => {
+            res.clearCookie('superadmin.sid');
+            res.json({ success: true, message: 'Signed out.' });
+        });
+    });
+
+    // The signed-in super-admin, and the states a new town can be in
+    app.get('/api/hosting/me', requireSuperadmin, (req, res) => {
+        res.json({ username: req.session.userId, states: addressParts.STATES });
+    });
+
+    app.get('/api/tenants', requireSuperadmin, (req, res) => {
+        res.json(registry.list().map(tenantSummary));
+    });
+
+    // Create a town and an invite for its first owner, who sets up the rest
+    app.post('/api/tenants', requireSuperadmin, async (req, res) => {
+        const body = req.body || {};
+        const { error, value } = tenants.validateTenant(body);
+        const usernameError = users.validateUsername(body.ownerUsername);
+        if (error || usernameError) {
+            return res.status(400).json({ success: false, message: error || usernameError });
+        }
+        const tenant = await registry.create(value);
+        if (!tenant) {
+            return res.status(409).json({ success: false, message: `There is already a town called "${value.slug}".` });
+        }
+        const inviteUrl = await inviteOwner(tenant, body.ownerUsername);
+        res.status(201).json({ success: true, message: 'Town created.', tenant: tenantSummary(tenant), inviteUrl });
+    });
+
+    // A new owner invite, for when a town's owners have lost access
+    app.post('/api/tenants/:slug/invites', requireSuperadmin, loadTenant, async (req, res) => {
+        const { username } = req.body || {};
+        const usernameError = users.validateUsername(username);
+        if (usernameError) {
+            return res.status(400).json({ success: false, message: usernameError });
+        }
+        const { db } = await openedTenant(req.tenant);
+        if (db.data.users.some(user => user.username === username.trim().toLowerCase())) {
+            return res.status(409).json({ success: false, message: 'That username is already taken in this town.' });
+        }
+        const inviteUrl = await inviteOwner(req.tenant, username);
+        res.status(201).json({ success: true, message: 'Invite created.', inviteUrl });
+    });
+
+    // Change a town's branding, or suspend or restore it. A suspended town's
+    // pages and API answer 503 and it sends no reminders; its data is kept.
+    app.patch('/api/tenants/:slug', requireSuperadmin, loadTenant, async (req, res) => {
+        const { status, ...branding } = req.body || {};
+        if (status !== undefined && !tenants.STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${tenants.STATUSES.join(', ')}.` });
+        }
+        const { error, value } = tenants.validateBranding(branding);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (status && status !== req.tenant.status) {
+            const { backups, notifier } = await openedTenant(req.tenant);
+            if (status === 'active') {
+                backups.start();
+                notifier.start();
+            } else {
+                backups.stop();
+                notifier.stop();
+            }
+        }
+        await registry.update(req.tenant, { status, branding: value });
+        res.json({ success: true, message: 'Town updated.', tenant: tenantSummary(req.tenant) });
+    });
+
+    // Replace a town's logo with the image in the request body
+    app.put('/api/tenants/:slug/logo', requireSuperadmin, loadTenant,
+        express.raw({ type: Object.keys(tenants.LOGO_TYPES), limit: tenants.MAX_LOGO_BYTES }), async (req, res) => {
+            const extension = tenants.LOGO_TYPES[req.get('Content-Type')];
+            if (!extension || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({ success: false, message: 'Send a PNG, JPEG or WebP image.' });
+            }
+            const dir = tenants.tenantDir(config, req.tenant.slug);
+            const logoFile = `logo.${extension}`;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(path.join(dir, logoFile), req.body);
+            await registry.update(req.tenant, { branding: { logoFile } });
+            res.json({ success: true, message: 'Logo updated.', tenant: tenantSummary(req.tenant) });
+        });
+
+    app.delete('/api/tenants/:slug/logo', requireSuperadmin, loadTenant, async (req, res) => {
+        await registry.update(req.tenant, { branding: { logoFile: null } });
+        res.json({ success: true, message: 'Logo removed.', tenant: tenantSummary(req.tenant) });
+    });
+
+    // The super-admin page and the files it uses
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'superadmin.html'));
+    });
+    app.use('/css', express.static(path.join(__dirname, 'public', 'css')));
+    app.use('/images', express.static(path.join(__dirname, 'public', 'images')));
+    app.get('/js/superadmin.js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'js', 'superadmin.js'));
+    });
+
+    return app;
+}
+
+async function startServer() {
+    // Stop straight away with a clear message if a setting is missing or wrong
+    let config;
+    try {
+        config = loadConfig(process.env);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    if (config.hosting.mode === 'multi') {
+        await fs.promises.mkdir(config.hosting.dir, { recursive: true });
+        const registry = tenants.createTenantRegistry(await createStorage({
+            driver: 'lowdb',
+            file: path.join(config.hosting.dir, 'tenants.json'),
+            defaultData: { tenants: [] }
+        }));
+        createHostingApp({ config, registry }).listen(config.port, () => {
+            console.log(`Hosting ${registry.list().length} towns on ${config.publicUrl} (port ${config.port})`);
+        });
+        return;
+    }
+
+    // Open the configured storage (db.json by default). If it doesn't exist or
+    // is empty, start from the default data and write it.
+    const db = await createStorage({
+        ...config.storage,
+        defaultData: { events: [], adminPassword: "password123" }
+    });
+    await migrateData(db, config);
+
+    // --- Geocoding ---
+    const geocoder = createGeocoder({
+        db,
+        provider: createProvider({ ...config.geocoder, townSuffix: config.townSuffix }),
+        townSuffix: config.townSuffix
+    });
+
+    // --- Backups ---
+    const backups = createBackupManager({ db, ...config.backups });
+    backups.start();
+
+    // --- Notifications ---
+    const notifier = createAppNotifier(db, config);
+    notifier.start();
+
+    const app = createApp({ db, geocoder, config, backups, notifier });
+
+    // Start the server
+    app.listen(config.port, () => {
+        console.log(`Server is running on http://localhost:${config.port}`);
+    });
+}
+
+// Start when run directly (npm start); tests require the app factory instead
+if (require.main === module) {
+    startServer();
 }
 
-startServer();
+module.exports = {
+    createApp,
+    createHostingApp,
+    migrateData,
+    startServer
+};
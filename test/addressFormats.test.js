@@ -0,0 +1,40 @@
+// test/addressFormats.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { readCsv, EXPORT_FORMATS } = require('../lib/addressFormats');
+const { createTestApp, signIn } = require('./helpers');
+
+describe('address formats', () => {
+    test('writes CSV text that a spreadsheet won\'t run as a formula', () => {
+        const csv = EXPORT_FORMATS.csv.write([
+            { text: '=HYPERLINK("http://evil.example","Click")', instructions: '+1 knock', lat: -34.35, lon: 146.9 },
+            { text: '@SUM(A1)', instructions: '-side gate' }
+        ]);
+        const [, first, second] = csv.split('\r\n');
+
+        assert.strictEqual(first, `"'=HYPERLINK(""http://evil.example"",""Click"")",'+1 knock,-34.35,146.9,`);
+        assert.strictEqual(second, "'@SUM(A1),'-side gate,,,");
+        assert.deepStrictEqual(readCsv(csv).map(row => row.instructions), ['+1 knock', '-side gate']);
+    });
+
+    test('imports a CSV or GeoJSON file, and nothing else', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const sendImport = (type, body) => agent.post('/api/addresses/import')
+            .set('X-CSRF-Token', csrfToken)
+            .type(type)
+            .send(body);
+        const csv = 'text,instructions,lat,lon\r\n12 Test Street,,-34.35,146.9\r\n';
+
+        const preview = await sendImport('text/csv', csv);
+        assert.strictEqual(preview.status, 200);
+        assert.deepStrictEqual(preview.body.summary, { add: 1, update: 0, unchanged: 0, duplicate: 0, error: 0 });
+
+        const geojson = await sendImport('application/geo+json', JSON.stringify({ type: 'FeatureCollection', features: [] }));
+        assert.strictEqual(geojson.status, 200);
+
+        const plain = await sendImport('text/plain', csv);
+        assert.strictEqual(plain.status, 415);
+        assert.strictEqual((await sendImport('application/json', '{}')).status, 415);
+    });
+});
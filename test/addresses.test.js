@@ -0,0 +1,212 @@
+// test/addresses.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const request = require('supertest');
+const { createTestApp, signIn } = require('./helpers');
+
+const TEST_STREET = '12 Test Street';
+const TEST_ADDRESS = '12 Test Street Ardlethan NSW 2665'; // As saved, with the town
+
+// Run the admin page's bulk location editor (public/js/admin.js) on `checks`
+// with stand-ins for Leaflet and the page. Returns what it gave Leaflet to
+// show in tooltips and popups.
+const renderChecksView = (checks, currentAddresses) => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'admin.js'), 'utf8');
+    const start = source.indexOf('const CHECK_LABELS = {');
+    const end = source.indexOf('\n};\n', source.indexOf('const renderChecks = ')) + 4;
+
+    const shown = [];
+    const element = () => ({
+        children: [],
+        classList: { add: () => {} },
+        append(...nodes) { this.children.push(...nodes); },
+        appendChild(node) { this.children.push(node); }
+    });
+    const layer = () => {
+        const self = {
+            addTo: () => self,
+            on: () => self,
+            bindTooltip: (content) => { shown.push(content); return self; },
+            bindPopup: (content) => { shown.push(content); return self; }
+        };
+        return self;
+    };
+    const context = vm.createContext({
+        L: { map: () => ({ fitBounds: () => {}, removeLayer: () => {} }), tileLayer: layer, layerGroup: layer, latLngBounds: () => ({}), rectangle: layer, circleMarker: layer, marker: layer },
+        document: { createElement: element, getElementById: element },
+        checks,
+        currentAddresses,
+        currentUser: { role: 'editor' },
+        townCentre: { lat: -34.353, lon: 146.901 },
+        movedLocations: new Map(),
+        checksMap: null,
+        checksLayer: null
+    });
+    vm.runInContext(`${source.slice(start, end)}\nrenderChecks(checks);`, context);
+    return shown;
+};
+
+describe('addresses', () => {
+    test('lists the migrated addresses publicly', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).get('/api/addresses');
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.length, 2);
+        assert.ok(response.body.every(address => address.id && address.version === 1));
+    });
+
+    test('needs an editor to add an address', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).post('/api/addresses').send({ text: TEST_STREET });
+
+        assert.strictEqual(response.status, 401);
+    });
+
+    test('needs the CSRF token from a signed-in session', async () => {
+        const { app } = await createTestApp();
+        const { agent } = await signIn(app);
+        const response = await agent.post('/api/addresses').send({ text: TEST_STREET });
+
+        assert.strictEqual(response.status, 403);
+    });
+
+    test('saves a new address and geocodes it in the background', async () => {
+        const { app, geocoder, provider } = await createTestApp({ geocodeResults: { [TEST_ADDRESS]: { lat: -34.356, lon: 146.903 } } });
+        const { agent, csrfToken } = await signIn(app);
+
+        const response = await agent.post('/api/addresses')
+            .set('X-CSRF-Token', csrfToken)
+            .send({ text: TEST_STREET, instructions: 'Side gate' });
+        assert.strictEqual(response.status, 201);
+        assert.strictEqual(response.body.address.text, TEST_ADDRESS);
+        assert.strictEqual(response.body.address.version, 1);
+
+        await geocoder.idle();
+        assert.deepStrictEqual(provider.calls, [TEST_ADDRESS]);
+        const saved = await request(app).get(`/api/addresses/${response.body.address.id}`);
+        assert.strictEqual(saved.body.lat, -34.356);
+        assert.strictEqual(saved.body.instructions, 'Side gate');
+    });
+
+    test('updates an address only at the current version', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const [address] = (await request(app).get('/api/addresses')).body;
+        const update = body => agent.patch(`/api/addresses/${address.id}`).set('X-CSRF-Token', csrfToken).send(body);
+
+        assert.strictEqual((await update({ instructions: 'Knock loudly' })).status, 428);
+        assert.strictEqual((await update({ instructions: 'Knock loudly', version: 7 })).status, 409);
+
+        const response = await update({ instructions: 'Knock loudly', version: address.version });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.address.instructions, 'Knock loudly');
+        assert.strictEqual(response.body.address.version, address.version + 1);
+    });
+
+    test('stores addresses in parts, tidied, and refuses a second copy of a house', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const [migrated] = (await request(app).get('/api/addresses')).body;
+        assert.strictEqual(migrated.text, '4 Fisher Street Ardlethan NSW 2665');
+
+        const add = body => agent.post('/api/addresses').set('X-CSRF-Token', csrfToken).send(body);
+        const response = await add({ number: '7a', street: 'warri  st', suburb: 'ganmain', state: 'nsw', postcode: '2702' });
+        assert.strictEqual(response.status, 201);
+        assert.deepStrictEqual(
+            ['number', 'street', 'suburb', 'state', 'postcode', 'text'].map(part => response.body.address[part]),
+            ['7A', 'Warri Street', 'Ganmain', 'NSW', '2702', '7A Warri Street Ganmain NSW 2702']
+        );
+
+        const duplicate = await add({ text: '4 fisher street ardlethan nsw 2665 ardlethan nsw 2665' });
+        assert.strictEqual(duplicate.status, 409);
+        assert.strictEqual(duplicate.body.address.id, migrated.id);
+
+        const streets = await agent.get('/api/streets');
+        assert.deepStrictEqual(streets.body, ['Fisher Street', 'Warri Street']);
+    });
+
+    test('flags houses sharing a spot or outside the town, and moves them in one save', async () => {
+        const { app } = await createTestApp({ env: { TOWN_BOUNDS: '-34.36,146.89,-34.35,146.91' } });
+        const { agent, csrfToken } = await signIn(app);
+        const [first, second] = (await request(app).get('/api/addresses')).body;
+        await agent.patch(`/api/addresses/${second.id}`).set('X-CSRF-Token', csrfToken)
+            .send({ lat: -33.8688, lon: 151.2093, version: second.version });
+
+        const checks = (await agent.get('/api/addresses/checks')).body;
+        assert.deepStrictEqual(checks.addresses.map(address => address.flags), [['out-of-bounds']]);
+
+        const save = locations => agent.post('/api/addresses/locations').set('X-CSRF-Token', csrfToken).send({ locations });
+        const stale = await save([
+            { id: first.id, version: first.version, lat: -34.355, lon: 146.9 },
+            { id: second.id, version: second.version, lat: -34.356, lon: 146.905 }
+        ]);
+        assert.strictEqual(stale.status, 409);
+        assert.strictEqual((await request(app).get(`/api/addresses/${first.id}`)).body.version, first.version);
+
+        const saved = await save([{ id: second.id, version: second.version + 1, lat: -34.356, lon: 146.905 }]);
+        assert.strictEqual(saved.status, 200);
+        assert.strictEqual(saved.body.addresses[0].geocodePrecision, 'manual');
+        assert.deepStrictEqual((await agent.get('/api/addresses/checks')).body.addresses, []);
+    });
+
+    test('saves a full batch of moved locations in one request', async () => {
+        const { app, db } = await createTestApp();
+        const [event] = db.data.events;
+        const ids = Array.from({ length: 1000 }, (_, i) => db.addresses.add(event, { id: crypto.randomUUID(), version: 1, text: `${i + 1} Long Street` }).id);
+        const { agent, csrfToken } = await signIn(app);
+
+        // As the map sends them, with every digit of precision
+        const locations = ids.map((id, i) => ({ id, version: 1, lat: -34.35512345678901 + i / 1e6, lon: 146.90512345678901 }));
+        const response = await agent.post('/api/addresses/locations').set('X-CSRF-Token', csrfToken).send({ locations });
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.message, 'Saved 1000 locations.');
+    });
+
+    test('shows address text in the location editor as text, not markup', async () => {
+        const { app } = await createTestApp({ env: { TOWN_BOUNDS: '-34.36,146.89,-34.35,146.91' } });
+        const { agent, csrfToken } = await signIn(app);
+        const markup = '<img src=x onerror=alert(1)>';
+        const add = (text, lat, lon) => agent.post('/api/addresses').set('X-CSRF-Token', csrfToken).send({ text, lat, lon });
+        await add(`7 ${markup} Street`, -34.355, 146.9); // In town: a tooltip
+        await add(`9 ${markup} Street`, -33.8688, 151.2093); // Flagged: a popup
+
+        const checks = (await agent.get('/api/addresses/checks')).body;
+        const shown = renderChecksView(checks, (await request(app).get('/api/addresses')).body);
+
+        const withMarkup = shown.filter(content => /<img/i.test(JSON.stringify(content)));
+        assert.strictEqual(withMarkup.length, 2);
+        assert.ok(shown.every(content => typeof content !== 'string'), 'Leaflet would read a string as HTML');
+    });
+
+    test('records each change in the history', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const [address] = (await request(app).get('/api/addresses')).body;
+
+        await agent.delete(`/api/addresses/${address.id}`).set('X-CSRF-Token', csrfToken).set('If-Match', String(address.version));
+        const history = await agent.get('/api/audit?action=address');
+
+        assert.strictEqual(history.body[0].action, 'address.delete');
+        assert.strictEqual(history.body[0].actor.username, 'admin');
+    });
+
+    test('lists a restored address list with the other address changes', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const [address] = (await request(app).get('/api/addresses')).body;
+
+        await agent.delete(`/api/addresses/${address.id}`).set('X-CSRF-Token', csrfToken).set('If-Match', String(address.version));
+        const [deleted] = (await agent.get('/api/audit?action=address')).body;
+        const restored = await agent.post(`/api/audit/${deleted.id}/restore`).set('X-CSRF-Token', csrfToken);
+        assert.strictEqual(restored.status, 200);
+
+        const history = (await agent.get('/api/audit?action=address')).body;
+        assert.deepStrictEqual(history.map(entry => entry.action), ['addresses.restore', 'address.delete']);
+    });
+});
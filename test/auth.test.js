@@ -0,0 +1,105 @@
+// test/auth.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { ADMIN_PASSWORD, createTestApp, fetchCsrfToken, signIn } = require('./helpers');
+
+describe('sign-in', () => {
+    test('signs in the migrated owner account', async () => {
+        const { app } = await createTestApp();
+        const { agent, response } = await signIn(app);
+
+        assert.strictEqual(response.status, 302);
+        assert.strictEqual(response.headers.location, '/admin.html');
+        const me = await agent.get('/api/me');
+        assert.strictEqual(me.status, 200);
+        assert.strictEqual(me.body.username, 'admin');
+        assert.strictEqual(me.body.role, 'owner');
+        assert.strictEqual(me.body.passwordHash, undefined);
+    });
+
+    test('rejects a wrong password', async () => {
+        const { app } = await createTestApp();
+        const { agent, response } = await signIn(app, { password: 'not-the-password' });
+
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual((await agent.get('/api/me')).status, 401);
+    });
+
+    test('rejects a sign-in without the CSRF token', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).post('/signin')
+            .type('form')
+            .send({ username: 'admin', password: ADMIN_PASSWORD });
+
+        assert.strictEqual(response.status, 403);
+    });
+
+    test('needs the CSRF token from a signed-in admin, whatever other token comes along', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const add = headers => agent.post('/api/addresses').set(headers).send({ text: '12 Test Street' });
+
+        assert.strictEqual((await add({ 'X-Registration-Token': 'anything' })).status, 403);
+        assert.strictEqual((await add({ 'X-Status-Token': 'anything', 'X-CSRF-Token': 'not-the-token' })).status, 403);
+        assert.strictEqual((await add({ 'X-Status-Token': 'anything', 'X-CSRF-Token': csrfToken })).status, 201);
+    });
+
+    test('locks the account after five wrong passwords, answering as for an unknown username', async () => {
+        const { app } = await createTestApp();
+        for (let i = 0; i < 5; i++) {
+            await signIn(app, { password: 'not-the-password' });
+        }
+        const { agent, response } = await signIn(app);
+        const unknown = await signIn(app, { username: 'nobody' });
+
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.text, unknown.response.text);
+        assert.strictEqual((await agent.get('/api/me')).status, 401);
+    });
+
+    test('rate limits sign-in attempts from one address', async () => {
+        const { app } = await createTestApp();
+        const agent = request.agent(app);
+        const csrfToken = await fetchCsrfToken(agent);
+        const attempt = () => agent.post('/signin').type('form').send({ username: 'nobody', password: 'x', _csrf: csrfToken });
+
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual((await attempt()).status, 401);
+        }
+        assert.strictEqual((await attempt()).status, 429);
+    });
+});
+
+describe('password change', () => {
+    const changePassword = ({ agent, csrfToken }, body) => agent.post('/api/change-password')
+        .set('X-CSRF-Token', csrfToken)
+        .send(body);
+
+    test('needs the current password', async () => {
+        const { app } = await createTestApp();
+        const session = await signIn(app);
+        const response = await changePassword(session, { currentPassword: 'wrong-password', newPassword: 'a-new-password' });
+
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.success, false);
+    });
+
+    test('rejects short passwords', async () => {
+        const { app } = await createTestApp();
+        const session = await signIn(app);
+        const response = await changePassword(session, { currentPassword: ADMIN_PASSWORD, newPassword: 'short' });
+
+        assert.strictEqual(response.status, 400);
+    });
+
+    test('replaces the password used to sign in', async () => {
+        const { app } = await createTestApp();
+        const session = await signIn(app);
+        const response = await changePassword(session, { currentPassword: ADMIN_PASSWORD, newPassword: 'a-new-password' });
+        assert.strictEqual(response.status, 200);
+
+        assert.strictEqual((await signIn(app)).response.status, 401);
+        assert.strictEqual((await signIn(app, { password: 'a-new-password' })).response.status, 302);
+    });
+});
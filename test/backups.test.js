@@ -0,0 +1,59 @@
+// test/backups.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { expiredBackups } = require('../lib/backups');
+const { createTestApp, signIn, tempDir } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('backups', () => {
+    test('keeps one backup an hour for a day and one a day after that', () => {
+        const now = Date.parse('2026-10-31T12:00:00.000Z');
+        // Every half hour for three days, newest first
+        const backups = Array.from({ length: 144 }, (_, i) => ({
+            id: `backup-${i}`,
+            createdAt: new Date(now - i * HOUR_MS / 2),
+            reason: 'scheduled'
+        }));
+        backups.push({ id: 'manual', createdAt: new Date(now - 100 * HOUR_MS), reason: 'manual' });
+
+        const expired = new Set(expiredBackups(backups, { keepHourlyHours: 24, keepDailyDays: 2 }, now).map(b => b.id));
+        const kept = backups.filter(backup => !expired.has(backup.id));
+
+        assert.ok(!expired.has('manual'));
+        assert.ok(!expired.has('backup-0'));
+        // 25 hours touched in the last day, plus the newest from each older day
+        assert.strictEqual(kept.filter(backup => backup.reason === 'scheduled').length, 25 + 1);
+    });
+
+    test('previews and restores a backup, saving the current data first', async () => {
+        const { app, db } = await createTestApp({ env: { BACKUP_DIR: tempDir('backups') } });
+        const { agent, csrfToken } = await signIn(app);
+
+        const created = await agent.post('/api/backups').set('X-CSRF-Token', csrfToken);
+        assert.strictEqual(created.status, 201);
+        const { id } = created.body.backup;
+
+        const [address] = db.data.events[0].addresses;
+        await agent.delete(`/api/addresses/${address.id}`).set('X-CSRF-Token', csrfToken).set('If-Match', String(address.version));
+
+        const preview = await agent.get(`/api/backups/${id}/preview`);
+        assert.deepStrictEqual(preview.body.events[0].addresses.restored, [address.text]);
+
+        const restored = await agent.post(`/api/backups/${id}/restore`).set('X-CSRF-Token', csrfToken);
+        assert.strictEqual(restored.status, 200);
+        assert.strictEqual(db.data.events[0].addresses.length, 2);
+        assert.strictEqual(db.data.audit.at(-1).action, 'backup.restore');
+
+        const list = (await agent.get('/api/backups')).body;
+        assert.deepStrictEqual(list.map(backup => backup.reason).sort(), ['manual', 'pre-restore']);
+    });
+
+    test('rejects names outside the backups directory', async () => {
+        const { app } = await createTestApp({ env: { BACKUP_DIR: tempDir('backups') } });
+        const { agent } = await signIn(app);
+        const response = await agent.get(`/api/backups/${encodeURIComponent('../db.json')}`);
+
+        assert.strictEqual(response.status, 404);
+    });
+});
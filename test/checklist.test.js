@@ -0,0 +1,46 @@
+// test/checklist.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const request = require('supertest');
+const { createTestApp, signIn } = require('./helpers');
+
+// Load the public map's checklist script as the browser gets it, on a page at `href`
+const loadChecklistScript = async (app, href = 'https://halloween.example/?event=2025') => {
+    const response = await request(app).get('/js/checklist.js');
+    assert.strictEqual(response.status, 200);
+    const context = vm.createContext({ URL, URLSearchParams, btoa, atob, window: { location: new URL(href) } });
+    vm.runInContext(`${response.text}\nthis.checklist = { checklistShareUrl, decodeChecklist, sharedChecklistCode };`, context);
+    return context.checklist;
+};
+
+describe('visitor checklist', () => {
+    test('shares a checklist as a link that opens with the same houses ticked', async () => {
+        const { app } = await createTestApp();
+        const [first, second] = (await request(app).get('/api/addresses')).body;
+        const ids = [first.id, second.id];
+        const sender = await loadChecklistScript(app);
+
+        const url = sender.checklistShareUrl({ visited: new Set([first.id]), favourite: new Set([second.id]) }, ids);
+        assert.match(url, /^https:\/\/halloween\.example\/\?event=2025#trip=2\./);
+
+        const receiver = await loadChecklistScript(app, url);
+        const shared = receiver.decodeChecklist(receiver.sharedChecklistCode(), ids);
+        assert.deepStrictEqual([...shared.visited], [first.id]);
+        assert.deepStrictEqual([...shared.favourite], [second.id]);
+    });
+
+    test('ignores a link made for a different set of houses', async () => {
+        const { app } = await createTestApp();
+        const before = (await request(app).get('/api/addresses')).body.map(address => address.id);
+        const { checklistShareUrl, decodeChecklist } = await loadChecklistScript(app);
+        const code = new URL(checklistShareUrl({ visited: new Set(before), favourite: new Set() }, before)).hash.split('=')[1];
+
+        const { agent, csrfToken } = await signIn(app);
+        await agent.post('/api/addresses').set('X-CSRF-Token', csrfToken).send({ text: '12 Test Street' });
+        const after = (await request(app).get('/api/addresses')).body.map(address => address.id);
+
+        assert.strictEqual(decodeChecklist(code, after), null);
+        assert.strictEqual(decodeChecklist('2.not base64!', before), null);
+    });
+});
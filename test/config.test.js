@@ -0,0 +1,66 @@
+// test/config.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib/config');
+
+const validEnv = {
+    SESSION_SECRET: 'a-test-session-secret-that-is-long-enough',
+    ADMIN_USERNAME: 'admin'
+};
+
+describe('config', () => {
+    test('fills in defaults', () => {
+        const config = loadConfig(validEnv);
+
+        assert.strictEqual(config.port, 3000);
+        assert.strictEqual(config.walkingSpeedKmh, 4);
+        assert.strictEqual(config.geocoder.provider, 'nominatim');
+        assert.strictEqual(config.storage.driver, 'lowdb');
+        assert.strictEqual(config.session.store, 'sqlite');
+    });
+
+    test('reads and converts values', () => {
+        const config = loadConfig({ ...validEnv, PORT: '8080', WALKING_SPEED_KMH: '3.5', STORAGE_DRIVER: 'sqlite' });
+
+        assert.strictEqual(config.port, 8080);
+        assert.strictEqual(config.walkingSpeedKmh, 3.5);
+        assert.strictEqual(config.storage.driver, 'sqlite');
+    });
+
+    test('reads the town bounds', () => {
+        const config = loadConfig({ ...validEnv, TOWN_BOUNDS: '-34.37, 146.88, -34.34, 146.92' });
+
+        assert.deepStrictEqual(config.townBounds, { south: -34.37, west: 146.88, north: -34.34, east: 146.92 });
+    });
+
+    test('builds the town suffix from the town settings', () => {
+        const config = loadConfig({ ...validEnv, TOWN_NAME: 'Ganmain', TOWN_POSTCODE: '2702' });
+
+        assert.deepStrictEqual(config.town, { suburb: 'Ganmain', state: 'NSW', postcode: '2702' });
+        assert.strictEqual(config.townSuffix, 'ganmain nsw 2702');
+        assert.throws(() => loadConfig({ ...validEnv, TOWN_SUFFIX: 'ganmain nsw 2702' }), /TOWN_SUFFIX has been replaced by TOWN_NAME/);
+    });
+
+    test('lists every missing required setting', () => {
+        assert.throws(() => loadConfig({}), (err) => {
+            assert.match(err.message, /SESSION_SECRET is required/);
+            assert.match(err.message, /ADMIN_USERNAME is required/);
+            return true;
+        });
+    });
+
+    test('rejects invalid values', () => {
+        assert.throws(() => loadConfig({ ...validEnv, SESSION_SECRET: 'short' }), /SESSION_SECRET must be at least 16 characters/);
+        assert.throws(() => loadConfig({ ...validEnv, PORT: 'eighty' }), /PORT must be a whole number/);
+        assert.throws(() => loadConfig({ ...validEnv, STORAGE_DRIVER: 'postgres' }), /STORAGE_DRIVER must be one of: lowdb, sqlite, memory/);
+        assert.throws(() => loadConfig({ ...validEnv, ADMIN_USERNAME: 'no spaces allowed' }), /ADMIN_USERNAME: Username must be/);
+        assert.throws(() => loadConfig({ ...validEnv, TOWN_BOUNDS: '-34.34,146.88,-34.36' }), /TOWN_BOUNDS must be "south,west,north,east"/);
+    });
+
+    test('checks settings that depend on each other', () => {
+        assert.throws(() => loadConfig({ ...validEnv, GEOCODER_PROVIDER: 'gazetteer' }), /GEOCODER_GAZETTEER_FILE is required/);
+        assert.throws(() => loadConfig({ ...validEnv, NODE_ENV: 'production' }), /NOTIFY_TRANSPORT must be "smtp" or "webhook"/);
+        assert.doesNotThrow(() => loadConfig({ ...validEnv, NODE_ENV: 'production', NOTIFY_FILE: 'messages.jsonl' }));
+        assert.throws(() => loadConfig({ ...validEnv, NODE_ENV: 'production', NOTIFY_TRANSPORT: 'memory' }), /NOTIFY_TRANSPORT must be "smtp" or "webhook"/);
+    });
+});
@@ -0,0 +1,66 @@
+// test/events.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, signIn } = require('./helpers');
+
+describe('events', () => {
+    test('updates an open event\'s details but not its rules, and nothing once archived', async () => {
+        const { app, db } = await createTestApp();
+        const [event] = db.data.events;
+        const { agent, csrfToken } = await signIn(app);
+        const update = fields => agent.patch(`/api/events/${event.year}`).set('X-CSRF-Token', csrfToken).send(fields);
+
+        const renamed = await update({ name: 'Ardlethan Trick or Treat' });
+        assert.strictEqual(renamed.status, 200);
+        assert.strictEqual(renamed.body.event.name, 'Ardlethan Trick or Treat');
+
+        const rules = await update({ rules: 'No history for this' });
+        assert.strictEqual(rules.status, 400);
+        assert.strictEqual(event.rules, '1. Be respectful of properties and decorations.');
+
+        await agent.post(`/api/events/${event.year}/archive`).set('X-CSRF-Token', csrfToken).send({ archived: true });
+        const archived = await update({ name: 'Too late' });
+        assert.strictEqual(archived.status, 409);
+        assert.strictEqual(event.name, 'Ardlethan Trick or Treat');
+    });
+
+    test('records each copied house in the history', async () => {
+        const { app, db } = await createTestApp();
+        const [lastYear] = db.data.events;
+        const { agent, csrfToken } = await signIn(app);
+        const year = lastYear.year + 1;
+        await agent.post('/api/events').set('X-CSRF-Token', csrfToken).send({ year });
+        await agent.post(`/api/events/${year}/clone`).set('X-CSRF-Token', csrfToken).send({});
+
+        const history = (await agent.get(`/api/audit?event=${year}&action=address.create`)).body;
+        const copies = db.data.events.find(event => event.year === year).addresses;
+        assert.deepStrictEqual(history.map(entry => entry.targetId).sort(), copies.map(address => address.id).sort());
+    });
+
+    test('copies last year\'s houses without their status or links', async () => {
+        const { app, db } = await createTestApp();
+        const [lastYear] = db.data.events;
+        Object.assign(lastYear.addresses[0], {
+            status: 'closed',
+            statusUpdatedAt: new Date().toISOString(),
+            statusTokenHash: 'a-hash',
+            registrationId: 'a-registration',
+            instructions: 'Side gate'
+        });
+        const { agent, csrfToken } = await signIn(app);
+        const year = lastYear.year + 1;
+        await agent.post('/api/events').set('X-CSRF-Token', csrfToken).send({ year });
+
+        const response = await agent.post(`/api/events/${year}/clone`).set('X-CSRF-Token', csrfToken).send({});
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.added, 2);
+
+        const copy = db.data.events.find(event => event.year === year).addresses
+            .find(address => address.text === lastYear.addresses[0].text);
+        assert.notStrictEqual(copy.id, lastYear.addresses[0].id);
+        assert.strictEqual(copy.instructions, 'Side gate');
+        for (const field of ['status', 'statusUpdatedAt', 'statusTokenHash', 'registrationId']) {
+            assert.strictEqual(copy[field], undefined, `${field} was copied`);
+        }
+    });
+});
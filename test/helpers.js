@@ -0,0 +1,102 @@
+// test/helpers.js
+// Builds the app around in-memory storage, a fake geocoder and a notifier that
+// keeps its messages in memory, and signs in supertest agents the way the
+// browser does (CSRF token first).
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp, migrateData } = require('../server');
+const { createStorage } = require('../lib/storage');
+const { createGeocoder, createFakeProvider } = require('../lib/geocoder');
+const { loadConfig } = require('../lib/config');
+const { createNotifier, createTransport } = require('../lib/notifications');
+
+const ADMIN_PASSWORD = 'password123';
+
+// A fresh temp folder named `halloween-<name>-...`. They're all removed once
+// the test file has run.
+const tempDirs = [];
+const tempDir = (name) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `halloween-${name}-`));
+    tempDirs.push(dir);
+    return dir;
+};
+
+after(() => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const testConfig = (env = {}) => loadConfig({
+    SESSION_SECRET: 'a-test-session-secret-that-is-long-enough',
+    ADMIN_USERNAME: 'admin',
+    STORAGE_DRIVER: 'memory',
+    SESSION_STORE: 'memory',
+    GEOCODER_PROVIDER: 'fake',
+    NOTIFY_TRANSPORT: 'memory',
+    ...env
+});
+
+// An older single-year db.json, so every test also runs the startup migrations
+const legacyData = () => ({
+    addresses: [
+        { text: '4 fisher street ardlethan nsw 2665', lat: -34.3551, lon: 146.9012 },
+        { text: '58 warri street ardlethan nsw 2665', lat: -34.3567, lon: 146.9051 }
+    ],
+    rules: '1. Be respectful of properties and decorations.',
+    adminPassword: ADMIN_PASSWORD
+});
+
+// A fresh app. `geocodeResults` maps lookup text to { lat, lon } for the fake geocoder.
+const createTestApp = async ({ geocodeResults = {}, initialData = legacyData(), env } = {}) => {
+    const config = testConfig(env);
+    const db = await createStorage({ driver: 'memory', initialData });
+    await migrateData(db, config);
+    const provider = createFakeProvider(geocodeResults);
+    const geocoder = createGeocoder({ db, provider, townSuffix: config.townSuffix });
+    const notifier = createNotifier({
+        db,
+        transport: createTransport(config.notifications),
+        publicUrl: config.publicUrl,
+        adminEmails: config.notifications.adminEmails,
+        reminderHour: config.notifications.reminderHour,
+        timeZone: config.timeZone,
+        townName: config.town.suburb
+    });
+    return { app: createApp({ db, geocoder, config, notifier }), db, geocoder, provider, notifier, config };
+};
+
+const fetchCsrfToken = async agent => (await agent.get('/api/csrf-token')).body.csrfToken;
+
+// Sign in with a new agent. Resolves to the agent, the sign-in response and the
+// CSRF token for the signed-in session.
+const signIn = async (app, { username = 'admin', password = ADMIN_PASSWORD } = {}) => {
+    const agent = request.agent(app);
+    const csrfToken = await fetchCsrfToken(agent);
+    const response = await agent.post('/signin').type('form').send({ username, password, _csrf: csrfToken });
+    return { agent, response, csrfToken: await fetchCsrfToken(agent) };
+};
+
+// Have the owner invite an admin with `role`, accept the invite and sign them
+// in. Resolves like signIn.
+const signInWithRole = async (app, role) => {
+    const owner = await signIn(app);
+    const username = `${role}-user`;
+    const invite = await owner.agent.post('/api/users').set('X-CSRF-Token', owner.csrfToken).send({ username, role });
+    const token = new URLSearchParams(invite.body.inviteUrl.split('?')[1]).get('token');
+    const agent = request.agent(app);
+    const csrfToken = await fetchCsrfToken(agent);
+    await agent.post('/accept-invite').type('form').send({ token, password: ADMIN_PASSWORD, _csrf: csrfToken });
+    return signIn(app, { username });
+};
+
+module.exports = {
+    ADMIN_PASSWORD,
+    testConfig,
+    createTestApp,
+    fetchCsrfToken,
+    signIn,
+    signInWithRole,
+    tempDir
+};
@@ -0,0 +1,38 @@
+// test/locales.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const readLocale = code => JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, 'locales', `${code}.json`), 'utf8'));
+
+describe('translations', () => {
+    test('every language has the same strings as English', () => {
+        const english = Object.keys(readLocale('en')).sort();
+        for (const file of fs.readdirSync(path.join(PUBLIC_DIR, 'locales'))) {
+            const code = path.basename(file, '.json');
+            assert.deepStrictEqual(Object.keys(readLocale(code)).sort(), english, `${file} is missing or has extra strings`);
+        }
+    });
+
+    test('every string the public pages ask for is in English', () => {
+        const english = readLocale('en');
+        const pages = fs.readdirSync(PUBLIC_DIR).filter(file => file.endsWith('.html'));
+        for (const page of pages) {
+            const html = fs.readFileSync(path.join(PUBLIC_DIR, page), 'utf8');
+            for (const [, key] of html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)) {
+                assert.ok(key in english, `${page} uses "${key}"`);
+            }
+        }
+    });
+
+    test('serves the translation files', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).get('/locales/it.json');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body['nav.map'], 'Mappa');
+    });
+});
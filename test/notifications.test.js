@@ -0,0 +1,99 @@
+// test/notifications.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createNotifier, createMemoryTransport } = require('../lib/notifications');
+const { createStorage } = require('../lib/storage');
+const { createTestApp, signIn } = require('./helpers');
+
+const register = (app, address, email) => request(app).post('/api/registrations')
+    .send({ address, email, instructions: 'Front door' });
+
+describe('notifications', () => {
+    test('emails the resident and the organisers when a house registers', async () => {
+        const { app, notifier } = await createTestApp({ env: { NOTIFY_ADMIN_EMAILS: 'organiser@example.com' } });
+        const response = await register(app, '9 Mithul Street', 'resident@example.com');
+        await notifier.idle();
+
+        const sent = notifier.transport.sent;
+        assert.deepStrictEqual(sent.map(message => message.to), ['resident@example.com', 'organiser@example.com']);
+        assert.ok(sent[0].text.includes(`/register.html?id=${response.body.registration.id}&token=${response.body.token}`));
+        assert.match(sent[1].subject, /New registration: 9 Mithul Street/);
+    });
+
+    test('tells registered houses when the rules change', async () => {
+        const { app, notifier } = await createTestApp();
+        await register(app, '9 Mithul Street', 'resident@example.com');
+        const { agent, csrfToken } = await signIn(app);
+
+        await agent.post('/api/rules').set('X-CSRF-Token', csrfToken).send({ rules: 'New rules' });
+        await notifier.idle();
+
+        const notice = notifier.transport.sent.find(message => message.template === 'rulesChanged');
+        assert.strictEqual(notice.to, 'resident@example.com');
+        assert.match(notice.text, /\/rules\.html\?event=\d{4}/);
+    });
+
+    test('retries failed sends and shows them in the outbox', async () => {
+        const { app, notifier } = await createTestApp();
+        notifier.transport.failWith = 'Connection refused';
+        await register(app, '9 Mithul Street', 'resident@example.com');
+        await notifier.idle();
+
+        const { agent } = await signIn(app);
+        const [message] = (await agent.get('/api/notifications/outbox')).body;
+        assert.strictEqual(message.status, 'pending');
+        assert.strictEqual(message.attempts, 1);
+        assert.strictEqual(message.lastError, 'Connection refused');
+        assert.ok(Date.parse(message.nextAttemptAt) > Date.now());
+    });
+
+    test('logs a failed save after sending instead of crashing', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const db = await createStorage({ driver: 'memory', initialData: { outbox: [] } });
+        t.mock.method(db, 'save', () => Promise.reject(new Error('Disk full')));
+        const notifier = createNotifier({ db, transport: createMemoryTransport() });
+
+        notifier.queue('broadcast', ['resident@example.com'], { subject: 'Road closure', body: 'Closed from 6pm.' });
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.strictEqual(notifier.transport.sent.length, 1);
+        assert.match(logged.mock.calls[0].arguments[1].message, /Disk full/);
+    });
+
+    test('reminds approved houses once on the morning of the night, in the town\'s time zone', async () => {
+        const { app, db, notifier } = await createTestApp({ env: { TIME_ZONE: 'Australia/Sydney' } });
+        const registered = await register(app, '9 Mithul Street', 'resident@example.com');
+        const { agent, csrfToken } = await signIn(app);
+        await agent.post(`/api/registrations/${registered.body.registration.id}/approve`).set('X-CSRF-Token', csrfToken);
+
+        const [event] = db.data.events;
+        const [year, month, day] = event.date.split('-').map(Number);
+        // Sydney is 11 hours ahead on Halloween, so its morning is the evening before in UTC
+        const sydneyTime = hour => new Date(Date.UTC(year, month - 1, day, hour - 11));
+        assert.strictEqual(notifier.queueEventReminders(sydneyTime(8)), 0);
+        assert.strictEqual(notifier.queueEventReminders(sydneyTime(10)), 1);
+        assert.strictEqual(notifier.queueEventReminders(sydneyTime(11)), 0);
+        await notifier.idle();
+
+        const reminder = notifier.transport.sent.find(message => message.template === 'eventReminder');
+        assert.match(reminder.subject, /^Tonight: /);
+    });
+
+    test('broadcasts a message to every registered house', async () => {
+        const { app, notifier } = await createTestApp();
+        await register(app, '9 Mithul Street', 'one@example.com');
+        await register(app, '11 Mithul Street', 'two@example.com');
+        await notifier.idle();
+        const { agent, csrfToken } = await signIn(app);
+
+        const response = await agent.post('/api/notifications/broadcast')
+            .set('X-CSRF-Token', csrfToken)
+            .send({ subject: 'Road closure', body: 'Ariah Street is closed from 6pm.' });
+        await notifier.idle();
+
+        assert.strictEqual(response.status, 202);
+        const broadcasts = notifier.transport.sent.filter(message => message.template === 'broadcast');
+        assert.deepStrictEqual(broadcasts.map(message => message.to).sort(), ['one@example.com', 'two@example.com']);
+    });
+});
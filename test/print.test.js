@@ -0,0 +1,43 @@
+// test/print.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { numberedHouses } = require('../lib/print');
+const { createTestApp } = require('./helpers');
+
+describe('printable map', () => {
+    test('numbers houses by street, then house number', () => {
+        const houses = numberedHouses([
+            { id: 'a', text: '12 Warri Street' },
+            { id: 'b', text: '4 Fisher Street' },
+            { id: 'c', text: '2 Warri Street' }
+        ], '');
+
+        assert.deepStrictEqual(houses.map(house => [house.number, house.id]), [[1, 'b'], [2, 'c'], [3, 'a']]);
+    });
+
+    test('draws the houses, list, rules and QR code as SVG', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).get('/api/print?format=svg&size=a3').responseType('blob');
+        const svg = response.body.toString();
+
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers['content-disposition'], /-a3\.svg"$/);
+        assert.match(svg, /^<\?xml/);
+        assert.strictEqual((svg.match(/<circle /g) || []).length, 2);
+        assert.ok(svg.includes('1. 4 Fisher Street Ardlethan NSW 2665'));
+        assert.ok(svg.includes('Be respectful of properties and decorations.'));
+        assert.ok(svg.includes('http://localhost:3000/?event='));
+    });
+
+    test('renders a PDF and rejects unknown formats', async () => {
+        const { app } = await createTestApp();
+        const pdf = await request(app).get('/api/print').responseType('blob');
+        assert.strictEqual(pdf.status, 200);
+        assert.strictEqual(pdf.headers['content-type'], 'application/pdf');
+        assert.strictEqual(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+        assert.strictEqual((await request(app).get('/api/print?format=png')).status, 400);
+        assert.strictEqual((await request(app).get('/api/print?size=letter')).status, 400);
+    });
+});
@@ -0,0 +1,70 @@
+// test/publicApi.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { zonedTime } = require('../lib/ical');
+const { createTestApp } = require('./helpers');
+
+describe('public API', () => {
+    test('serves houses to any site and answers 304 while they are unchanged', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).get('/api/v1/houses');
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers['access-control-allow-origin'], '*');
+        assert.deepStrictEqual(Object.keys(response.body.houses[0]).sort(),
+            ['address', 'id', 'instructions', 'lat', 'lon', 'number', 'postcode', 'state', 'status', 'statusUpdatedAt', 'street', 'suburb', 'tags']);
+
+        const cached = await request(app).get('/api/v1/houses').set('If-None-Match', response.headers.etag);
+        assert.strictEqual(cached.status, 304);
+        const sinceModified = await request(app).get('/api/v1/houses').set('If-Modified-Since', response.headers['last-modified']);
+        assert.strictEqual(sinceModified.status, 304);
+    });
+
+    test('links the event to its map, houses and calendar', async () => {
+        const { app } = await createTestApp({ env: { PUBLIC_URL: 'https://halloween.example' } });
+        const { body } = await request(app).get('/api/v1/event');
+
+        assert.strictEqual(body.houseCount, 2);
+        assert.strictEqual(body.links.calendar, `https://halloween.example/api/v1/event.ics?event=${body.year}`);
+    });
+
+    test('gives the night as an iCalendar event in UTC', async () => {
+        const { app } = await createTestApp({ env: { PUBLIC_URL: 'https://halloween.example' } });
+        const response = await request(app).get('/api/v1/event.ics');
+        const year = new Date().getFullYear();
+
+        assert.match(response.headers['content-type'], /^text\/calendar/);
+        assert.ok(response.text.includes(`UID:event-${year}@halloween.example\r\n`));
+        assert.ok(response.text.includes(`DTSTART:${year}1031T060000Z\r\n`)); // 17:00 in Sydney daylight time
+        assert.strictEqual(zonedTime('2025-06-01', '17:00', 'Australia/Sydney').toISOString(), '2025-06-01T07:00:00.000Z');
+    });
+
+    test('lets only the configured sites frame the embed page', async () => {
+        const { app } = await createTestApp({ env: { EMBED_FRAME_ANCESTORS: 'https://school.example' } });
+        const embed = await request(app).get('/embed');
+        const api = await request(app).get('/api/v1/event');
+
+        assert.match(embed.headers['content-security-policy'], /frame-ancestors https:\/\/school\.example/);
+        assert.strictEqual(embed.headers['x-frame-options'], undefined);
+        assert.strictEqual(api.headers['x-frame-options'], 'SAMEORIGIN');
+    });
+
+    test('sends pages and vendored scripts with the security headers', async () => {
+        const { app } = await createTestApp();
+        for (const url of ['/', '/admin.html', '/js/index.js', '/vendor/leaflet/leaflet.js', '/manifest.webmanifest']) {
+            const response = await request(app).get(url);
+            assert.strictEqual(response.status, 200, url);
+            assert.match(response.headers['content-security-policy'], /script-src 'self'/, url);
+            assert.strictEqual(response.headers['x-frame-options'], 'SAMEORIGIN', url);
+        }
+    });
+
+    test('sends the embed page\'s static copy to /embed, which has the framing headers', async () => {
+        const { app } = await createTestApp({ env: { EMBED_FRAME_ANCESTORS: 'https://school.example' } });
+        const response = await request(app).get('/embed.html?event=2025');
+
+        assert.strictEqual(response.status, 301);
+        assert.strictEqual(response.headers.location, '/embed?event=2025');
+    });
+});
@@ -0,0 +1,54 @@
+// test/registrations.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, signIn } = require('./helpers');
+
+const register = app => request(app).post('/api/registrations')
+    .send({ address: '9 Mithul Street', email: 'resident@example.com', instructions: 'Side gate' });
+
+describe('registrations', () => {
+    test('puts an approved house on the map', async () => {
+        const { app } = await createTestApp();
+        const registered = await register(app);
+        assert.strictEqual(registered.status, 201);
+        assert.strictEqual(registered.body.registration.status, 'pending');
+
+        const { agent, csrfToken } = await signIn(app);
+        const pending = (await agent.get('/api/registrations?status=pending')).body;
+        assert.deepStrictEqual(pending.map(registration => registration.id), [registered.body.registration.id]);
+
+        const approved = await agent.post(`/api/registrations/${registered.body.registration.id}/approve`).set('X-CSRF-Token', csrfToken);
+        assert.strictEqual(approved.status, 200);
+        assert.strictEqual(approved.body.address.text, '9 Mithul Street Ardlethan NSW 2665');
+        assert.strictEqual(approved.body.address.instructions, 'Side gate');
+
+        const map = (await request(app).get('/api/addresses')).body;
+        assert.ok(map.some(address => address.id === approved.body.address.id));
+        const again = await agent.post(`/api/registrations/${registered.body.registration.id}/approve`).set('X-CSRF-Token', csrfToken);
+        assert.strictEqual(again.status, 409);
+    });
+
+    test('lets the resident withdraw with their token, and no one else', async () => {
+        const { app } = await createTestApp();
+        const { registration, token } = (await register(app)).body;
+        const { agent, csrfToken } = await signIn(app);
+        const { address } = (await agent.post(`/api/registrations/${registration.id}/approve`).set('X-CSRF-Token', csrfToken)).body;
+
+        const stranger = await request(app).delete(`/api/registrations/${registration.id}`).set('X-Registration-Token', 'not-the-token');
+        assert.strictEqual(stranger.status, 404);
+
+        const withdrawn = await request(app).delete(`/api/registrations/${registration.id}`).set('X-Registration-Token', token);
+        assert.strictEqual(withdrawn.status, 200);
+        assert.strictEqual((await request(app).get(`/api/addresses/${address.id}`)).status, 404);
+    });
+
+    test('needs an editor to approve, even for the resident who registered', async () => {
+        const { app } = await createTestApp();
+        const { registration, token } = (await register(app)).body;
+
+        const response = await request(app).post(`/api/registrations/${registration.id}/approve`).set('X-Registration-Token', token);
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual((await request(app).get('/api/addresses')).body.length, 2);
+    });
+});
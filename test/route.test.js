@@ -0,0 +1,47 @@
+// test/route.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { ADMIN_PASSWORD, createTestApp } = require('./helpers');
+
+// Three houses along one street, about 100m apart, and one not on the map yet
+const streetData = () => ({
+    addresses: [
+        { text: '30 fisher street ardlethan nsw 2665', lat: -34.3560, lon: 146.9030 },
+        { text: '10 fisher street ardlethan nsw 2665', lat: -34.3540, lon: 146.9030 },
+        { text: '20 fisher street ardlethan nsw 2665', lat: -34.3550, lon: 146.9030 },
+        { text: '40 fisher street ardlethan nsw 2665' }
+    ],
+    rules: '',
+    adminPassword: ADMIN_PASSWORD
+});
+
+describe('route planner', () => {
+    test('walks the houses on the map in order from the start', async () => {
+        const { app } = await createTestApp({ initialData: streetData() });
+        const response = await request(app).get('/api/route?start=-34.3535,146.9030');
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.stops.map(stop => [stop.stop, stop.text.split(' ')[0]]), [[1, '10'], [2, '20'], [3, '30']]);
+        assert.ok(response.body.totalDistance > 250 && response.body.totalDistance < 300);
+        assert.strictEqual(response.body.walkingMinutes, 4);
+    });
+
+    test('gives out only what the public map shows about each house', async () => {
+        const { app, db } = await createTestApp({ initialData: streetData() });
+        Object.assign(db.data.events[0].addresses[0], { registrationId: 'a-registration', statusTokenHash: 'a-hash' });
+        const { stops } = (await request(app).get('/api/route?start=-34.3535,146.9030')).body;
+
+        for (const stop of stops) {
+            assert.deepStrictEqual(Object.keys(stop).sort(), ['id', 'lat', 'legDistance', 'lon', 'stop', 'text']);
+        }
+    });
+
+    test('needs a start point and an event that exists', async () => {
+        const { app } = await createTestApp({ initialData: streetData() });
+
+        assert.strictEqual((await request(app).get('/api/route')).status, 400);
+        assert.strictEqual((await request(app).get('/api/route?start=91,146.9')).status, 400);
+        assert.strictEqual((await request(app).get('/api/route?start=-34.3535,146.9030&event=1999')).status, 404);
+    });
+});
@@ -0,0 +1,64 @@
+// test/rules.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, signIn } = require('./helpers');
+
+describe('rules', () => {
+    test('renders the migrated rules as Markdown', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).get('/api/rules');
+
+        assert.strictEqual(response.status, 200);
+        assert.match(response.body.html, /<ol>\s*<li>Be respectful/);
+        assert.strictEqual(response.body.summary.startTime, '17:00');
+    });
+
+    test('saves new rules and summary details', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+
+        const response = await agent.post('/api/rules')
+            .set('X-CSRF-Token', csrfToken)
+            .send({ rules: '## Safety\n\n- Carry a torch', startTime: '18:00', meetingPoint: 'Town hall' });
+        assert.strictEqual(response.status, 200);
+
+        const rules = await request(app).get('/api/rules');
+        assert.strictEqual(rules.body.rules, '## Safety\n\n- Carry a torch');
+        assert.match(rules.body.html, /<h2>Safety<\/h2>/);
+        assert.strictEqual(rules.body.summary.startTime, '18:00');
+        assert.strictEqual(rules.body.summary.meetingPoint, 'Town hall');
+
+        const history = await agent.get('/api/audit?action=rules');
+        assert.strictEqual(history.body[0].after, '## Safety\n\n- Carry a torch');
+    });
+
+    test('strips scripts and unsafe links from the rendered rules', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+
+        await agent.post('/api/rules')
+            .set('X-CSRF-Token', csrfToken)
+            .send({ rules: 'Hi <script>alert(1)</script> [click](javascript:alert(1)) <img src=x onerror=alert(1)>' });
+        const { html } = (await request(app).get('/api/rules')).body;
+
+        assert.doesNotMatch(html, /<script|javascript:|onerror|<img/);
+    });
+
+    test('rejects invalid times', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signIn(app);
+        const response = await agent.post('/api/rules')
+            .set('X-CSRF-Token', csrfToken)
+            .send({ rules: 'Rules', startTime: '25:00' });
+
+        assert.strictEqual(response.status, 400);
+    });
+
+    test('needs an editor to change the rules', async () => {
+        const { app } = await createTestApp();
+        const response = await request(app).post('/api/rules').send({ rules: 'Anything goes' });
+
+        assert.strictEqual(response.status, 401);
+    });
+});
@@ -0,0 +1,49 @@
+// test/stats.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { streetName, housesPerStreet, sharedCoordinates } = require('../lib/stats');
+const { createTestApp, signIn } = require('./helpers');
+
+describe('stats', () => {
+    test('groups houses by street without the number or town', () => {
+        assert.strictEqual(streetName('12A Park  Street Ardlethan NSW 2665', 'ardlethan nsw 2665'), 'park street');
+        assert.strictEqual(streetName('3/7 Warri Street', 'ardlethan nsw 2665'), 'warri street');
+    });
+
+    test('counts houses by their street part, even out of town', () => {
+        const perStreet = housesPerStreet([
+            { text: '5 Main Road Ganmain NSW 2702', number: '5', street: 'Main Road', suburb: 'Ganmain' },
+            { text: '9 Main Road Ardlethan NSW 2665', number: '9', street: 'Main Road', suburb: 'Ardlethan' },
+            { text: '2 warri st ardlethan nsw 2665' } // Never split into parts
+        ], 'ardlethan nsw 2665');
+
+        assert.deepStrictEqual(perStreet, [{ street: 'Main Road', count: 2 }, { street: 'Warri Street', count: 1 }]);
+    });
+
+    test('finds houses geocoded to the same spot', () => {
+        const groups = sharedCoordinates([
+            { id: 'a', text: '25 Park Street', lat: -34.3513727, lon: 146.90094 },
+            { id: 'b', text: '34 Park Street', lat: -34.3513727, lon: 146.90094 },
+            { id: 'c', text: '4 Fisher Street', lat: -34.3505745, lon: 146.9004917 },
+            { id: 'd', text: '6 Fisher Street' }
+        ]);
+
+        assert.deepStrictEqual(groups.map(group => group.addresses.map(address => address.id)), [['a', 'b']]);
+    });
+
+    test('counts anonymous public map views for the dashboard', async () => {
+        const { app } = await createTestApp();
+        await request(app).get('/api/addresses');
+        await request(app).get('/api/addresses');
+        const { agent } = await signIn(app);
+        await agent.get('/api/addresses'); // Admins aren't counted
+        await request(app).get('/api/addresses').set('X-Offline-Prefetch', '1'); // Nor the offline copy
+
+        const response = await agent.get('/api/stats');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.houses.total, 2);
+        assert.strictEqual(response.body.mapViews.reduce((sum, hour) => sum + hour.count, 0), 2);
+        assert.strictEqual(response.body.years[0].mapViews, 2);
+    });
+});
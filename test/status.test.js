@@ -0,0 +1,69 @@
+// test/status.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const request = require('supertest');
+const { createTestApp, signIn } = require('./helpers');
+
+// Have an editor create a status link for the first house. Resolves to the
+// house and the link's token.
+const createStatusLink = async (app) => {
+    const [address] = (await request(app).get('/api/addresses')).body;
+    const { agent, csrfToken } = await signIn(app);
+    const { statusUrl } = (await agent.post(`/api/addresses/${address.id}/status-link`).set('X-CSRF-Token', csrfToken)).body;
+    return { address, token: new URLSearchParams(statusUrl.split('?')[1]).get('token') };
+};
+
+// Listen to the live updates at `url` until a message of `type` arrives.
+// Resolves to its data once `act()` has run.
+const nextLiveMessage = (server, url, type, act) => new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${server.address().port}${url}`, (res) => {
+        let received = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            received += chunk;
+            if (received === 'retry: 5000\n\n') act().catch(reject);
+            const match = new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`).exec(received);
+            if (match) {
+                req.destroy();
+                resolve(JSON.parse(match[1]));
+            }
+        });
+    });
+    req.on('error', reject);
+});
+
+describe('house status', () => {
+    test('lets the status link holder set the status, and tells open maps', async (t) => {
+        const { app } = await createTestApp();
+        const { address, token } = await createStatusLink(app);
+        const server = app.listen(0);
+        t.after(() => server.close());
+
+        const message = await nextLiveMessage(server, '/api/live', 'status', async () => {
+            const response = await request(server).post(`/api/addresses/${address.id}/status`)
+                .set('X-Status-Token', token)
+                .send({ status: 'low' });
+            assert.strictEqual(response.status, 200);
+        });
+
+        assert.strictEqual(message.id, address.id);
+        assert.strictEqual(message.status, 'low');
+        const saved = (await request(app).get(`/api/addresses/${address.id}`)).body;
+        assert.strictEqual(saved.status, 'low');
+        assert.strictEqual(saved.statusTokenHash, undefined);
+    });
+
+    test('refuses a wrong token, and the old one once the link is replaced', async () => {
+        const { app } = await createTestApp();
+        const { address, token } = await createStatusLink(app);
+        const setStatus = statusToken => request(app).post(`/api/addresses/${address.id}/status`)
+            .set('X-Status-Token', statusToken)
+            .send({ status: 'closed' });
+
+        assert.strictEqual((await setStatus('not-the-token')).status, 404);
+        await createStatusLink(app);
+        assert.strictEqual((await setStatus(token)).status, 404);
+        assert.strictEqual((await request(app).get(`/api/addresses/${address.id}`)).body.status, undefined);
+    });
+});
@@ -0,0 +1,96 @@
+// test/storage.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createStorage } = require('../lib/storage');
+const { tempDir } = require('./helpers');
+
+// A fresh SQLite file for each test
+const sqliteFile = () => path.join(tempDir('storage'), 'db.sqlite');
+
+const seedData = () => ({
+    events: [{ year: 2025, name: 'Ardlethan Halloween 2025', rules: '', archived: false, addresses: [
+        { id: 'a1', version: 1, text: '4 Fisher Street' },
+        { id: 'a2', version: 1, text: '58 Warri Street' }
+    ] }],
+    registrations: [],
+    users: [{ id: 'u1', username: 'admin', role: 'owner' }],
+    audit: [{ id: 'e1', action: 'address.create', eventYear: 2025, targetId: 'a1' }],
+    geocodeCache: {},
+    outbox: []
+});
+
+// SQLite storage holding `seedData()`
+const openSeeded = async (file) => {
+    const db = await createStorage({ driver: 'sqlite', file, defaultData: seedData() });
+    await db.write();
+    return db;
+};
+
+describe('storage', () => {
+    test('saves changes made through the repositories', async () => {
+        const file = sqliteFile();
+        const db = await openSeeded(file);
+        const [event] = db.data.events;
+
+        db.addresses.add(event, { id: 'a3', version: 1, text: '7 Mithul Street', instructions: null });
+        db.addresses.update('a1', { version: 2, lat: -34.3551, lon: 146.9012 });
+        db.addresses.remove('a2');
+        db.events.update(2025, { rules: 'Be kind.' });
+        db.users.update('u1', { disabled: true });
+        db.audit.add({ id: 'e2', action: 'address.update', eventYear: 2025, targetId: 'a1' });
+        db.geocodeCache.set('7 mithul street', { lat: -34.35, lon: 146.9 });
+        db.settings.change('outbox', () => db.data.outbox.push({ id: 'm1', status: 'pending' }));
+        await db.save();
+        await db.close();
+
+        const reopened = await createStorage({ driver: 'sqlite', file });
+        assert.deepStrictEqual(reopened.data, db.data);
+        assert.deepStrictEqual(reopened.data.events[0].addresses.map(address => address.id), ['a1', 'a3']);
+        await reopened.close();
+    });
+
+    test('only writes the rows that changed', async () => {
+        const file = sqliteFile();
+        const db = await openSeeded(file);
+
+        // Change a history entry behind the app's back; saving an address mustn't overwrite it
+        const sqlite = new Database(file);
+        sqlite.prepare('UPDATE audit SET data = ? WHERE key = ?').run(JSON.stringify({ id: 'e1', action: 'edited' }), 'e1');
+        db.addresses.update('a1', { version: 2, instructions: 'Side gate' });
+        await db.save();
+        const rows = sqlite.prepare('SELECT key, data FROM audit').all();
+        const address = sqlite.prepare('SELECT data FROM addresses WHERE key = ?').get('a1');
+        sqlite.close();
+        await db.close();
+
+        assert.deepStrictEqual(rows.map(row => JSON.parse(row.data).action), ['edited']);
+        assert.strictEqual(JSON.parse(address.data).instructions, 'Side gate');
+    });
+
+    test('undoes the changes in memory when the save fails', async () => {
+        const file = sqliteFile();
+        const db = await openSeeded(file);
+        const [event] = db.data.events;
+        const [first, second] = event.addresses;
+        const before = structuredClone(db.data);
+
+        const sqlite = new Database(file);
+        sqlite.exec('DROP TABLE audit');
+        sqlite.close();
+
+        db.addresses.update('a1', { version: 2, text: '6 Fisher Street' });
+        db.addresses.remove('a2');
+        db.addresses.add(event, { id: 'a3', version: 1, text: '7 Mithul Street' });
+        db.audit.add({ id: 'e2', action: 'address.update', eventYear: 2025, targetId: 'a1' });
+        db.settings.change('outbox', () => db.data.outbox.push({ id: 'm1', status: 'pending' }));
+        await assert.rejects(db.save(), /no such table: audit/);
+
+        assert.deepStrictEqual(db.data, before);
+        // The same objects are back in place, so anything holding on to them is still current
+        assert.strictEqual(event.addresses[0], first);
+        assert.strictEqual(event.addresses[1], second);
+        await db.close();
+    });
+});
@@ -0,0 +1,165 @@
+// test/tenants.test.js
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const { createHostingApp } = require('../server');
+const { createStorage } = require('../lib/storage');
+const { createTenantRegistry, tenantConfig } = require('../lib/tenants');
+const { testConfig, tempDir } = require('./helpers');
+
+const SUPERADMIN_PASSWORD = 'a-super-password';
+let passwordHash;
+
+before(async () => {
+    passwordHash = await bcrypt.hash(SUPERADMIN_PASSWORD, 4);
+});
+
+const createTestHosting = async () => {
+    const config = testConfig({
+        HOSTING: 'multi',
+        HOSTING_DIR: tempDir('tenants'),
+        SUPERADMIN_USERNAME: 'root',
+        SUPERADMIN_PASSWORD_HASH: passwordHash,
+        BACKUP_INTERVAL_MINUTES: '0'
+    });
+    const registry = createTenantRegistry(await createStorage({ driver: 'memory' }));
+    return { app: createHostingApp({ config, registry }), registry };
+};
+
+// An agent for one host, with its CSRF token
+const agentFor = async (app, host) => {
+    const agent = request.agent(app);
+    agent.set('Host', host);
+    const csrfToken = (await agent.get('/api/csrf-token')).body.csrfToken;
+    return { agent, csrfToken };
+};
+
+const signInSuperadmin = async (app) => {
+    const { agent, csrfToken } = await agentFor(app, 'localhost');
+    await agent.post('/api/hosting/signin').set('X-CSRF-Token', csrfToken)
+        .send({ username: 'root', password: SUPERADMIN_PASSWORD });
+    return { agent, csrfToken: (await agent.get('/api/csrf-token')).body.csrfToken };
+};
+
+const createTown = (superadmin, slug, suburb) => superadmin.agent.post('/api/tenants')
+    .set('X-CSRF-Token', superadmin.csrfToken)
+    .send({ slug, suburb, state: 'NSW', postcode: '2700', bounds: '-34.99,146.30,-34.95,146.35', ownerUsername: 'owner' });
+
+// Accept the owner invite on the town's own host and sign in. Resolves to
+// the agent, its CSRF token and the session cookie.
+const signInOwner = async (app, host, inviteUrl) => {
+    const token = new URL(inviteUrl).searchParams.get('token');
+    const town = await agentFor(app, host);
+    await town.agent.post('/accept-invite').type('form').send({ token, password: 'owner-password', _csrf: town.csrfToken });
+    const { agent, csrfToken } = await agentFor(app, host);
+    const response = await agent.post('/signin').type('form')
+        .send({ username: 'owner', password: 'owner-password', _csrf: csrfToken });
+    return {
+        agent,
+        cookie: response.headers['set-cookie'],
+        csrfToken: (await agent.get('/api/csrf-token')).body.csrfToken
+    };
+};
+
+describe('tenants', () => {
+    test('only the super-admin can create towns', async () => {
+        const { app } = await createTestHosting();
+        const { agent, csrfToken } = await agentFor(app, 'localhost');
+        assert.strictEqual((await agent.get('/api/tenants')).status, 401);
+
+        const wrong = await agent.post('/api/hosting/signin').set('X-CSRF-Token', csrfToken)
+            .send({ username: 'root', password: 'not-the-password' });
+        assert.strictEqual(wrong.status, 401);
+
+        const superadmin = await signInSuperadmin(app);
+        const created = await createTown(superadmin, 'ganmain', 'Ganmain');
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.tenant.url, 'http://ganmain.localhost:3000');
+        assert.match(created.body.inviteUrl, /^http:\/\/ganmain\.localhost:3000\/accept-invite\.html\?token=/);
+        assert.strictEqual((await createTown(superadmin, 'ganmain', 'Ganmain')).status, 409);
+        assert.strictEqual((await createTown(superadmin, 'www', 'Somewhere')).status, 400);
+    });
+
+    test('keeps each town\'s houses, admins and branding to itself', async () => {
+        const { app } = await createTestHosting();
+        const superadmin = await signInSuperadmin(app);
+        const ganmain = await createTown(superadmin, 'ganmain', 'Ganmain');
+        await createTown(superadmin, 'coolamon', 'Coolamon');
+
+        const owner = await signInOwner(app, 'ganmain.localhost', ganmain.body.inviteUrl);
+        const added = await owner.agent.post('/api/addresses').set('X-CSRF-Token', owner.csrfToken)
+            .send({ number: '5', street: 'Ford Street' });
+        assert.strictEqual(added.status, 201);
+        assert.strictEqual(added.body.address.text, '5 Ford Street Ganmain NSW 2700');
+
+        const ganmainSite = await request(app).get('/api/site').set('Host', 'ganmain.localhost');
+        assert.strictEqual(ganmainSite.body.title, 'Ganmain Trick or Treat Map');
+        const coolamonHouses = await request(app).get('/api/addresses').set('Host', 'coolamon.localhost');
+        assert.deepStrictEqual(coolamonHouses.body, []);
+
+        // Ganmain's session cookie means nothing to Coolamon
+        const me = await request(app).get('/api/me').set('Host', 'coolamon.localhost').set('Cookie', owner.cookie);
+        assert.strictEqual(me.status, 401);
+        // ...nor to the super-admin's routes, which aren't on a town's host
+        const tenants = await request(app).get('/api/tenants').set('Host', 'ganmain.localhost').set('Cookie', owner.cookie);
+        assert.strictEqual(tenants.status, 404);
+    });
+
+    test('suspended and unknown towns are switched off', async () => {
+        const { app, registry } = await createTestHosting();
+        const superadmin = await signInSuperadmin(app);
+        await createTown(superadmin, 'ganmain', 'Ganmain');
+
+        const suspend = status => superadmin.agent.patch('/api/tenants/ganmain')
+            .set('X-CSRF-Token', superadmin.csrfToken).send({ status });
+        assert.strictEqual((await suspend('suspended')).status, 200);
+        assert.strictEqual(registry.find('ganmain').status, 'suspended');
+        assert.strictEqual((await request(app).get('/api/addresses').set('Host', 'ganmain.localhost')).status, 503);
+
+        assert.strictEqual((await suspend('active')).status, 200);
+        assert.strictEqual((await request(app).get('/api/addresses').set('Host', 'ganmain.localhost')).status, 200);
+        assert.strictEqual((await request(app).get('/').set('Host', 'nowhere.localhost')).status, 404);
+    });
+
+    test('branding changes show on the town\'s pages straight away', async () => {
+        const { app } = await createTestHosting();
+        const superadmin = await signInSuperadmin(app);
+        await createTown(superadmin, 'ganmain', 'Ganmain');
+
+        const patched = await superadmin.agent.patch('/api/tenants/ganmain').set('X-CSRF-Token', superadmin.csrfToken)
+            .send({ title: 'Ganmain Spooktacular', colour: '#663399' });
+        assert.strictEqual(patched.status, 200);
+        const badColour = await superadmin.agent.patch('/api/tenants/ganmain').set('X-CSRF-Token', superadmin.csrfToken)
+            .send({ colour: 'red; } body { display: none' });
+        assert.strictEqual(badColour.status, 400);
+
+        const logo = await superadmin.agent.put('/api/tenants/ganmain/logo').set('X-CSRF-Token', superadmin.csrfToken)
+            .set('Content-Type', 'image/png').send(Buffer.from('89504e470d0a1a0a', 'hex'));
+        assert.strictEqual(logo.status, 200);
+
+        const css = await request(app).get('/branding.css').set('Host', 'ganmain.localhost');
+        assert.match(css.text, /--brand-colour: #663399;/);
+        assert.match(css.text, /url\('\/branding\/logo'\)/);
+        const manifest = await request(app).get('/manifest.webmanifest').set('Host', 'ganmain.localhost');
+        assert.strictEqual(JSON.parse(manifest.text).name, 'Ganmain Spooktacular');
+        const image = await request(app).get('/branding/logo').set('Host', 'ganmain.localhost');
+        assert.strictEqual(image.status, 200);
+        assert.strictEqual(image.headers['content-type'], 'image/png');
+    });
+
+    test('leaves the server\'s own street list and gazetteer out of a town\'s config', () => {
+        const config = testConfig({
+            STREET_LIST_FILE: 'streets.txt',
+            GEOCODER_PROVIDER: 'gazetteer',
+            GEOCODER_GAZETTEER_FILE: 'gazetteer.json'
+        });
+        const town = { suburb: 'Ganmain', state: 'NSW', postcode: '2700' };
+        const tenant = tenantConfig(config, { slug: 'ganmain', town, townBounds: config.townBounds });
+
+        assert.strictEqual(tenant.streetListFile, undefined);
+        assert.strictEqual(tenant.geocoder.gazetteerFile, undefined);
+        assert.strictEqual(tenant.geocoder.provider, 'nominatim');
+        assert.strictEqual(tenant.geocoder.countryCodes, config.geocoder.countryCodes);
+    });
+});
@@ -0,0 +1,48 @@
+// test/users.test.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, signIn, signInWithRole } = require('./helpers');
+
+describe('users and roles', () => {
+    test('signs in an invited admin with the role they were given', async () => {
+        const { app } = await createTestApp();
+        const { agent, response } = await signInWithRole(app, 'editor');
+
+        assert.strictEqual(response.status, 302);
+        const me = (await agent.get('/api/me')).body;
+        assert.strictEqual(me.username, 'editor-user');
+        assert.strictEqual(me.role, 'editor');
+    });
+
+    test('lets a viewer look but not change anything', async () => {
+        const { app } = await createTestApp();
+        const { agent, csrfToken } = await signInWithRole(app, 'viewer');
+
+        assert.strictEqual((await agent.get('/api/registrations')).status, 200);
+        const add = await agent.post('/api/addresses').set('X-CSRF-Token', csrfToken).send({ text: '12 Test Street' });
+        assert.strictEqual(add.status, 403);
+        assert.match(add.body.message, /editor role/);
+    });
+
+    test('leaves managing admins to owners', async () => {
+        const { app } = await createTestApp();
+        const editor = await signInWithRole(app, 'editor');
+
+        const add = await editor.agent.post('/api/addresses').set('X-CSRF-Token', editor.csrfToken).send({ text: '12 Test Street' });
+        assert.strictEqual(add.status, 201);
+        const invite = await editor.agent.post('/api/users').set('X-CSRF-Token', editor.csrfToken).send({ username: 'someone', role: 'owner' });
+        assert.strictEqual(invite.status, 403);
+        assert.strictEqual((await editor.agent.get('/api/users')).status, 403);
+    });
+
+    test('stops a disabled admin at their next request', async () => {
+        const { app } = await createTestApp();
+        const editor = await signInWithRole(app, 'editor');
+        const owner = await signIn(app);
+        const { id } = (await editor.agent.get('/api/me')).body;
+
+        const disabled = await owner.agent.patch(`/api/users/${id}`).set('X-CSRF-Token', owner.csrfToken).send({ disabled: true });
+        assert.strictEqual(disabled.status, 200);
+        assert.strictEqual((await editor.agent.get('/api/me')).status, 401);
+    });
+});